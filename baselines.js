@@ -0,0 +1,198 @@
+import {createRandom} from "./utils.js";
+
+/**
+ * @typedef {Object} TrafficMetrics
+ * @property {Number} forwards player states forwarded between servers each time states are sent (weighted, see
+ *                             `Partitioner.addPlayerPosition()`)
+ * @property {Number} forwardsPerSecond
+ * @property {Number} bandwidthInBytesPerSecond
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {Number} forwards
+ * @property {Number} forwardsPerSecond
+ * @property {Number} bandwidthInBytesPerSecond
+ * @property {Number|null} maxLoadFactor highest load factor among the focuses, in percent of each focus' capacity;
+ *                                       null for full replication, where ownership is not defined
+ */
+
+/**
+ * @typedef {Object} Baselines
+ * @property {Baseline} fullReplication every server receives the state of every player it does not own
+ * @property {Baseline} randomAssignment each player is owned by a random server
+ * @property {Baseline} gridSplit the bounding box is split into a grid of equal cells, one per server
+ */
+
+/**
+ * @param {CostModel} costModel
+ * @param {Number} forwards
+ * @return {TrafficMetrics}
+ */
+export function computeTrafficMetrics(costModel, forwards) {
+    return {
+        forwards,
+        forwardsPerSecond: costModel.computeForwardsPerSecond(forwards),
+        bandwidthInBytesPerSecond: costModel.computeBandwidth(forwards),
+    };
+}
+
+/**
+ * @typedef {Object} LegacyClientCost
+ * @property {Number} numberOfLegacyPlayers
+ * @property {Number} forwards forwards of the snapshot, with legacy players pinned to their home server
+ * @property {Number} forwardsWithoutLegacyClients forwards of the same focuses if every player went to its closest one
+ * @property {Number} maxLoadFactor highest load factor among the snapshot's focuses, in percent of their capacity
+ * @property {Number} maxLoadFactorWithoutLegacyClients same, if every player went to its closest focus
+ */
+
+/**
+ * Evaluates how much players with legacy clients (see `Partitioner.setLegacyClientShare()`) degrade a snapshot, by
+ * comparing it to the same focuses with every player owned by its closest focus.
+ *
+ * @param {Partitioner} partitioner
+ * @param {Snapshot} snapshot
+ * @return {LegacyClientCost|null} null if the snapshot has no focuses
+ */
+export function computeLegacyClientCost(partitioner, snapshot) {
+    const focuses = snapshot.getFocuses();
+    if (focuses.length === 0) {
+        return null;
+    }
+    const snapshotWithoutLegacyClients = partitioner.inspectFocusesWithoutLegacyClients(focuses);
+    const getMaxLoadFactor = inspectedSnapshot =>
+        Math.max(...focuses.map((focus, focusIndex) => inspectedSnapshot.getFocusLoadFactor(focusIndex)));
+    return {
+        numberOfLegacyPlayers: partitioner.getNumberOfLegacyPlayers(),
+        forwards: snapshot.numberOfForwards,
+        forwardsWithoutLegacyClients: snapshotWithoutLegacyClients.numberOfForwards,
+        maxLoadFactor: getMaxLoadFactor(snapshot),
+        maxLoadFactorWithoutLegacyClients: getMaxLoadFactor(snapshotWithoutLegacyClients),
+    };
+}
+
+/**
+ * Evaluates what naive alternatives to the search would cost for the same players, cost model and number of focuses,
+ * so the improvement brought by a partition can be quantified. Players must have been processed already. Random
+ * assignment is drawn from the given seed, so baselines are reproducible. Players with legacy clients stay with their
+ * home server in every baseline, just like in the partition (see `Partitioner.setLegacyClientShare()`).
+ *
+ * @param {Partitioner} partitioner
+ * @param {Number} [numberOfFocuses]
+ * @param {Number} [seed]
+ * @return {Baselines}
+ */
+export function computeBaselines(partitioner, numberOfFocuses = partitioner.numberOfFocuses,
+    seed = partitioner.seed) {
+
+    const numberOfPlayers = partitioner.getNumberOfPlayers();
+    const random = createRandom(seed);
+    const randomOwners = new Int32Array(numberOfPlayers);
+    for (let i = 0; i < numberOfPlayers; i++) {
+        randomOwners[i] = Math.floor(random() * numberOfFocuses);
+    }
+
+    const gridOwners = assignToGrid(partitioner, numberOfFocuses);
+    return {
+        fullReplication: Object.assign(
+            computeTrafficMetrics(partitioner.costModel, partitioner.getTotalPlayerWeight() * (numberOfFocuses - 1)),
+            {maxLoadFactor: null}),
+        randomAssignment: evaluateOwners(partitioner, pinLegacyPlayers(partitioner, randomOwners, numberOfFocuses),
+            numberOfFocuses),
+        gridSplit: evaluateOwners(partitioner, pinLegacyPlayers(partitioner, gridOwners, numberOfFocuses),
+            numberOfFocuses),
+    };
+}
+
+/**
+ * Splits the players' bounding box into `numberOfFocuses` equal cells, in the grid layout whose cells are closest to
+ * squares (e.g., 2x3 for 6 focuses in a square box, 1x5 for 5 focuses).
+ *
+ * @param {Partitioner} partitioner
+ * @param {Number} numberOfFocuses
+ * @return {Int32Array} focus index by player index
+ */
+function assignToGrid(partitioner, numberOfFocuses) {
+    const {left, top, width, height} = partitioner.getBoundingBox();
+    // degenerate boxes (e.g., all players in a line) are split along their only dimension
+    const boxWidth = width > 0 ? width : Number.MIN_VALUE;
+    const boxHeight = height > 0 ? height : Number.MIN_VALUE;
+
+    let columns = numberOfFocuses;
+    let bestAspectRatioError = Number.POSITIVE_INFINITY;
+    for (let rows = 1; rows <= numberOfFocuses; rows++) {
+        if (numberOfFocuses % rows === 0) {
+            const aspectRatioError = Math.abs(Math.log((boxWidth * rows) / (boxHeight * (numberOfFocuses / rows))));
+            if (aspectRatioError < bestAspectRatioError) {
+                bestAspectRatioError = aspectRatioError;
+                columns = numberOfFocuses / rows;
+            }
+        }
+    }
+    const rows = numberOfFocuses / columns;
+
+    const positions = partitioner.getPlayerPositions();
+    const owners = new Int32Array(positions.length);
+    for (let i = 0; i < positions.length; i++) {
+        const [x, y] = positions[i];
+        const column = Math.min(columns - 1, Math.floor(columns * (x - left) / boxWidth));
+        const row = Math.min(rows - 1, Math.floor(rows * (y - top) / boxHeight));
+        owners[i] = row * columns + column;
+    }
+    return owners;
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {Int32Array} owners focus index by player index, changed in place
+ * @param {Number} numberOfFocuses
+ * @return {Int32Array} the owners, with players that have legacy clients moved to their home server
+ */
+function pinLegacyPlayers(partitioner, owners, numberOfFocuses) {
+    const legacyHomes = partitioner.obtainLegacyHomes();
+    for (let i = 0; i < owners.length; i++) {
+        if (legacyHomes[i] >= 0) {
+            owners[i] = legacyHomes[i] % numberOfFocuses;
+        }
+    }
+    return owners;
+}
+
+/**
+ * Computes forwards and loads just like `Partitioner.computeLoadFactors()` does, but for any assignment of players.
+ *
+ * @param {Partitioner} partitioner
+ * @param {Int32Array} owners focus index by player index
+ * @param {Number} numberOfFocuses
+ * @return {Baseline}
+ */
+function evaluateOwners(partitioner, owners, numberOfFocuses) {
+    const procTimes = partitioner.obtainPlayerProcTimes();
+    const weights = partitioner.getPlayerWeights();
+    const ownProcTimes = new Float64Array(numberOfFocuses);
+    const externalInterestSets = [...Array(numberOfFocuses)].map(() => new Set());
+
+    for (let i = 0; i < owners.length; i++) {
+        const owner = owners[i];
+        ownProcTimes[owner] += procTimes.own[i];
+        for (const neighborIndex of partitioner.neighborsByPlayerIndex[i]) {
+            if (owners[neighborIndex] !== owner) {
+                externalInterestSets[owner].add(neighborIndex);
+            }
+        }
+    }
+
+    let forwards = 0;
+    let maxLoadFactor = 0;
+    for (let focusIndex = 0; focusIndex < numberOfFocuses; focusIndex++) {
+        let externalProcTime = 0;
+        for (const playerIndex of externalInterestSets[focusIndex]) {
+            externalProcTime += procTimes.external[playerIndex];
+            forwards += weights[playerIndex];
+        }
+        const load = partitioner.costModel.computeLoad(ownProcTimes[focusIndex], externalProcTime);
+        maxLoadFactor = Math.max(maxLoadFactor, 100 * load / partitioner.getFocusCapacity(focusIndex));
+    }
+
+    return Object.assign(computeTrafficMetrics(partitioner.costModel, forwards), {maxLoadFactor});
+}
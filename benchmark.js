@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+import fs from "fs";
+import GridSpatialIndex from "./grid-spatial-index.js";
+import KdTreeSpatialIndex from "./kd-tree-spatial-index.js";
+import SpatialIndex from "./spatial-index.js";
+import BoundingBox from "./bounding-box.js";
+import CostModel from "./cost-model.js";
+import {isTimeSeriesScenario, parseScenario} from "./scenario.js";
+import {euclideanDistanceSquared, now} from "./utils.js";
+
+const USAGE = `Usage: node benchmark.js [scenario.tsv | players] [neighbors] [radius]
+
+Times each spatial index backend on the players of a static scenario, or on random players: building the index,
+querying the nearest neighbors of every player and querying the players within a radius (circle mode) of every
+player. A sample of the nearest neighbor queries is checked against brute force. Defaults: 100000 random players,
+the scenario's neighborCount or 100 neighbors, and a radius of 10000.`;
+
+const RANDOM_SCENARIO_SIDE = 200_000;
+const BRUTE_FORCE_SAMPLE_SIZE = 100;
+const GRID_CELL_SIZE_EXPONENTS = [11, 13, 15];
+const KD_TREE_BUCKET_SIZES = [8, 16, 32];
+
+/**
+ * @param {[Number, Number][]} positions
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} count
+ * @return {Number[]} squared distances of the `count` nearest positions, in increasing order
+ */
+function bruteForceDistances(positions, x, y, count) {
+    return positions.map(([px, py]) => euclideanDistanceSquared(x, y, px, py))
+        .sort((a, b) => a - b)
+        .slice(0, count);
+}
+
+/**
+ * @param {String} [source] a scenario file name or a number of random players
+ * @return {{positions: [Number, Number][], settings: Object<String, String>}}
+ */
+function loadPositions(source = "100000") {
+    const numberOfPlayers = Number(source);
+    if (Number.isInteger(numberOfPlayers) && numberOfPlayers > 0) {
+        const positions = [...Array(numberOfPlayers)].map(() =>
+            [Math.random() * RANDOM_SCENARIO_SIDE, Math.random() * RANDOM_SCENARIO_SIDE]);
+        return {positions, settings: {}};
+    }
+
+    const text = fs.readFileSync(source, "utf-8");
+    if (isTimeSeriesScenario(text)) {
+        throw new Error("Time series scenarios are not supported\n\n" + USAGE);
+    }
+    const {playerPositions, settings} = parseScenario(text);
+    return {positions: playerPositions, settings};
+}
+
+/**
+ * @param {[Number, Number][]} positions
+ * @return {{name: String, create: function(): SpatialIndex}[]}
+ */
+function listBackends(positions) {
+    const boundingBox = new BoundingBox();
+    for (const position of positions) {
+        boundingBox.add(...position);
+    }
+    const {left, top, width, height} = boundingBox;
+
+    return [
+        ...GRID_CELL_SIZE_EXPONENTS.map(exponent => ({
+            name: `grid 2^${exponent}`,
+            create: () => new GridSpatialIndex(exponent, width, height, left, top),
+        })),
+        ...KD_TREE_BUCKET_SIZES.map(bucketSize => ({
+            name: `k-d tree, buckets of ${bucketSize}`,
+            create: () => new KdTreeSpatialIndex(bucketSize),
+        })),
+    ];
+}
+
+function main() {
+    const [source, neighborsArgument, radiusArgument = "10000"] = process.argv.slice(2);
+    const {positions, settings} = loadPositions(source);
+    const neighborCount = neighborsArgument !== undefined ?
+        Number(neighborsArgument) : new CostModel(settings).neighborCount;
+    const radius = Number(radiusArgument);
+    if (!(positions.length > 0 && neighborCount > 0 && radius >= 0)) {
+        throw new Error(USAGE);
+    }
+
+    const sampleIndexes = [...Array(BRUTE_FORCE_SAMPLE_SIZE)].map(() => Math.floor(Math.random() * positions.length));
+    let start = now();
+    const expectedDistances = sampleIndexes.map(i => bruteForceDistances(positions, ...positions[i], neighborCount));
+    const bruteForceTimePerQuery = (now() - start) / BRUTE_FORCE_SAMPLE_SIZE;
+
+    console.info(`${positions.length} players, ${neighborCount} neighbors, radius ${radius}; brute force takes ` +
+        `${(1000 * bruteForceTimePerQuery).toFixed(1)} µs per nearest neighbors query`);
+
+    const results = {};
+    for (const {name, create} of listBackends(positions)) {
+        start = now();
+        const index = create();
+        positions.forEach(([x, y], i) => index.insert(i, x, y));
+        const buildTime = now() - start;
+
+        start = now();
+        for (const [x, y] of positions) {
+            index.queryByCount(x, y, neighborCount);
+        }
+        const nearestQueryTime = now() - start;
+
+        start = now();
+        let playersWithinRadius = 0;
+        for (const [x, y] of positions) {
+            for (const ignored of index.query(x, y, radius, SpatialIndex.QUERY_MODE_CIRCLE)) {
+                playersWithinRadius++;
+            }
+        }
+        const radiusQueryTime = now() - start;
+
+        let mismatches = 0;
+        sampleIndexes.forEach((i, sample) => {
+            const [x, y] = positions[i];
+            const actual = index.queryByCount(x, y, neighborCount)
+                .map(j => euclideanDistanceSquared(x, y, ...positions[j]));
+            if (actual.some((distance, j) => distance !== expectedDistances[sample][j])) {
+                mismatches++;
+            }
+        });
+
+        results[name] = {
+            "build (ms)": buildTime.toFixed(1),
+            "nearest, all players (ms)": nearestQueryTime.toFixed(1),
+            "nearest, per query (µs)": (1000 * nearestQueryTime / positions.length).toFixed(1),
+            "radius, all players (ms)": radiusQueryTime.toFixed(1),
+            "avg. players in radius": (playersWithinRadius / positions.length).toFixed(1),
+            [`mismatches in ${BRUTE_FORCE_SAMPLE_SIZE} samples`]: mismatches,
+        };
+    }
+
+    console.table(results);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
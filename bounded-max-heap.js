@@ -0,0 +1,117 @@
+
+/**
+ * A max-heap that keeps only the `capacity` elements with the lowest priorities seen so far. Used by the spatial indexes
+ * to select the nearest neighbors without sorting all candidates.
+ */
+export default class BoundedMaxHeap {
+
+    /**
+     * @param {Number} capacity
+     */
+    constructor (capacity) {
+        this.capacity = capacity;
+        /** @type {Object[]} */
+        this.elements = [];
+        /** @type {Number[]} */
+        this.priorities = [];
+    }
+
+    isFull() {
+        return this.elements.length >= this.capacity;
+    }
+
+    /**
+     * @return {Number} the highest priority kept
+     */
+    peekPriority() {
+        return this.priorities[0];
+    }
+
+    /**
+     * Keeps the element if the heap is not full yet, or if it has a lower priority than the highest one kept (which is
+     * then dropped).
+     *
+     * @param {Object} element
+     * @param {Number} priority
+     */
+    offer(element, priority) {
+        if (!this.isFull()) {
+            this.elements.push(element);
+            this.priorities.push(priority);
+            this.siftUp(this.elements.length - 1);
+        } else if (priority < this.priorities[0]) {
+            this.elements[0] = element;
+            this.priorities[0] = priority;
+            this.siftDown(0);
+        }
+    }
+
+    /**
+     * Empties the heap.
+     *
+     * @return {Object[]} the elements kept, ordered by increasing priority
+     */
+    drain() {
+        const result = Array(this.elements.length);
+        for (let i = result.length - 1; i >= 0; i--) {
+            result[i] = this.elements[0];
+            const lastElement = this.elements.pop();
+            const lastPriority = this.priorities.pop();
+            if (i > 0) {
+                this.elements[0] = lastElement;
+                this.priorities[0] = lastPriority;
+                this.siftDown(0);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {Number} index
+     */
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] >= this.priorities[index]) {
+                break;
+            }
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Number} index
+     */
+    siftDown(index) {
+        const size = this.elements.length;
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let largest = index;
+            if (left < size && this.priorities[left] > this.priorities[largest]) {
+                largest = left;
+            }
+            if (right < size && this.priorities[right] > this.priorities[largest]) {
+                largest = right;
+            }
+            if (largest === index) {
+                break;
+            }
+            this.swap(index, largest);
+            index = largest;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Number} i
+     * @param {Number} j
+     */
+    swap(i, j) {
+        [this.elements[i], this.elements[j]] = [this.elements[j], this.elements[i]];
+        [this.priorities[i], this.priorities[j]] = [this.priorities[j], this.priorities[i]];
+    }
+}
@@ -0,0 +1,564 @@
+#!/usr/bin/env node
+
+import fs from "fs";
+import Partitioner from "./partitioner.js";
+import SpatialIndex from "./spatial-index.js";
+import CostModel from "./cost-model.js";
+import TimeSeriesPlayback from "./time-series-playback.js";
+import ParallelSearch from "./parallel-search.js";
+import {exportPartition, exportPartitionAsGeoJson, parsePartitionFocuses} from "./partition-io.js";
+import {
+    describeRejectedLines,
+    isTimeSeriesScenario,
+    parseNumberList,
+    parseScenario,
+    parseTimeSeriesScenario,
+} from "./scenario.js";
+import {computeBaselines, computeLegacyClientCost, computeTrafficMetrics} from "./baselines.js";
+import SearchHistory from "./search-history.js";
+import {now} from "./utils.js";
+
+const USAGE = `Usage: partition <scenario.tsv> [options]
+
+Scenarios with lines in the format ID\\tTIMESTAMP\\tX\\tY are played back frame by frame, each frame running for the
+given iterations or time budget; if player ids are numbers, the first line must be the header id\\ttimestamp\\tx\\ty.
+Static scenarios may also be CSV or JSON files (see convert-scenario.js to map columns, filter and transform axes);
+lines that cannot be read are reported on stderr and left out.
+
+Options:
+  --focuses <n>            number of focuses (default: 4)
+  --strategy <name>        focus placement strategy: "bounding-box", "player-positions", "k-means++",
+                           "hill-climbing", "simulated-annealing" or "lloyd-relaxation" (default: bounding-box)
+  --perturbed-focuses <n>  local search: number of focuses moved at each step (default: 1)
+  --initial-temperature <t>
+                           simulated annealing: initial temperature, relative to the current forwards (default: 0.05)
+  --cooling-rate <r>       simulated annealing: temperature multiplier applied at each step (default: 0.995)
+  --max-relaxation-steps <n>
+                           Lloyd relaxation: max steps per run (default: 20)
+  --relaxation-weighting <w>
+                           Lloyd relaxation: "uniform" centroids or "load"-weighted centroids (default: uniform)
+  --aoi-mode <mode>        area of interest: "nearest" players (see the scenario's neighborCount) or players within
+                           a "radius" (default: nearest)
+  --aoi-radius <r>         area of interest radius, in scenario units (default: 10000)
+  --aoi-query-mode <mode>  radius query mode: "circle", "square" or "raw" (default: circle)
+  --spatial-index <name>   how players are indexed to find their areas of interest: "grid" or "kd-tree" (see
+                           npm run benchmark) (default: grid)
+  --cell-size-exponent <n> grid spatial index: cells are 2^n scenario units wide (default: 13)
+  --handoff-penalty <p>    time series: how many forwards each handoff is worth when scoring a snapshot (default: 0)
+  --legacy-share <share>   share of players, from 0 to 1, with legacy clients that cannot be migrated and stay with a
+                           random home server, on top of the ones given by the scenario's home column; overrides the
+                           scenario's legacyClientShare setting (default: 0)
+  --message-size <bytes>   size of each forwarded player state, to estimate the bandwidth between servers; overrides
+                           the scenario's messageSizeInBytes setting (default: 100)
+  --max-load-factor <lf>   max comfortable load factor, in percent of each focus' capacity (default: 50)
+  --capacities <list>      comma-separated CPU budget of each focus, in microseconds per second; overrides the
+                           scenario's focusCapacities setting (default: 1000000 for every focus)
+  --iterations <n>         number of attempts to run (default: 1000)
+  --time <seconds>         run for this long instead of a fixed number of iterations
+  --seed <n>               seed of the search, an unsigned 32-bit integer; the same scenario, options and seed yield the
+                           same runs, except with workers (default: random)
+  --workers <n>            run the search in this many worker threads instead of the main thread; not supported by
+                           size search and time series scenarios (default: 0)
+  --size-search <mode>     instead of using a fixed number of focuses, search for the smallest one that stays within the
+                           max load factor, trying sizes in "increasing" order or by "binary" search; iterations and
+                           time budgets apply to each size tried (static scenarios only)
+  --max-focuses <n>        size search: largest number of focuses to try (default: 10)
+  --partition <file>       evaluate a saved partition (see --export) against the scenario and continue searching from
+                           it; its number of focuses overrides --focuses; use --iterations 0 to evaluate it only
+                           (static scenarios only)
+  --output <file>          where to write the JSON result (default: stdout)
+  --export <file>          also write the best partition, in scenario coordinates, as JSON (static scenarios only)
+  --geojson <file>         also write the best partition's focuses and hulls as GeoJSON (static scenarios only)
+  --history <file>         also write the forwards of every attempt and the best ones so far as CSV, to chart how the
+                           search converged (one trace per time series frame; not supported by size search)
+  --help                   show this message`;
+
+const DEFAULT_OPTIONS = {
+    focuses: 4,
+    strategy: "bounding-box",
+    maxLoadFactor: 50,
+    capacities: "",
+    iterations: 1000,
+    time: 0,
+    seed: null,
+    workers: 0,
+    perturbedFocuses: 1,
+    initialTemperature: 0.05,
+    coolingRate: 0.995,
+    aoiMode: "nearest",
+    aoiRadius: 10000,
+    aoiQueryMode: "circle",
+    spatialIndex: "grid",
+    cellSizeExponent: 13,
+    handoffPenalty: 0,
+    messageSize: null,
+    legacyShare: null,
+    sizeSearch: "",
+    maxFocuses: 10,
+    maxRelaxationSteps: 20,
+    relaxationWeighting: "uniform",
+    partition: null,
+    output: null,
+    export: null,
+    geojson: null,
+    history: null,
+};
+
+/**
+ * Valid values of numeric options: integers, if `isInteger` is set, not below `min`, or above it if `isMinExclusive`
+ * is set, and not above `max`. Options not listed take any number.
+ *
+ * @type {Object<String, {min: Number, isMinExclusive?: Boolean, max?: Number, isInteger?: Boolean}>}
+ */
+const NUMBER_OPTION_RANGES = {
+    focuses: {min: 1, isInteger: true},
+    maxLoadFactor: {min: 0, isMinExclusive: true},
+    iterations: {min: 0, isInteger: true},
+    time: {min: 0},
+    workers: {min: 0, isInteger: true},
+    perturbedFocuses: {min: 1, isInteger: true},
+    initialTemperature: {min: 0},
+    coolingRate: {min: 0, isMinExclusive: true, max: 1},
+    aoiRadius: {min: 0, isMinExclusive: true},
+    cellSizeExponent: {min: 0, max: 30, isInteger: true},
+    handoffPenalty: {min: 0},
+    maxFocuses: {min: 1, isInteger: true},
+    maxRelaxationSteps: {min: 1, isInteger: true},
+};
+
+/**
+ * @param {String} arg
+ * @param {String} value
+ * @return {Number}
+ */
+function parseNumberOption(arg, value) {
+    const number = Number(value);
+    if (value.trim().length === 0 || !Number.isFinite(number)) {
+        throw new Error(`Invalid number for option ${arg}: ${value}`);
+    }
+    const name = toOptionName(arg);
+    const range = NUMBER_OPTION_RANGES[name];
+    if (!range) {
+        return number;
+    }
+    if (range.isInteger && !Number.isInteger(number)) {
+        throw new Error(`Option ${arg} must be an integer, but got ${value}`);
+    }
+    const isAboveMin = range.isMinExclusive ? number > range.min : number >= range.min;
+    if (!isAboveMin || number > (range.max ?? Number.POSITIVE_INFINITY)) {
+        const bounds = [`${range.isMinExclusive ? "greater than" : "at least"} ${range.min}`];
+        if (range.max !== undefined) {
+            bounds.push(`at most ${range.max}`);
+        }
+        throw new Error(`Option ${arg} must be ${bounds.join(" and ")}, but got ${value}`);
+    }
+    return number;
+}
+
+/**
+ * @param {String} arg e.g. "--max-load-factor"
+ * @return {String} e.g. "maxLoadFactor"
+ */
+function toOptionName(arg) {
+    return arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * @param {String[]} args
+ * @return {{scenario: String, focuses: Number, strategy: String, maxLoadFactor: Number, capacities: String,
+ *           iterations: Number, seed: String|null, workers: Number,
+ *           time: Number, perturbedFocuses: Number, initialTemperature: Number, coolingRate: Number,
+ *           aoiMode: String, aoiRadius: Number, aoiQueryMode: String, spatialIndex: String,
+ *           cellSizeExponent: Number, handoffPenalty: Number, messageSize: String|null, legacyShare: String|null,
+ *           sizeSearch: String, maxFocuses: Number,
+ *           maxRelaxationSteps: Number, relaxationWeighting: String, partition: String|null, output: String|null,
+ *           export: String|null, geojson: String|null, history: String|null, help: Boolean}}
+ */
+function parseArguments(args) {
+    const options = Object.assign({scenario: null, help: false}, DEFAULT_OPTIONS);
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--help" || arg === "-h") {
+            options.help = true;
+        } else if (arg.startsWith("--")) {
+            const name = toOptionName(arg);
+            if (!(name in DEFAULT_OPTIONS)) {
+                throw new Error(`Unknown option ${arg}`);
+            }
+            const value = args[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for option ${arg}`);
+            }
+            options[name] = typeof DEFAULT_OPTIONS[name] === "number" ? parseNumberOption(arg, value) : value;
+        } else {
+            options.scenario = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {String} strategy
+ */
+function setPlacementStrategy(partitioner, strategy) {
+    switch (strategy) {
+        case "bounding-box": partitioner.setPlacementStrategyBoundingBox(); break;
+        case "player-positions": partitioner.setPlacementStrategyPlayerPositions(); break;
+        case "k-means++": partitioner.setPlacementStrategyKMeansPlusPlus(); break;
+        case "hill-climbing": partitioner.setPlacementStrategyHillClimbing(); break;
+        case "simulated-annealing": partitioner.setPlacementStrategySimulatedAnnealing(); break;
+        case "lloyd-relaxation": partitioner.setPlacementStrategyLloydRelaxation(); break;
+        default: throw new Error(`Unknown strategy "${strategy}"`);
+    }
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {{aoiMode: String, aoiRadius: Number, aoiQueryMode: String}} options
+ */
+function setAreaOfInterest(partitioner, options) {
+    const queryModes = {
+        "circle": SpatialIndex.QUERY_MODE_CIRCLE,
+        "square": SpatialIndex.QUERY_MODE_SQUARE,
+        "raw": SpatialIndex.QUERY_MODE_RAW,
+    };
+    if (!(options.aoiQueryMode in queryModes)) {
+        throw new Error(`Unknown area of interest query mode "${options.aoiQueryMode}"`);
+    }
+
+    switch (options.aoiMode) {
+        case "nearest": partitioner.setAreaOfInterestNearestNeighbors(); break;
+        case "radius": partitioner.setAreaOfInterestRadius(options.aoiRadius, queryModes[options.aoiQueryMode]); break;
+        default: throw new Error(`Unknown area of interest mode "${options.aoiMode}"`);
+    }
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {{spatialIndex: String, cellSizeExponent: Number}} options
+ */
+function setSpatialIndex(partitioner, options) {
+    switch (options.spatialIndex) {
+        case "grid": partitioner.setSpatialIndexGrid(options.cellSizeExponent); break;
+        case "kd-tree": partitioner.setSpatialIndexKdTree(); break;
+        default: throw new Error(`Unknown spatial index "${options.spatialIndex}"`);
+    }
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {Object<String, String>} settings
+ * @param {{capacities: String, messageSize: String|null, legacyShare: String|null}} options
+ */
+function applyScenarioSettings(partitioner, settings, options) {
+    const costModelParams = options.messageSize !== null ? {...settings, messageSizeInBytes: options.messageSize} :
+        settings;
+    partitioner.setCostModel(new CostModel(costModelParams));
+
+    const capacities = options.capacities || settings.focusCapacities;
+    if (capacities) {
+        partitioner.setFocusCapacities(parseNumberList(capacities));
+    }
+
+    const legacyClientShare = options.legacyShare ?? settings.legacyClientShare;
+    if (legacyClientShare !== undefined) {
+        partitioner.setLegacyClientShare(Number(legacyClientShare));
+    }
+}
+
+/**
+ * Lines that cannot be read are left out of the scenario; they are reported on stderr, so the results stay valid JSON.
+ *
+ * @param {{rejectedLines: Object[]}} scenario
+ */
+function warnAboutRejectedLines(scenario) {
+    if (scenario.rejectedLines.length > 0) {
+        console.warn(describeRejectedLines(scenario));
+    }
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {String} text the scenario file contents (see `parseScenario()`)
+ * @param {Object} options
+ */
+function loadScenario(partitioner, text, options) {
+    const scenario = parseScenario(text);
+    warnAboutRejectedLines(scenario);
+    const {playerPositions, playerWeights, playerTypes, playerHomes, playerIds, settings} = scenario;
+
+    partitioner.resetPlayerPositions();
+    applyScenarioSettings(partitioner, settings, options);
+    playerPositions.forEach((position, i) => {
+        partitioner.addPlayerPosition(position, playerWeights[i], playerTypes?.[i] ?? null,
+            playerHomes?.[i] ?? null, playerIds?.[i] ?? null);
+    });
+
+    partitioner.processPlayerPositions();
+}
+
+/**
+ * Runs attempts until the iterations or the time budget are exhausted.
+ *
+ * @param {Partitioner} partitioner
+ * @param {{iterations: Number, time: Number}} options
+ * @param {SearchHistory|null} history where to record every attempt, if anywhere
+ */
+function search(partitioner, options, history) {
+    const shouldContinue = createBudget(partitioner, options);
+    while (shouldContinue()) {
+        partitioner.randomizeFocuses();
+        history?.recordAttempt(partitioner);
+    }
+}
+
+/**
+ * Like `search()`, but with the attempts distributed across worker threads. Workers report back in batches, so the
+ * number of iterations may be slightly exceeded.
+ *
+ * @param {Partitioner} partitioner
+ * @param {Object} options
+ * @param {SearchHistory|null} history where to record every attempt, if anywhere
+ * @return {Promise<Number>} attempts per second
+ */
+async function searchInParallel(partitioner, options, history) {
+    const shouldContinue = createBudget(partitioner, options);
+    if (!shouldContinue()) {
+        return 0;
+    }
+
+    const parallelSearch = new ParallelSearch(partitioner, options.workers);
+    await new Promise(resolve => {
+        parallelSearch.onProgress = statistics => {
+            history?.recordAttempts(partitioner, statistics.attemptForwards, statistics.attemptFailures);
+            if (!shouldContinue()) {
+                resolve();
+            }
+        };
+        parallelSearch.start();
+    });
+    const runsPerSecond = parallelSearch.getRunsPerSecond();
+    await parallelSearch.terminate();
+    return runsPerSecond;
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {Object} options
+ * @return {function(): Boolean} whether there is still budget left for more attempts
+ */
+function createBudget(partitioner, options) {
+    const deadline = now() + options.time * 1000;
+    return options.time > 0 ?
+        () => now() < deadline :
+        () => partitioner.numberOfRuns < options.iterations;
+}
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {String} text
+ * @param {Object} options
+ * @param {SearchHistory|null} history
+ * @return {Promise<Object>} the run results
+ */
+async function runStaticScenario(partitioner, text, options, history) {
+    loadScenario(partitioner, text, options);
+
+    let importedSnapshot;
+    if (options.partition) {
+        const focuses = parsePartitionFocuses(fs.readFileSync(options.partition, "utf-8"));
+        importedSnapshot = partitioner.importFocuses(focuses);
+    }
+
+    const searchStart = now();
+    let runsPerSecond;
+    if (options.workers > 0) {
+        runsPerSecond = await searchInParallel(partitioner, options, history);
+    } else {
+        search(partitioner, options, history);
+        runsPerSecond = 1000 * partitioner.numberOfRuns / (now() - searchStart);
+    }
+
+    return {
+        importedSnapshot,
+        workers: options.workers,
+        runsPerSecond,
+        numberOfPlayers: partitioner.getNumberOfPlayers(),
+        runs: partitioner.numberOfRuns,
+        failures: partitioner.numberOfFailures,
+        avgRunningTimeInMillis: partitioner.totalElapsedTime / partitioner.numberOfRuns,
+        avgRelaxationSteps: partitioner.numberOfRelaxationSteps / partitioner.numberOfRuns,
+        ...computeTrafficMetrics(partitioner.costModel, partitioner.bestSnapshot.numberOfForwards),
+        baselines: computeBaselines(partitioner),
+        legacyClientCost: computeLegacyClientCost(partitioner, partitioner.bestSnapshot),
+        isSuccessful: Number.isFinite(partitioner.bestSnapshot.score),
+        bestSnapshot: partitioner.bestSnapshot,
+    };
+}
+
+/**
+ * Searches for the smallest number of focuses that stays within the max load factor.
+ *
+ * @param {Partitioner} partitioner
+ * @param {String} text
+ * @param {Object} options
+ * @return {Object} the run results
+ */
+function runClusterSizeSearch(partitioner, text, options) {
+    loadScenario(partitioner, text, options);
+    const {minimumNumberOfFocuses, trials} = partitioner.findMinimumNumberOfFocuses({
+        maxFocuses: options.maxFocuses,
+        runsPerSize: options.time > 0 ? Number.POSITIVE_INFINITY : options.iterations,
+        timePerSizeInMillis: options.time * 1000,
+        mode: options.sizeSearch,
+    });
+
+    return {
+        numberOfPlayers: partitioner.getNumberOfPlayers(),
+        sizeSearch: options.sizeSearch,
+        minimumNumberOfFocuses,
+        isSuccessful: minimumNumberOfFocuses !== null,
+        trials,
+        bestSnapshot: minimumNumberOfFocuses !== null ? partitioner.bestSnapshot : null,
+    };
+}
+
+/**
+ * Partitions each frame in turn, using the iterations or time budget per frame.
+ *
+ * @param {Partitioner} partitioner
+ * @param {String} text
+ * @param {Object} options
+ * @param {SearchHistory|null} history
+ * @return {Object} the run results
+ */
+function runTimeSeriesScenario(partitioner, text, options, history) {
+    const scenario = parseTimeSeriesScenario(text);
+    warnAboutRejectedLines(scenario);
+    const {frames, settings} = scenario;
+    applyScenarioSettings(partitioner, settings, options);
+
+    const playback = new TimeSeriesPlayback(partitioner, frames);
+    while (playback.hasNextFrame()) {
+        playback.nextFrame();
+        search(partitioner, options, history);
+    }
+    if (playback.frameIndex >= 0) {
+        playback.finishFrame();
+    }
+
+    const successfulFrames = playback.results.filter(result => result.isSuccessful);
+    return {
+        // the partitioner ends up with the last frame's seed; every frame seed is derived from this one
+        seed: playback.seed,
+        numberOfFrames: frames.length,
+        handoffPenalty: options.handoffPenalty,
+        totalForwards: successfulFrames.reduce((sum, result) => sum + result.forwards, 0),
+        totalHandoffs: successfulFrames.reduce((sum, result) => sum + result.handoffs, 0),
+        isSuccessful: successfulFrames.length === frames.length,
+        frames: playback.results,
+    };
+}
+
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    if (options.help) {
+        console.info(USAGE);
+        return;
+    }
+    if (!options.scenario) {
+        throw new Error("Missing scenario file name\n\n" + USAGE);
+    }
+
+    const partitioner = new Partitioner(options.focuses, options.maxLoadFactor);
+    setPlacementStrategy(partitioner, options.strategy);
+    partitioner.setLocalSearchOptions({
+        numberOfPerturbedFocuses: options.perturbedFocuses,
+        initialTemperature: options.initialTemperature,
+        coolingRate: options.coolingRate,
+    });
+    if (options.relaxationWeighting !== "uniform" && options.relaxationWeighting !== "load") {
+        throw new Error(`Unknown relaxation weighting "${options.relaxationWeighting}"`);
+    }
+    partitioner.setRelaxationOptions({
+        maxSteps: options.maxRelaxationSteps,
+        isLoadWeighted: options.relaxationWeighting === "load",
+    });
+    setAreaOfInterest(partitioner, options);
+    setSpatialIndex(partitioner, options);
+    if (options.seed !== null) {
+        partitioner.setSeed(Number(options.seed));
+    }
+    partitioner.setHandoffPenalty(options.handoffPenalty);
+
+    // the number of focuses and the seed may change between traces (e.g., with an imported partition)
+    const describeSearch = () =>
+        `${options.strategy}, ${partitioner.numberOfFocuses} focuses, seed ${partitioner.seed}`;
+    const history = options.history ?
+        new SearchHistory(describeSearch, {maxTraces: Number.POSITIVE_INFINITY}) : null;
+
+    const start = now();
+    const text = fs.readFileSync(options.scenario, "utf-8");
+    let runResult;
+    if (isTimeSeriesScenario(text)) {
+        if (options.sizeSearch || options.partition || options.workers > 0) {
+            throw new Error("Size search, partition import and workers are not supported for time series scenarios");
+        }
+        runResult = runTimeSeriesScenario(partitioner, text, options, history);
+    } else if (options.sizeSearch) {
+        if (options.partition || options.workers > 0 || options.history) {
+            throw new Error("Size search cannot be combined with partition import, workers or history");
+        }
+        runResult = runClusterSizeSearch(partitioner, text, options);
+    } else {
+        runResult = await runStaticScenario(partitioner, text, options, history);
+    }
+
+    const result = Object.assign({
+        scenario: options.scenario,
+        focuses: options.sizeSearch ? undefined : partitioner.numberOfFocuses,
+        strategy: options.strategy,
+        seed: partitioner.seed,
+        maxLoadFactor: options.maxLoadFactor,
+        costModel: partitioner.costModel,
+        focusCapacities: [...Array(partitioner.numberOfFocuses).keys()].map(fi => partitioner.getFocusCapacity(fi)),
+        aoiMode: options.aoiMode,
+        aoiRadius: options.aoiMode === "radius" ? options.aoiRadius : undefined,
+        aoiQueryMode: options.aoiMode === "radius" ? options.aoiQueryMode : undefined,
+        spatialIndex: options.spatialIndex,
+        legacyClientShare: partitioner.legacyClientShare,
+        totalTimeInMillis: now() - start,
+    }, runResult);
+
+    const json = JSON.stringify(result, null, 2);
+    if (options.output) {
+        fs.writeFileSync(options.output, json);
+    } else {
+        process.stdout.write(json + "\n");
+    }
+    if (history) {
+        fs.writeFileSync(options.history, history.toCsv());
+    }
+
+    if (result.isSuccessful && !isTimeSeriesScenario(text)) {
+        if (options.export) {
+            fs.writeFileSync(options.export, JSON.stringify(exportPartition(partitioner), null, 2));
+        }
+        if (options.geojson) {
+            fs.writeFileSync(options.geojson, JSON.stringify(exportPartitionAsGeoJson(partitioner), null, 2));
+        }
+    }
+
+    if (!result.isSuccessful) {
+        console.error("No attempt was within the comfortable load factor threshold");
+        process.exitCode = 2;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
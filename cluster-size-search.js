@@ -0,0 +1,150 @@
+
+import {now} from "./utils.js";
+
+/**
+ * @typedef {Object} ClusterSizeTrial
+ * @property {Number} numberOfFocuses
+ * @property {Number} runs
+ * @property {Number} failures
+ * @property {Boolean} isSuccessful whether some attempt was within the comfortable load factor threshold
+ * @property {Number} forwards forwards of the best snapshot found for this size, null if not successful
+ */
+
+/**
+ * Searches for the smallest number of focuses that yields a snapshot within the comfortable load factor threshold.
+ * Each size tried gets its own budget of runs (and optionally of time). Sizes are either tried in increasing order or
+ * by binary search, which assumes that if some size succeeds, all larger sizes would succeed as well.
+ *
+ * The search runs one attempt at a time via `runAttempt()`, so it can be driven by an animation loop; use
+ * `Partitioner.findMinimumNumberOfFocuses()` to run it all at once.
+ */
+export default class ClusterSizeSearch {
+
+    static MODE_INCREASING = "increasing";
+    static MODE_BINARY = "binary";
+
+    /** @type {ClusterSizeTrial[]} */
+    trials = [];
+    /** @type {Number} smallest successful size found so far, null if none */
+    minimumNumberOfFocuses = null;
+    /** @type {Snapshot} best snapshot for the smallest successful size */
+    minimumSnapshot = null;
+    /** @type {Boolean} */
+    isFinished = false;
+
+    /**
+     * @param {Partitioner} partitioner
+     * @param {Object} [options]
+     * @param {Number} [options.minFocuses]
+     * @param {Number} [options.maxFocuses]
+     * @param {Number} [options.runsPerSize] max runs per size
+     * @param {Number} [options.timePerSizeInMillis] max time per size; if zero, only the runs budget applies
+     * @param {String} [options.mode] one of ClusterSizeSearch's modes
+     */
+    constructor (partitioner, {minFocuses = 1, maxFocuses = 10, runsPerSize = 100, timePerSizeInMillis = 0,
+        mode = ClusterSizeSearch.MODE_INCREASING} = {}) {
+
+        if (mode !== ClusterSizeSearch.MODE_INCREASING && mode !== ClusterSizeSearch.MODE_BINARY) {
+            throw new Error(`Unknown cluster size search mode "${mode}"`);
+        }
+        if (!(minFocuses >= 1 && minFocuses <= maxFocuses)) {
+            throw new Error(`Invalid range of focuses: ${minFocuses} to ${maxFocuses}`);
+        }
+
+        this.partitioner = partitioner;
+        this.mode = mode;
+        this.runsPerSize = runsPerSize;
+        this.timePerSizeInMillis = timePerSizeInMillis;
+        // range of sizes still to be searched
+        this.lowerBound = minFocuses;
+        this.upperBound = maxFocuses;
+
+        this.startTrial();
+    }
+
+    /**
+     * @return {Number} the size being currently tried
+     */
+    getCurrentNumberOfFocuses() {
+        return this.partitioner.numberOfFocuses;
+    }
+
+    /**
+     * Runs a single attempt for the current size, moving on to the next size once the budget is exhausted.
+     *
+     * @return {Boolean} true if the attempt is the new best snapshot for the current size
+     */
+    runAttempt() {
+        if (this.isFinished) {
+            return false;
+        }
+
+        const isNewBest = this.partitioner.randomizeFocuses();
+
+        const isOutOfRuns = this.partitioner.numberOfRuns >= this.runsPerSize;
+        const isOutOfTime = this.timePerSizeInMillis > 0 && now() - this.trialStart >= this.timePerSizeInMillis;
+        if (isOutOfRuns || isOutOfTime) {
+            this.finishTrial();
+        }
+
+        return isNewBest;
+    }
+
+    /**
+     * @private
+     */
+    startTrial() {
+        const numberOfFocuses = this.mode === ClusterSizeSearch.MODE_BINARY ?
+            Math.floor((this.lowerBound + this.upperBound) / 2) :
+            this.lowerBound;
+        this.partitioner.changeNumberOfFocuses(numberOfFocuses);
+        this.trialStart = now();
+    }
+
+    /**
+     * @private
+     */
+    finishTrial() {
+        const partitioner = this.partitioner;
+        const snapshot = partitioner.bestSnapshot;
+        const numberOfFocuses = partitioner.numberOfFocuses;
+        const isSuccessful = Number.isFinite(snapshot.score);
+
+        this.trials.push({
+            numberOfFocuses,
+            runs: partitioner.numberOfRuns,
+            failures: partitioner.numberOfFailures,
+            isSuccessful,
+            forwards: isSuccessful ? snapshot.numberOfForwards : null,
+        });
+
+        if (isSuccessful) {
+            this.minimumNumberOfFocuses = numberOfFocuses;
+            this.minimumSnapshot = snapshot;
+            // increasing mode: all smaller sizes failed already
+            this.upperBound = this.mode === ClusterSizeSearch.MODE_BINARY ? numberOfFocuses - 1 : this.lowerBound - 1;
+        } else {
+            this.lowerBound = numberOfFocuses + 1;
+        }
+
+        if (this.lowerBound > this.upperBound) {
+            this.finish();
+        } else {
+            this.startTrial();
+        }
+    }
+
+    /**
+     * Leaves the partitioner set to the minimum size found, with its best snapshot loaded, so the search can go on
+     * from there.
+     *
+     * @private
+     */
+    finish() {
+        this.isFinished = true;
+        if (this.minimumNumberOfFocuses !== null) {
+            this.partitioner.changeNumberOfFocuses(this.minimumNumberOfFocuses);
+            this.partitioner.evaluateFocuses(this.minimumSnapshot.focuses);
+        }
+    }
+}
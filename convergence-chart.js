@@ -0,0 +1,195 @@
+const PADDING_LEFT = 56;
+const PADDING_RIGHT = 10;
+const PADDING_TOP = 10;
+const PADDING_BOTTOM = 22;
+const FONT = "11px monospace";
+const BACKGROUND_COLOR = "rgba(0, 0, 0, 0.75)";
+const AXIS_COLOR = "#888";
+/** one per trace, cycled through as traces are started */
+const TRACE_COLORS = ["#4fc3f7", "#aed581", "#ffb74d", "#ba68c8", "#f06292", "#4db6ac", "#fff176", "#90a4ae"];
+const MARKER_SIZE = 2;
+
+/**
+ * Plots the traces of a `SearchHistory`: the forwards of each attempt as dots (failures as crosses), and the best
+ * forwards so far as a line, against the run number or the elapsed time. Traces are overlaid, so strategies and seeds
+ * can be compared; the latest one is drawn on top.
+ */
+export default class ConvergenceChart {
+
+    static X_AXIS_RUNS = "runs";
+    static X_AXIS_TIME = "time";
+
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {String} failureColor
+     */
+    constructor (canvas, failureColor) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext("2d");
+        this.failureColor = failureColor;
+    }
+
+    /**
+     * @param {SearchHistory} history
+     * @param {String} xAxis one of ConvergenceChart's axes
+     */
+    draw(history, xAxis) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = BACKGROUND_COLOR;
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = FONT;
+
+        const traces = history.traces.filter(trace => trace.runs.length > 0);
+        if (traces.length === 0) {
+            ctx.fillStyle = AXIS_COLOR;
+            ctx.fillText("No attempts yet", PADDING_LEFT, height / 2);
+            return;
+        }
+
+        const getX = xAxis === ConvergenceChart.X_AXIS_TIME ?
+            (trace, i) => trace.elapsedTimes[i] / 1000 :
+            (trace, i) => trace.runs[i];
+        let maxX = 0;
+        let minY = Number.POSITIVE_INFINITY;
+        let maxY = Number.NEGATIVE_INFINITY;
+        for (const trace of traces) {
+            maxX = Math.max(maxX, getX(trace, trace.runs.length - 1));
+            for (const forwards of trace.forwards) {
+                if (Number.isFinite(forwards)) {
+                    minY = Math.min(minY, forwards);
+                    maxY = Math.max(maxY, forwards);
+                }
+            }
+        }
+        if (!Number.isFinite(minY)) {
+            minY = 0;
+            maxY = 1;
+        }
+        // flat ranges would collapse the plot
+        maxX = Math.max(maxX, 1);
+        maxY = Math.max(maxY, minY + 1);
+
+        const plotWidth = width - PADDING_LEFT - PADDING_RIGHT;
+        const plotHeight = height - PADDING_TOP - PADDING_BOTTOM;
+        const mapX = x => PADDING_LEFT + plotWidth * x / maxX;
+        const mapY = y => PADDING_TOP + plotHeight * (1 - (y - minY) / (maxY - minY));
+
+        this.drawAxes(minY, maxY, maxX, xAxis);
+        for (const trace of traces) {
+            this.drawTrace(trace, TRACE_COLORS[(trace.id - 1) % TRACE_COLORS.length], getX, mapX, mapY,
+                Math.ceil(trace.runs.length / (4 * plotWidth)));
+        }
+        this.drawLegend(traces);
+    }
+
+    /**
+     * @private
+     */
+    drawAxes(minY, maxY, maxX, xAxis) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        ctx.strokeStyle = AXIS_COLOR;
+        ctx.fillStyle = AXIS_COLOR;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(PADDING_LEFT, PADDING_TOP);
+        ctx.lineTo(PADDING_LEFT, height - PADDING_BOTTOM);
+        ctx.lineTo(width - PADDING_RIGHT, height - PADDING_BOTTOM);
+        ctx.stroke();
+
+        ctx.textAlign = "right";
+        ctx.textBaseline = "top";
+        ctx.fillText(maxY.toFixed(0), PADDING_LEFT - 4, PADDING_TOP);
+        ctx.textBaseline = "bottom";
+        ctx.fillText(minY.toFixed(0), PADDING_LEFT - 4, height - PADDING_BOTTOM);
+        ctx.textBaseline = "top";
+        const unit = xAxis === ConvergenceChart.X_AXIS_TIME ? " s" : " runs";
+        ctx.fillText((xAxis === ConvergenceChart.X_AXIS_TIME ? maxX.toFixed(1) : maxX.toFixed(0)) + unit,
+            width - PADDING_RIGHT, height - PADDING_BOTTOM + 4);
+        ctx.textAlign = "left";
+        ctx.fillText("0", PADDING_LEFT, height - PADDING_BOTTOM + 4);
+        ctx.textBaseline = "alphabetic";
+    }
+
+    /**
+     * @private
+     * @param {SearchTrace} trace
+     * @param {String} color
+     * @param {function(SearchTrace, Number): Number} getX
+     * @param {function(Number): Number} mapX
+     * @param {function(Number): Number} mapY
+     * @param {Number} step only one attempt in this many is drawn, so long traces stay fast to draw
+     */
+    drawTrace(trace, color, getX, mapX, mapY, step) {
+        const ctx = this.ctx;
+        const length = trace.runs.length;
+
+        ctx.globalAlpha = 0.4;
+        ctx.fillStyle = color;
+        for (let i = 0; i < length; i += step) {
+            if (!trace.failures[i] && Number.isFinite(trace.forwards[i])) {
+                ctx.fillRect(mapX(getX(trace, i)) - 1, mapY(trace.forwards[i]) - 1, MARKER_SIZE, MARKER_SIZE);
+            }
+        }
+        ctx.globalAlpha = 1;
+
+        ctx.strokeStyle = this.failureColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < length; i += step) {
+            if (trace.failures[i] && Number.isFinite(trace.forwards[i])) {
+                const x = mapX(getX(trace, i));
+                const y = mapY(trace.forwards[i]);
+                ctx.moveTo(x - MARKER_SIZE, y - MARKER_SIZE);
+                ctx.lineTo(x + MARKER_SIZE, y + MARKER_SIZE);
+                ctx.moveTo(x - MARKER_SIZE, y + MARKER_SIZE);
+                ctx.lineTo(x + MARKER_SIZE, y - MARKER_SIZE);
+            }
+        }
+        ctx.stroke();
+
+        // the best forwards only go down, so they are drawn as steps, through every attempt that changed them
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let previousY = null;
+        for (let i = 0; i < length; i++) {
+            if (Number.isNaN(trace.bestForwards[i])) {
+                continue;
+            }
+            const y = mapY(trace.bestForwards[i]);
+            const x = mapX(getX(trace, i));
+            if (previousY === null) {
+                ctx.moveTo(x, y);
+            } else if (y !== previousY || i === length - 1) {
+                ctx.lineTo(x, previousY);
+                ctx.lineTo(x, y);
+            }
+            previousY = y;
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * @private
+     * @param {SearchTrace[]} traces
+     */
+    drawLegend(traces) {
+        const ctx = this.ctx;
+        const right = this.canvas.width - PADDING_RIGHT - 4;
+        ctx.textAlign = "right";
+        ctx.textBaseline = "top";
+        traces.forEach((trace, i) => {
+            const best = trace.bestForwards[trace.bestForwards.length - 1];
+            ctx.fillStyle = TRACE_COLORS[(trace.id - 1) % TRACE_COLORS.length];
+            ctx.fillText(`#${trace.id} ${trace.label}: ${Number.isNaN(best) ? "-" : best.toFixed(0)}`, right,
+                PADDING_TOP + 4 + 13 * i);
+        });
+        ctx.textAlign = "left";
+        ctx.textBaseline = "alphabetic";
+    }
+}
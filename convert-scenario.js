@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import fs from "fs";
+import {describeRejectedLines, formatScenario, parseScenario} from "./scenario.js";
+
+const USAGE = `Usage: convert-scenario <input> [options]
+
+Converts a scenario in TSV, CSV or JSON into the X\\tY[\\tWEIGHT] format that the partitioner and the browser load
+without options; if players have types or home servers, type and home columns are added, under a header. Settings
+lines (# name = value) are kept. Lines that cannot be read are reported on stderr and left out.
+
+Columns are given by header name (case insensitive) or 0-based index. Without a header, x and y are the first two
+columns and the weight is the third one, if any; with a header, columns named x, y, weight, type and home are used
+unless others are given.
+
+Options:
+  --format <name>          input format: "tsv", "csv" or "json" (default: detected from the contents)
+  --x-column <column>      column holding x
+  --y-column <column>      column holding y
+  --weight-column <column> column holding each player's weight (default: 1 for every player)
+  --id-column <column>     column holding each player's id; players with a missing or repeated id are rejected
+  --type-column <column>   column holding each player's type, for --types and cost profiles
+  --types <list>           comma-separated types of the players to keep (default: all)
+  --home-column <column>   column holding the home server of each player with a legacy client, which cannot be
+                           migrated; empty for the others
+  --swap-axes              exchange x and y (done before flipping)
+  --flip-x                 negate x
+  --flip-y                 negate y
+  --output <file>          write the scenario to this file instead of stdout
+
+Example, for exports with a header whose players have type 6 in column 1 and are at (column 5, -column 3):
+
+  convert-scenario export.tsv --type-column 1 --types 6 --x-column 5 --y-column 3 --flip-y --output scenario.tsv`;
+
+const VALUE_OPTIONS = ["format", "xColumn", "yColumn", "weightColumn", "idColumn", "typeColumn", "types", "homeColumn",
+    "output"];
+const FLAG_OPTIONS = ["swapAxes", "flipX", "flipY"];
+
+/**
+ * @param {String[]} args
+ * @return {{input: String|null, help: Boolean, output: String|null, options: Object}} `options` are the
+ *                                                                                  `ScenarioOptions` to read the input
+ */
+function parseArguments(args) {
+    const result = {input: null, help: false, output: null, options: {}};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--help" || arg === "-h") {
+            result.help = true;
+        } else if (arg.startsWith("--")) {
+            // kebab-case to camelCase
+            const name = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            if (FLAG_OPTIONS.includes(name)) {
+                result.options[name] = true;
+                continue;
+            }
+            if (!VALUE_OPTIONS.includes(name)) {
+                throw new Error(`Unknown option ${arg}`);
+            }
+            const value = args[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for option ${arg}`);
+            }
+            if (name === "output") {
+                result.output = value;
+            } else if (name === "types") {
+                result.options.types = value.split(",").map(type => type.trim()).filter(type => type.length > 0);
+            } else {
+                result.options[name] = value;
+            }
+        } else {
+            result.input = arg;
+        }
+    }
+
+    return result;
+}
+
+function main() {
+    const {input, help, output, options} = parseArguments(process.argv.slice(2));
+    if (help) {
+        console.info(USAGE);
+        return;
+    }
+    if (!input) {
+        throw new Error("Missing input file name\n\n" + USAGE);
+    }
+
+    const scenario = parseScenario(fs.readFileSync(input, "utf-8"), options);
+    if (scenario.rejectedLines.length > 0) {
+        console.warn(describeRejectedLines(scenario));
+    }
+    const text = formatScenario(scenario);
+    if (output) {
+        fs.writeFileSync(output, text);
+    } else {
+        process.stdout.write(text);
+    }
+    console.warn(`${scenario.playerPositions.length} players converted, ${scenario.numberOfFilteredLines} filtered ` +
+        `out by type, ${scenario.rejectedLines.length} rejected`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,141 @@
+
+/**
+ * @typedef {Object} CostProfile
+ * @property {Number} procTimeMineInMicros
+ * @property {Number} procTimeOtherInMicros
+ */
+
+/**
+ * Describes the game server profile used to estimate how loaded each focus is. The defaults reflect the server profile
+ * the tool was originally tuned for.
+ *
+ * Players may have a weight and an entity type. Processing times are multiplied by the player's weight, and types with
+ * a cost profile use the profile's processing times instead of the default ones.
+ */
+export default class CostModel {
+
+    /** Names of the fields that can be configured */
+    static FIELDS = ["procTimeMineInMicros", "procTimeOtherInMicros", "playerStateSendFreqInHz", "neighborCount",
+        "messageSizeInBytes"];
+    /** Names of the fields a cost profile can override */
+    static PROFILE_FIELDS = ["procTimeMineInMicros", "procTimeOtherInMicros"];
+
+    /** @type {Number} time it takes to process the state of a player owned by the server */
+    procTimeMineInMicros = 20;
+    /** @type {Number} time it takes to process the state of a player forwarded from another server */
+    procTimeOtherInMicros = 1;
+    /** @type {Number} how many times per second each player's state is sent */
+    playerStateSendFreqInHz = 5;
+    /** @type {Number} how many nearest players are part of each player's interest set */
+    neighborCount = 100;
+    /** @type {Number} size of each forwarded player state message, used to estimate the bandwidth between servers */
+    messageSizeInBytes = 100;
+    /**
+     * Processing times of each entity type, e.g. `{"vehicle": {"procTimeMineInMicros": 60}}`. Fields missing from a
+     * profile take the default value.
+     * @type {Object<String, Partial<CostProfile>>}
+     */
+    costProfiles = {};
+
+    /**
+     * @param {Object} [params] any subset of this class' fields; unknown fields are ignored. `costProfiles` may also be
+     *                          given as JSON, as in the `# costProfiles = {...}` scenario setting
+     */
+    constructor (params = {}) {
+        for (const field of CostModel.FIELDS) {
+            if (params[field] !== undefined) {
+                this[field] = CostModel.parseField(field, params[field]);
+            }
+        }
+
+        if (params.costProfiles !== undefined) {
+            let costProfiles = params.costProfiles;
+            if (typeof costProfiles === "string") {
+                try {
+                    costProfiles = JSON.parse(costProfiles);
+                } catch (error) {
+                    throw new Error(`Invalid cost profiles: ${error.message}`);
+                }
+            }
+            if (costProfiles === null || typeof costProfiles !== "object" || Array.isArray(costProfiles)) {
+                throw new Error(`Invalid cost profiles: ${params.costProfiles}`);
+            }
+            for (const [type, profile] of Object.entries(costProfiles)) {
+                this.costProfiles[type] = Object.fromEntries(CostModel.PROFILE_FIELDS
+                    .filter(field => profile?.[field] !== undefined)
+                    .map(field => [field, CostModel.parseField(field, profile[field])]));
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {String} field
+     * @param {*} value
+     * @return {Number}
+     */
+    static parseField(field, value) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`Invalid value for cost model field ${field}: ${value}`);
+        }
+        // a count of players, and without neighbors nobody would need forwards
+        if (field === "neighborCount" && !(Number.isInteger(number) && number >= 1)) {
+            throw new Error(`Invalid value for cost model field ${field}: ${value} (expected a positive integer)`);
+        }
+        return number;
+    }
+
+    /**
+     * @param {String|null} type
+     * @return {CostProfile} the processing times of players of the given type
+     */
+    getProfile(type) {
+        const profile = type !== null && Object.hasOwn(this.costProfiles, type) ? this.costProfiles[type] : {};
+        return {
+            procTimeMineInMicros: profile.procTimeMineInMicros ?? this.procTimeMineInMicros,
+            procTimeOtherInMicros: profile.procTimeOtherInMicros ?? this.procTimeOtherInMicros,
+        };
+    }
+
+    /**
+     * @param {Number} ownProcTimeInMicros time it takes to process the state of all players owned by the server once
+     *                                     (see `getProfile()`)
+     * @param {Number} externalProcTimeInMicros same, for all players forwarded from other servers
+     * @return {Number} the processing time required by a server, in microseconds per second
+     */
+    computeLoad(ownProcTimeInMicros, externalProcTimeInMicros) {
+        return this.playerStateSendFreqInHz * (ownProcTimeInMicros + externalProcTimeInMicros);
+    }
+
+    /**
+     * @param {Number} forwards player states forwarded between servers each time states are sent (see
+     *                          `Snapshot.numberOfForwards`)
+     * @return {Number} forwarded player state messages per second
+     */
+    computeForwardsPerSecond(forwards) {
+        return forwards * this.playerStateSendFreqInHz;
+    }
+
+    /**
+     * @param {Number} forwards see `computeForwardsPerSecond()`
+     * @return {Number} estimated bandwidth taken by forwarded messages, in bytes per second
+     */
+    computeBandwidth(forwards) {
+        return this.computeForwardsPerSecond(forwards) * this.messageSizeInBytes;
+    }
+
+    /**
+     * @param {CostModel} other
+     * @return {Boolean}
+     */
+    equals(other) {
+        return CostModel.FIELDS.every(field => this[field] === other[field]) &&
+            JSON.stringify(this.costProfiles) === JSON.stringify(other.costProfiles);
+    }
+
+    toJSON() {
+        return Object.assign(Object.fromEntries(CostModel.FIELDS.map(field => [field, this[field]])),
+            {costProfiles: this.costProfiles});
+    }
+}
@@ -1,4 +1,6 @@
 
+import SpatialIndex from "./spatial-index.js";
+import BoundedMaxHeap from "./bounded-max-heap.js";
 import {euclideanDistanceSquared} from "./utils.js";
 
 /**
@@ -60,40 +62,46 @@ class GridSpatialIndexCell {
 /**
  * A very simple (but yet efficient) spatial index.
  *
- * Divides the board into square cells of fixed size. A cell's size is always a power of 2, so inserting and querying
- * operations are fast due to the use of bitwise operations.
+ * Divides the board into square cells of fixed size. A cell's size is always a power of 2, so mapping positions to
+ * cells is cheap. The board may start anywhere, including at negative coordinates. Points falling outside of it either
+ * make the grid grow or get clamped into the nearest edge cell, depending on the bounds mode. In raw query mode, the
+ * buckets are the grid cells.
  */
-export default class GridSpatialIndex {
+export default class GridSpatialIndex extends SpatialIndex {
 
-    /**
-     * The query will return all elements within the grid cells touched by the radius specified. This is the cheapest
-     * option, but can return a lot of unwanted elements. */
-    static QUERY_MODE_RAW = 0;
-    /** The query will return all elements within the circle delimited by the query's radius. This is the most expensive
-     * option, as the query will compute the euclidean distance from the reference to each candidate. */
-    static QUERY_MODE_CIRCLE = 1;
-    /** The query will return all elements within the squared delimited of sides equal to the radius times two. This is
-     * a trade-off between the options above. It avoids the euclidean distance computation and potentially brings far
-     * less false positives than the first option. */
-    static QUERY_MODE_SQUARE = 2;
+    /** Points outside the board make the grid grow to include them. */
+    static BOUNDS_MODE_GROW = 0;
+    /** Points outside the board are put in the nearest edge cell. The grid never reallocates, but queries may miss (or,
+     * in raw mode, wrongly include) clamped points, since they are not where their cell says they are. */
+    static BOUNDS_MODE_CLAMP = 1;
 
     /**
      * @param {Number} cellSizeExponent A power of two exponent representing a cell square's size
      * @param {Number} width The width of the board. Does not need to be a power of two.
      * @param {Number} height The height of the board. Does not need to be a power of two.
+     * @param {Number} [left] The x coordinate where the board starts
+     * @param {Number} [top] The y coordinate where the board starts
+     * @param {Number} [boundsMode] what to do with points outside the board (see GridSpatialIndex's bounds modes)
      */
-    constructor (cellSizeExponent, width, height) {
+    constructor (cellSizeExponent, width, height, left = 0, top = 0, boundsMode = GridSpatialIndex.BOUNDS_MODE_GROW) {
+        if (boundsMode !== GridSpatialIndex.BOUNDS_MODE_GROW && boundsMode !== GridSpatialIndex.BOUNDS_MODE_CLAMP) {
+            throw new Error(`Unknown bounds mode ${boundsMode}`);
+        }
+        super();
+
         /** @type {Map<Object, CellEntry>} */
         this.cellEntryByKey = new Map();
 
-        this.isAlwaysWithinRadiusFunction = this.isAlwaysWithinRadius.bind(this);
-
         this.cellSizeExponent = cellSizeExponent;
         this.cellSize = 1 << this.cellSizeExponent;
+        this.boundsMode = boundsMode;
+        this.left = left;
+        this.top = top;
         this.width = width;
-        this.widthInCells = Math.ceil(this.width / this.cellSize);
+        // the right and bottom edges belong to the board as well
+        this.widthInCells = Math.floor(this.width / this.cellSize) + 1;
         this.height = height;
-        this.heightInCells = Math.ceil(this.height / this.cellSize);
+        this.heightInCells = Math.floor(this.height / this.cellSize) + 1;
 
         this.totalCellCount = this.widthInCells * this.heightInCells;
 
@@ -104,25 +112,30 @@ export default class GridSpatialIndex {
         }
     }
 
-    /**
-     * Insert an element in the spatial index at coordinates x,y. If the element already exists in the index, it is
-     * updated.
-     *
-     * @param {Object} key a unique identifier representing the element
-     * @param {Number} x the x coordinate of the element
-     * @param {Number} y the y coordinate of the element
-     * @return {Boolean} true if the element was inserted, false if it was just updated
-     */
+    /** @inheritDoc */
     insert(key, x, y) {
-        const cellIndex = this.positionToCellIndex(x, y);
-        const cell = this.cells[cellIndex];
-        if (!cell) {
-            throw new Error(`Coordinate ${x},${y} is out of bounds`);
+        this.validateCoordinate(x, y);
+
+        let col = this.positionToColumn(x);
+        let row = this.positionToRow(y);
+        if (!this.isWithinGrid(col, row)) {
+            if (this.boundsMode === GridSpatialIndex.BOUNDS_MODE_GROW) {
+                this.grow(col, row);
+                col = this.positionToColumn(x);
+                row = this.positionToRow(y);
+            } else {
+                col = this.constrain(0, col, this.widthInCells - 1);
+                row = this.constrain(0, row, this.heightInCells - 1);
+            }
         }
+        const cellIndex = row * this.widthInCells + col;
+        const cell = this.cells[cellIndex];
 
         let cellEntry = this.cellEntryByKey.get(key);
         if (cellEntry) {
             // element was already present in the index; check its current cell and update it if necessary
+            cellEntry.x = x;
+            cellEntry.y = y;
             if (cellEntry.cell.index !== cellIndex) {
                 const previousCell = cellEntry.cell;
                 previousCell.remove(cellEntry);
@@ -138,10 +151,7 @@ export default class GridSpatialIndex {
         }
     }
 
-    /**
-     * @param {Object} key the element to be removed
-     * @return {boolean} true if the element was removed, false if it was not found
-     */
+    /** @inheritDoc */
     remove(key) {
         const cellEntry = this.cellEntryByKey.get(key);
         if (cellEntry) {
@@ -154,17 +164,85 @@ export default class GridSpatialIndex {
     }
 
     /**
-     * Converts x,y coordinates to a cell index in the grid.
-     *
+     * @param {Object} key
+     * @return {Number} index of the cell holding the given element (row * widthInCells + column), or -1 if the element
+     *                  is not in the index
+     */
+    getCellIndexOf(key) {
+        const cellEntry = this.cellEntryByKey.get(key);
+        return cellEntry ? cellEntry.cell.index : -1;
+    }
+
+    /**
      * @private
      * @param {Number} x
+     * @return {Number} the grid column containing x, which may fall outside the grid
+     */
+    positionToColumn(x) {
+        return Math.floor((x - this.left) / this.cellSize);
+    }
+
+    /**
+     * @private
      * @param {Number} y
-     * @return {Number}
+     * @return {Number} the grid row containing y, which may fall outside the grid
+     */
+    positionToRow(y) {
+        return Math.floor((y - this.top) / this.cellSize);
+    }
+
+    /**
+     * @private
+     * @param {Number} col
+     * @param {Number} row
+     * @return {Boolean}
      */
-    positionToCellIndex(x, y) {
-        const col = x >>> this.cellSizeExponent;
-        const row = y >>> this.cellSizeExponent;
-        return row * this.widthInCells + col;
+    isWithinGrid(col, row) {
+        return col >= 0 && col < this.widthInCells && row >= 0 && row < this.heightInCells;
+    }
+
+    /**
+     * Adds cells around the grid so that it contains the given cell. The grid grows by at least half its size in each
+     * direction it needs to, so points moving away one after the other do not cause a reallocation each.
+     *
+     * @private
+     * @param {Number} col
+     * @param {Number} row
+     */
+    grow(col, row) {
+        const minGrowthX = Math.ceil(this.widthInCells / 2);
+        const minGrowthY = Math.ceil(this.heightInCells / 2);
+        const addedLeft = col < 0 ? Math.max(-col, minGrowthX) : 0;
+        const addedRight = col >= this.widthInCells ? Math.max(col - this.widthInCells + 1, minGrowthX) : 0;
+        const addedTop = row < 0 ? Math.max(-row, minGrowthY) : 0;
+        const addedBottom = row >= this.heightInCells ? Math.max(row - this.heightInCells + 1, minGrowthY) : 0;
+
+        const widthInCells = this.widthInCells + addedLeft + addedRight;
+        const heightInCells = this.heightInCells + addedTop + addedBottom;
+        const cells = /** @type {GridSpatialIndexCell[]} */ Array(widthInCells * heightInCells);
+
+        // existing cells keep their entries, only their indexes change
+        for (let oldRow = 0; oldRow < this.heightInCells; oldRow++) {
+            for (let oldCol = 0; oldCol < this.widthInCells; oldCol++) {
+                const cell = this.cells[oldRow * this.widthInCells + oldCol];
+                cell.index = (oldRow + addedTop) * widthInCells + oldCol + addedLeft;
+                cells[cell.index] = cell;
+            }
+        }
+        for (let i = 0; i < cells.length; i++) {
+            if (!cells[i]) {
+                cells[i] = new GridSpatialIndexCell(i);
+            }
+        }
+
+        this.cells = cells;
+        this.left -= addedLeft * this.cellSize;
+        this.top -= addedTop * this.cellSize;
+        this.widthInCells = widthInCells;
+        this.heightInCells = heightInCells;
+        this.width = widthInCells * this.cellSize;
+        this.height = heightInCells * this.cellSize;
+        this.totalCellCount = cells.length;
     }
 
     /**
@@ -175,15 +253,10 @@ export default class GridSpatialIndex {
      * @return {IterableIterator<GridSpatialIndexCell>}
      */
     *iterateRelevantCells(x, y, radius, debugMode = false) {
-        const top = this.constrain(0, y - radius, this.height);
-        const right = this.constrain(0, x + radius, this.width);
-        const bottom = this.constrain(0, y + radius, this.height);
-        const left = this.constrain(0, x - radius, this.width);
-
-        const rowStart = top >>> this.cellSizeExponent;
-        const rowEnd = bottom >>> this.cellSizeExponent;
-        const colStart = left >>> this.cellSizeExponent;
-        const colEnd = right >>> this.cellSizeExponent;
+        const rowStart = Math.max(this.positionToRow(y - radius), 0);
+        const rowEnd = Math.min(this.positionToRow(y + radius), this.heightInCells - 1);
+        const colStart = Math.max(this.positionToColumn(x - radius), 0);
+        const colEnd = Math.min(this.positionToColumn(x + radius), this.widthInCells - 1);
 
         if (debugMode) {
             this.debugQueryCells(rowStart, rowEnd, colStart, colEnd);
@@ -191,13 +264,7 @@ export default class GridSpatialIndex {
 
         for (let row = rowStart; row <= rowEnd; row++) {
             for (let col = colStart; col <= colEnd; col++) {
-                const cellIndex = row * this.widthInCells + col;
-                if (cellIndex >= this.cells.length) {
-                    throw new Error(`Cell index ${cellIndex} out of bounds (x=${x}, y=${y}, radius=${radius}, ` +
-                        `top=${top}, right=${right}, bottom=${bottom}, left=${left}, row=${row}, col=${col}, ` +
-                        `cells.length=${this.cells.length})`);
-                }
-                yield this.cells[cellIndex];
+                yield this.cells[row * this.widthInCells + col];
             }
         }
     }
@@ -212,11 +279,11 @@ export default class GridSpatialIndex {
      * @param {Number} x
      * @param {Number} y
      * @param {Number} cullingRadius
-     * @param {Number} mode specifies how the query should be performed (see GridSpatialIndex's query modes)
-     * @param {Boolean} debugMode
+     * @param {Number} [mode] specifies how the query should be performed (see SpatialIndex's query modes)
+     * @param {Boolean} [debugMode]
      * @return {IterableIterator<Object>}
      */
-    *query(x, y, cullingRadius, mode = GridSpatialIndex.QUERY_MODE_CIRCLE, debugMode = false) {
+    *query(x, y, cullingRadius, mode = SpatialIndex.QUERY_MODE_CIRCLE, debugMode = false) {
         const checkDistance = this.obtainDistanceFunction(mode, cullingRadius, x, y);
 
         for (const cell of this.iterateRelevantCells(x, y, cullingRadius, debugMode)) {
@@ -229,41 +296,79 @@ export default class GridSpatialIndex {
     }
 
     /**
+     * Finds the `count` elements nearest to x,y. The search is exact: rings of cells around the position are visited
+     * until the closest a ring could possibly be is farther than the `count`-th nearest element found so far.
+     *
      * @param {Number} x
      * @param {Number} y
      * @param {Number} count
-     * @return {Object[]}
+     * @return {Object[]} ordered by increasing distance
      */
     queryByCount(x, y, count) {
-        const entries = /** @type {CellEntry} */ [];
+        if (count <= 0) {
+            return [];
+        }
 
-        // collect items
-        let level = 0;
-        while (entries.length < count) {
-            level++;
-            let cellCount = 0;
-            for (const cell of this.iterateCellsAtPosition(x, y, level)) {
-                entries.push(...cell.entries.values());
-                cellCount++;
+        const nearest = new BoundedMaxHeap(count);
+        const maxLevel = this.computeMaxLevel(x, y);
+
+        for (let level = 1; level <= maxLevel; level++) {
+            if (nearest.isFull()) {
+                const ringDistance = this.computeRingDistance(x, y, level);
+                if (nearest.peekPriority() <= ringDistance * ringDistance) {
+                    break;
+                }
             }
-            if (cellCount === 0) {
-                break;  // no new cells
+
+            for (const cell of this.iterateCellsAtPosition(x, y, level)) {
+                for (const entry of cell.entries) {
+                    nearest.offer(entry.element, euclideanDistanceSquared(x, y, entry.x, entry.y));
+                }
             }
         }
 
-        // order by distance
-        // ToDo replace this with quick select of first `count` only
-        entries.sort((a, b) => {
-            const distA = euclideanDistanceSquared(x, y, a.x, a.y);
-            const distB = euclideanDistanceSquared(x, y, b.x, b.y);
-            return distA - distB;
-        });
+        return nearest.drain();
+    }
 
-        return entries.slice(0, count).map(entry => entry.element);
+    /**
+     * @private
+     * @param {Number} x
+     * @param {Number} y
+     * @return {Number} the level of the outermost ring around x,y that still has cells in the grid
+     */
+    computeMaxLevel(x, y) {
+        const centerX = this.positionToColumn(x);
+        const centerY = this.positionToRow(y);
+        return 1 + Math.max(centerX, this.widthInCells - 1 - centerX, centerY, this.heightInCells - 1 - centerY);
     }
 
     /**
-     * Starting from a given position, iterates cells in levels, like an onion.
+     * A lower bound on the distance from x,y to any position in the ring of cells at the given level, i.e., the distance
+     * from x,y to the border of the square made by all inner rings.
+     *
+     * @private
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} level
+     * @return {Number}
+     */
+    computeRingDistance(x, y, level) {
+        if (level <= 1) {
+            return 0;
+        }
+        const centerX = this.positionToColumn(x);
+        const centerY = this.positionToRow(y);
+        const innerLeft = this.left + (centerX - (level - 2)) * this.cellSize;
+        const innerRight = this.left + (centerX + (level - 1)) * this.cellSize;
+        const innerTop = this.top + (centerY - (level - 2)) * this.cellSize;
+        const innerBottom = this.top + (centerY + (level - 1)) * this.cellSize;
+        return Math.min(x - innerLeft, innerRight - x, y - innerTop, innerBottom - y);
+    }
+
+    /**
+     * Starting from a given position, iterates cells in levels, like an onion. Level 1 is the cell containing the
+     * position, level 2 the 8 cells around it, and so on. Cells falling outside the grid are skipped, so each cell is
+     * visited at exactly one level.
      *
      *        +---+
      *    +-+ |   |
@@ -277,35 +382,37 @@ export default class GridSpatialIndex {
      * @return {Generator<GridSpatialIndexCell>}
      */
     *iterateCellsAtPosition(x, y, level) {
-        const centerX = x >>> this.cellSizeExponent;
-        const centerY = y >>> this.cellSizeExponent;
-        const left = Math.max(centerX - (level - 1), 0);
-        const right = Math.min(centerX + (level - 1), this.widthInCells - 1);
-        const top = Math.max(centerY - (level - 1), 0);
-        const bottom = Math.min(centerY + (level - 1), this.heightInCells - 1);
-
-        if (right - left === 0) {
-            const cellIndex = centerY * this.widthInCells + centerX;
-            if (cellIndex < this.cells.length) {
-                yield this.cells[cellIndex];
+        const centerX = this.positionToColumn(x);
+        const centerY = this.positionToRow(y);
+        const left = centerX - (level - 1);
+        const right = centerX + (level - 1);
+        const top = centerY - (level - 1);
+        const bottom = centerY + (level - 1);
+
+        const colStart = Math.max(left, 0);
+        const colEnd = Math.min(right, this.widthInCells - 1);
+        const hasLeftColumn = left >= 0 && left < this.widthInCells;
+        const hasRightColumn = right >= 0 && right < this.widthInCells && right !== left;
+
+        // first row
+        if (top >= 0 && top < this.heightInCells) {
+            for (let col = colStart; col <= colEnd; col++) {
+                yield this.cells[top * this.widthInCells + col];
             }
-        } else {
-            // first row
-            for (let col = left; col <= right; col++) {
-                const cellIndex = top * this.widthInCells + col;
-                yield this.cells[cellIndex];
+        }
+        // intermediate rows
+        for (let row = Math.max(top + 1, 0); row <= Math.min(bottom - 1, this.heightInCells - 1); row++) {
+            if (hasLeftColumn) {
+                yield this.cells[row * this.widthInCells + left];
             }
-            // intermediate rows
-            for (let row = top + 1; row < bottom - 1; row++) {
-                const leftCellIndex = row * this.widthInCells + left;
-                yield this.cells[leftCellIndex];
-                const rightCellIndex = row * this.widthInCells + right;
-                yield this.cells[rightCellIndex];
+            if (hasRightColumn) {
+                yield this.cells[row * this.widthInCells + right];
             }
-            // last row
-            for (let col = left; col <= right; col++) {
-                const cellIndex = bottom * this.widthInCells + col;
-                yield this.cells[cellIndex];
+        }
+        // last row
+        if (bottom >= 0 && bottom < this.heightInCells && bottom !== top) {
+            for (let col = colStart; col <= colEnd; col++) {
+                yield this.cells[bottom * this.widthInCells + col];
             }
         }
     }
@@ -318,10 +425,10 @@ export default class GridSpatialIndex {
      * @param colEnd
      */
     debugQueryCells(rowStart, rowEnd, colStart, colEnd) {
-        const snappedTop = rowStart << this.cellSizeExponent;
-        const snappedBottom = (rowEnd + 1) << this.cellSizeExponent;
-        const snappedLeft = colStart << this.cellSizeExponent;
-        const snappedRight = (colEnd + 1) << this.cellSizeExponent;
+        const snappedTop = this.top + rowStart * this.cellSize;
+        const snappedBottom = this.top + (rowEnd + 1) * this.cellSize;
+        const snappedLeft = this.left + colStart * this.cellSize;
+        const snappedRight = this.left + (colEnd + 1) * this.cellSize;
 
         this.queryDebugInfo = [
             [snappedLeft, snappedTop],
@@ -335,55 +442,4 @@ export default class GridSpatialIndex {
     getQueryDebugInfo() {
         return this.queryDebugInfo;
     }
-
-    /**
-     * @private
-     * @param {Number} mode
-     * @param {Number} radius
-     * @param {Number} x
-     * @param {Number} y
-     * @return {Function}
-     */
-    obtainDistanceFunction(mode, radius, x, y) {
-        switch (mode) {
-            case GridSpatialIndex.QUERY_MODE_RAW: return this.isAlwaysWithinRadiusFunction;
-            case GridSpatialIndex.QUERY_MODE_CIRCLE: return this.isWithinRadius.bind(this, radius, x, y);
-            case GridSpatialIndex.QUERY_MODE_SQUARE: return this.isWithinSquare.bind(this, radius, x, y);
-            default: throw new Error(`Unknown mode ${mode}`);
-        }
-    }
-
-    /**
-     * @private
-     * @param {Number} radius
-     * @param {Number} x0
-     * @param {Number} y0
-     * @param {Number} x1
-     * @param {Number} y1
-     * @return {Boolean}
-     */
-    isWithinRadius(radius, x0, y0, x1, y1) {
-        return Math.hypot(Math.abs(x1 - x0), Math.abs(y1 - y0)) <= radius;
-    }
-
-    /**
-     * @private
-     * @return {boolean}
-     */
-    isAlwaysWithinRadius() {
-        return true;
-    }
-
-    /**
-     * @private
-     * @param {Number} side
-     * @param {Number} x0
-     * @param {Number} y0
-     * @param {Number} x1
-     * @param {Number} y1
-     * @return {Boolean}
-     */
-    isWithinSquare(side, x0, y0, x1, y1) {
-        return Math.abs(x1 - x0) <= side && Math.abs(y1 - y0) <= side;
-    }
 }
@@ -0,0 +1,131 @@
+import GridSpatialIndex from "./grid-spatial-index.js";
+
+/** players per cell */
+export const HEATMAP_MODE_DENSITY = "density";
+/** per cell, how many times the states of its players are forwarded to foreign focuses (weighted, like forwards) */
+export const HEATMAP_MODE_FORWARDS = "forwards";
+
+/** bins across the longest side of the bounding box, when no bin size is given and there are no grid cells to use */
+const DEFAULT_BINS_ACROSS = 64;
+/** so that tiny bin sizes do not exhaust memory */
+const MAX_CELLS = 1 << 22;
+
+/**
+ * Values binned over a grid of square cells covering the players.
+ *
+ * @typedef {Object} Heatmap
+ * @property {Number} left x coordinate where the first column starts
+ * @property {Number} top y coordinate where the first row starts
+ * @property {Number} cellSize in scenario units
+ * @property {Number} columns
+ * @property {Number} rows
+ * @property {Float64Array} values one per cell, row by row (i.e., at `row * columns + column`)
+ * @property {Number} maxValue
+ */
+
+/**
+ * Bins players by position, either into the cells of the partitioner's grid spatial index or into bins of the given
+ * size. The kd-tree has no cells, so a bin size is picked from the bounding box when none is given.
+ *
+ * In density mode, each cell holds how many players it has. In forwards mode, each player contributes its weight once
+ * for every foreign focus whose interest set holds it, so the values of all cells add up to the snapshot's forwards.
+ *
+ * @param {Partitioner} partitioner with its player positions processed
+ * @param {String} mode one of the heatmap modes
+ * @param {Object} [options]
+ * @param {Snapshot} [options.snapshot] whose interest sets are binned in forwards mode
+ * @param {Number|null} [options.binSize] in scenario units; null or zero bins by grid cell
+ * @return {Heatmap}
+ */
+export function computeHeatmap(partitioner, mode, {snapshot = partitioner.bestSnapshot, binSize = null} = {}) {
+    if (mode !== HEATMAP_MODE_DENSITY && mode !== HEATMAP_MODE_FORWARDS) {
+        throw new Error(`Unknown heatmap mode ${mode}`);
+    }
+    if (binSize !== null && !(binSize >= 0)) {
+        throw new Error(`Invalid heatmap bin size: ${binSize}`);
+    }
+
+    const positions = partitioner.getPlayerPositions();
+    const spatialIndex = partitioner.spatialIndex;
+    const isBinnedByGridCell = !binSize && spatialIndex instanceof GridSpatialIndex;
+    const heatmap = isBinnedByGridCell ? createGridCellHeatmap(spatialIndex) :
+        createBinnedHeatmap(partitioner.getBoundingBox(), binSize || null);
+    if (positions.length === 0) {
+        return heatmap;
+    }
+
+    const cellIndexByPlayerIndex = isBinnedByGridCell ?
+        positions.map((position, i) => spatialIndex.getCellIndexOf(i)) :
+        positions.map(([x, y]) => Math.floor((y - heatmap.top) / heatmap.cellSize) * heatmap.columns +
+            Math.floor((x - heatmap.left) / heatmap.cellSize));
+
+    if (mode === HEATMAP_MODE_DENSITY) {
+        if (isBinnedByGridCell) {
+            spatialIndex.cells.forEach((cell, i) => heatmap.values[i] = cell.entries.size);
+        } else {
+            for (const cellIndex of cellIndexByPlayerIndex) {
+                heatmap.values[cellIndex]++;
+            }
+        }
+    } else {
+        const weights = partitioner.getPlayerWeights();
+        for (let fi = 0; fi < snapshot.getFocuses().length; fi++) {
+            for (const playerIndex of snapshot.getExternalInterestSetByFocusIndex(fi)) {
+                const cellIndex = cellIndexByPlayerIndex[playerIndex];
+                // players may have been removed from the index since the snapshot was taken
+                if (cellIndex >= 0) {
+                    heatmap.values[cellIndex] += weights[playerIndex];
+                }
+            }
+        }
+    }
+
+    for (const value of heatmap.values) {
+        heatmap.maxValue = Math.max(heatmap.maxValue, value);
+    }
+    return heatmap;
+}
+
+/**
+ * @param {GridSpatialIndex} spatialIndex
+ * @return {Heatmap} with the index's cells, all of them empty
+ */
+function createGridCellHeatmap(spatialIndex) {
+    return {
+        left: spatialIndex.left,
+        top: spatialIndex.top,
+        cellSize: spatialIndex.cellSize,
+        columns: spatialIndex.widthInCells,
+        rows: spatialIndex.heightInCells,
+        values: new Float64Array(spatialIndex.widthInCells * spatialIndex.heightInCells),
+        maxValue: 0,
+    };
+}
+
+/**
+ * @param {BoundingBox} boundingBox
+ * @param {Number|null} binSize null picks one from the bounding box
+ * @return {Heatmap} covering the bounding box, with every cell empty
+ */
+function createBinnedHeatmap(boundingBox, binSize) {
+    if (!(boundingBox.left <= boundingBox.right)) {
+        // no players
+        return {left: 0, top: 0, cellSize: binSize ?? 1, columns: 0, rows: 0, values: new Float64Array(0), maxValue: 0};
+    }
+    const cellSize = binSize ?? (Math.max(boundingBox.width, boundingBox.height) / DEFAULT_BINS_ACROSS || 1);
+    // the right and bottom edges belong to the bounding box as well
+    const columns = Math.floor(boundingBox.width / cellSize) + 1;
+    const rows = Math.floor(boundingBox.height / cellSize) + 1;
+    if (columns * rows > MAX_CELLS) {
+        throw new Error(`Heatmap bin size ${cellSize} is too small: ${columns}x${rows} bins`);
+    }
+    return {
+        left: boundingBox.left,
+        top: boundingBox.top,
+        cellSize,
+        columns,
+        rows,
+        values: new Float64Array(columns * rows),
+        maxValue: 0,
+    };
+}
@@ -1,19 +1,169 @@
 
 import * as dat from "./node_modules/dat.gui/build/dat.gui.module.js";
-import {readCssVar, readCssVarAsNumber} from "./utils.js";
+import {downloadFile, isValidSeed, readCssVar, readCssVarAsNumber} from "./utils.js";
 import Partitioner from "./partitioner.js";
+import SpatialIndex from "./spatial-index.js";
+import CostModel from "./cost-model.js";
+import TimeSeriesPlayback from "./time-series-playback.js";
+import ClusterSizeSearch from "./cluster-size-search.js";
+import ParallelSearch from "./parallel-search.js";
+import {exportPartition, exportPartitionAsGeoJson, parsePartitionFocuses} from "./partition-io.js";
+import {computeBaselines, computeLegacyClientCost} from "./baselines.js";
+import SearchHistory from "./search-history.js";
+import ConvergenceChart from "./convergence-chart.js";
+import {computeHeatmap, HEATMAP_MODE_DENSITY, HEATMAP_MODE_FORWARDS} from "./heatmap.js";
+import {
+    describeRejectedLines,
+    isJsonScenario,
+    isTimeSeriesScenario,
+    parseNumberList,
+    parseScenario,
+    parseTimeSeriesScenario,
+} from "./scenario.js";
 
 const TAU = Math.PI * 2;
 const STRATEGY_BOUNDING_BOX = "bounding box";
 const STRATEGY_PLAYER_POSITIONS = "player positions";
+const STRATEGY_KMEANS_PLUS_PLUS = "k-means++";
+const STRATEGY_HILL_CLIMBING = "hill climbing";
+const STRATEGY_SIMULATED_ANNEALING = "simulated annealing";
+const STRATEGY_LLOYD_RELAXATION = "lloyd relaxation";
+const AOI_MODE_NEAREST_NEIGHBORS = "k-nearest";
+const AOI_MODE_RADIUS = "radius";
+const AOI_QUERY_MODES = {
+    "circle": SpatialIndex.QUERY_MODE_CIRCLE,
+    "square": SpatialIndex.QUERY_MODE_SQUARE,
+    "raw": SpatialIndex.QUERY_MODE_RAW,
+};
+const SPATIAL_INDEX_GRID = "grid";
+const SPATIAL_INDEX_KD_TREE = "kd-tree";
+const SCENARIO_FORMAT_AUTO = "auto";
+/** from the lightest to the heaviest players, relative to the heaviest one */
+const PLAYER_WEIGHT_COLORS = [...Array(8).keys()].map(i => `hsl(${55 - 7 * i}, 100%, ${75 - 6 * i}%)`);
 const MAX_COMFORTABLE_LOAD_FACTOR = 50;
 const MAX_FOCUSES = 10;
+const MAX_WORKERS = navigator.hardwareConcurrency || 4;
+/** redrawing the convergence chart at every animation frame would slow the search down with long traces */
+const CONVERGENCE_CHART_REDRAW_INTERVAL_IN_MILLIS = 250;
+const HEATMAP_MODE_OFF = "off";
+/** heatmap colors, from the emptiest to the fullest cells; channels are 0-255 and alpha grows with the value */
+const HEATMAP_COLOR_STOPS = [[40, 60, 255], [255, 40, 40], [255, 255, 80]];
+
+/**
+ * Scenario settings the app applies, read from the `# name = value` lines of a scenario.
+ *
+ * @typedef {Object} ScenarioSettings
+ * @property {CostModel} costModel
+ * @property {Number[]|null} focusCapacities null keeps the current ones
+ * @property {Number|null} legacyClientShare null keeps the current one
+ */
+
+/**
+ * Reads and validates the settings of a scenario, so that a scenario with invalid ones can be rejected before it
+ * replaces the current one.
+ *
+ * @param {Object<String, String>} settings
+ * @return {ScenarioSettings}
+ */
+function parseScenarioSettings(settings) {
+    const focusCapacities = settings.focusCapacities ? parseNumberList(settings.focusCapacities) : null;
+    if (focusCapacities !== null) {
+        Partitioner.validateFocusCapacities(focusCapacities);
+    }
+    const legacyClientShare = settings.legacyClientShare !== undefined ? Number(settings.legacyClientShare) : null;
+    if (legacyClientShare !== null) {
+        Partitioner.validateLegacyClientShare(legacyClientShare);
+    }
+    return {costModel: new CostModel(settings), focusCapacities, legacyClientShare};
+}
+
+/**
+ * @param {Number} t from 0 to 1
+ * @return {Number[]} red, green and blue, interpolated between the heatmap's color stops
+ */
+function computeHeatmapColor(t) {
+    const position = t * (HEATMAP_COLOR_STOPS.length - 1);
+    const stopIndex = Math.min(Math.floor(position), HEATMAP_COLOR_STOPS.length - 2);
+    const fraction = position - stopIndex;
+    const from = HEATMAP_COLOR_STOPS[stopIndex];
+    const to = HEATMAP_COLOR_STOPS[stopIndex + 1];
+    return from.map((channel, i) => Math.round(channel + fraction * (to[i] - channel)));
+}
+
+/**
+ * @param {Number} value
+ * @return {String} e.g. "12.3k" or "4.5M"
+ */
+function formatQuantity(value) {
+    if (value >= 1e6) {
+        return (value / 1e6).toFixed(1) + "M";
+    }
+    return value >= 1e3 ? (value / 1e3).toFixed(1) + "k" : value.toFixed(0);
+}
+
+/**
+ * @param {Number} forwards
+ * @return {String} forwards are weighted sums, so they may have decimals when players have fractional weights
+ */
+function formatForwards(forwards) {
+    return Number.isInteger(forwards) ? forwards.toString() : forwards.toFixed(1);
+}
 
 class Controls {
     focuses = 4;
     strategy = STRATEGY_BOUNDING_BOX;
     isRunning = false;
+    /** how many Web Workers to search with; zero runs the search in the main thread */
+    workers = 0;
+    /** seed of the search; the same scenario, settings and seed yield the same runs */
+    seed = 0;
     maxLoadFactor = MAX_COMFORTABLE_LOAD_FACTOR;
+    /** comma-separated CPU budget of each focus, in microseconds per second; empty means one core for each */
+    capacities = "";
+    aoiMode = AOI_MODE_NEAREST_NEIGHBORS;
+    aoiRadius = 10000;
+    aoiQueryMode = "circle";
+    /** how players are indexed to find their areas of interest */
+    spatialIndex = SPATIAL_INDEX_GRID;
+    /** grid spatial index: cells are 2^cellSizeExponent scenario units wide */
+    cellSizeExponent = 13;
+    sizeSearchMode = ClusterSizeSearch.MODE_INCREASING;
+    runsPerSize = 200;
+    /** whether the search should continue from an imported partition or start from scratch */
+    resumeFromImport = true;
+    /** pauses the search so focuses can be dragged, added (click) and removed (right-click) on the canvas */
+    editFocuses = false;
+    showHulls = true;
+    /** the area owned by each focus */
+    showVoronoiCells = false;
+    /** colors players from light to dark as their weight grows */
+    colorPlayersByWeight = false;
+    /** shades the cells under the players by how many players they hold, or by how many forwards their players cause
+     * (see `computeHeatmap()`) */
+    heatmapMode = HEATMAP_MODE_OFF;
+    /** heatmap bin size in scenario units; zero bins by the grid spatial index's cells */
+    heatmapBinSize = 0;
+    /** plots the forwards of every attempt and the best ones so far, one trace per search (see `SearchHistory`) */
+    showConvergenceChart = false;
+    chartXAxis = ConvergenceChart.X_AXIS_RUNS;
+    runsPerFrame = 100;
+    handoffPenalty = 0;
+    /** share of players with legacy clients, which stay with a random home server wherever they are */
+    legacyClientShare = 0;
+    /** how dropped scenarios are read (see `ScenarioOptions`); columns are header names or 0-based indexes */
+    format = SCENARIO_FORMAT_AUTO;
+    xColumn = "";
+    yColumn = "";
+    weightColumn = "";
+    idColumn = "";
+    typeColumn = "";
+    /** players with a home server have legacy clients */
+    homeColumn = "";
+    /** comma-separated types of the players to keep; empty keeps all */
+    types = "";
+    swapAxes = false;
+    flipX = false;
+    flipY = false;
 }
 
 class App {
@@ -23,6 +173,12 @@ class App {
     netCanvasWidth = 0;
     netCanvasHeight = 0;
     /** @type {HTMLCanvasElement} */
+    heatmapCanvas;
+    /** @type {CanvasRenderingContext2D} */
+    heatmapCtx;
+    /** @type {HTMLCanvasElement} holds one pixel per heatmap cell, scaled up when drawn onto the heatmap canvas */
+    heatmapCellsCanvas;
+    /** @type {HTMLCanvasElement} */
     playersCanvas;
     /** @type {CanvasRenderingContext2D} */
     playersCtx;
@@ -39,8 +195,51 @@ class App {
     /** @type {Function} */
     newStrategy = null;
     newMaxLoadFactor = 0;
+    /** @type {CostModel} */
+    newCostModel = null;
+    /** @type {CostModel} the object bound to the cost model GUI controls */
+    costModelControls = new CostModel();
+    hasAreaOfInterestChanged = false;
+    hasSpatialIndexChanged = false;
+    /** @type {Number[]} */
+    newFocusCapacities = null;
+    /** @type {Number} */
+    newHandoffPenalty = null;
+    /** @type {Number} */
+    newSeed = null;
+    /** @type {Number} */
+    newLegacyClientShare = null;
+    /** @type {String} the last scenario dropped, so it can be reloaded with other import options */
+    scenarioText = null;
+    /** @type {Baselines} naive alternatives to the search, computed on demand (see `obtainBaselines()`) */
+    baselines = null;
+    /** @type {Array} what the baselines were computed for */
+    baselinesKey = [];
+    /** @type {LegacyClientCost} computed on demand (see `obtainLegacyClientCost()`) */
+    legacyClientCost = null;
+    /** @type {Array} what the legacy client cost was computed for */
+    legacyClientCostKey = [];
+    /** @type {SearchHistory} attempts of the latest searches, for the convergence chart */
+    searchHistory = new SearchHistory(() =>
+        `${this.controls.strategy}, ${this.partitioner.numberOfFocuses} focuses, seed ${this.partitioner.seed}`);
+    /** @type {ConvergenceChart} */
+    convergenceChart;
+    lastConvergenceChartDrawTime = 0;
+    /** @type {TimeSeriesPlayback} only set when a time series scenario is loaded */
+    playback = null;
+    /** @type {ClusterSizeSearch} only set while searching for the minimum cluster size */
+    clusterSizeSearch = null;
+    /** @type {ParallelSearch} only set once the search runs in workers */
+    parallelSearch = null;
+    /** @type {[Number, Number][]} focuses being edited by hand; null if not editing */
+    editedFocuses = null;
+    /** @type {Snapshot} */
+    editedSnapshot = null;
+    isEditedSnapshotOutdated = false;
+    draggedFocusIndex = -1;
 
     playerColor = readCssVar("player-color");
+    failureColor = readCssVar("failure-color");
 
     focusColors = [];
     focusRadius = 5;
@@ -51,6 +250,12 @@ class App {
     leftColumnWidthWithMargins = this.leftColumnWidth + 2 * readCssVarAsNumber("margin");
 
     constructor () {
+        this.heatmapCanvas = document.createElement("canvas");
+        this.heatmapCanvas.setAttribute("id", "heatmap-canvas");
+        this.heatmapCtx = this.heatmapCanvas.getContext("2d");
+        document.body.appendChild(this.heatmapCanvas);
+        this.heatmapCellsCanvas = document.createElement("canvas");
+
         this.playersCanvas = document.createElement("canvas");
         this.playersCanvas.setAttribute("id", "players-canvas");
         this.playersCtx = this.playersCanvas.getContext("2d");
@@ -61,11 +266,35 @@ class App {
         this.focusesCtx = this.focusesCanvas.getContext("2d");
         document.body.appendChild(this.focusesCanvas);
 
+        const convergenceChartCanvas = document.createElement("canvas");
+        convergenceChartCanvas.setAttribute("id", "convergence-chart-canvas");
+        convergenceChartCanvas.setAttribute("width", "480");
+        convergenceChartCanvas.setAttribute("height", "240");
+        document.body.appendChild(convergenceChartCanvas);
+        this.convergenceChart = new ConvergenceChart(convergenceChartCanvas, this.failureColor);
+
         this.runsElement = document.getElementById("number-of-runs");
+        this.runsPerSecondElement = document.getElementById("runs-per-second");
+        this.workerStatisticsElement = document.getElementById("worker-statistics");
         this.avgRunningTimeElement = document.getElementById("avg-running-time");
         this.numberOfForwardsElement = document.getElementById("number-of-forwards");
+        this.forwardsPerSecondElement = document.getElementById("forwards-per-second");
+        this.bandwidthElement = document.getElementById("bandwidth");
+        this.baselineElements = {
+            fullReplication: document.getElementById("baseline-full-replication"),
+            randomAssignment: document.getElementById("baseline-random-assignment"),
+            gridSplit: document.getElementById("baseline-grid-split"),
+        };
+        this.legacyPlayersElement = document.getElementById("legacy-players");
+        this.legacyClientCostElement = document.getElementById("legacy-client-cost");
         this.numberOfFailuresElement = document.getElementById("number-of-failures");
         this.numberOfSuccessesElement = document.getElementById("number-of-successes");
+        this.frameElement = document.getElementById("frame");
+        this.numberOfHandoffsElement = document.getElementById("number-of-handoffs");
+        this.clusterSizeElement = document.getElementById("cluster-size");
+        this.avgRelaxationStepsElement = document.getElementById("avg-relaxation-steps");
+        this.bestRelaxationStepsElement = document.getElementById("best-relaxation-steps");
+        this.bestRunElement = document.getElementById("best-run");
         this.loadFactorElements = [];
         for (let i = 1; i <= MAX_FOCUSES; i++) {
             const label = document.getElementById(`lf-label-${i}`);
@@ -79,19 +308,28 @@ class App {
         window.addEventListener("resize", this.onResize.bind(this));
 
         this.gui.width = this.leftColumnWidth;
-        const numberOfFocusesControl = this.gui.add(this.controls, "focuses", 1, 10, 1);
-        numberOfFocusesControl.onFinishChange(value => {
+        this.numberOfFocusesController = this.gui.add(this.controls, "focuses", 1, 10, 1);
+        this.numberOfFocusesController.onFinishChange(value => {
             if (value !== this.partitioner.numberOfFocuses) {
                 this.newNumberOfFocuses = value;
             }
         });
         const strategyControl = this.gui.add(this.controls, "strategy",
-            [STRATEGY_BOUNDING_BOX, STRATEGY_PLAYER_POSITIONS]);
+            [STRATEGY_BOUNDING_BOX, STRATEGY_PLAYER_POSITIONS, STRATEGY_KMEANS_PLUS_PLUS, STRATEGY_HILL_CLIMBING,
+                STRATEGY_SIMULATED_ANNEALING, STRATEGY_LLOYD_RELAXATION]);
         strategyControl.onFinishChange(value => {
             if (value === STRATEGY_PLAYER_POSITIONS) {
                 this.newStrategy = this.partitioner.setPlacementStrategyPlayerPositions.bind(this.partitioner);
             } else if (value === STRATEGY_BOUNDING_BOX) {
                 this.newStrategy = this.partitioner.setPlacementStrategyBoundingBox.bind(this.partitioner);
+            } else if (value === STRATEGY_KMEANS_PLUS_PLUS) {
+                this.newStrategy = this.partitioner.setPlacementStrategyKMeansPlusPlus.bind(this.partitioner);
+            } else if (value === STRATEGY_HILL_CLIMBING) {
+                this.newStrategy = this.partitioner.setPlacementStrategyHillClimbing.bind(this.partitioner);
+            } else if (value === STRATEGY_SIMULATED_ANNEALING) {
+                this.newStrategy = this.partitioner.setPlacementStrategySimulatedAnnealing.bind(this.partitioner);
+            } else if (value === STRATEGY_LLOYD_RELAXATION) {
+                this.newStrategy = this.partitioner.setPlacementStrategyLloydRelaxation.bind(this.partitioner);
             }
         });
         const maxLoadFactorControl = this.gui.add(this.controls, "maxLoadFactor", 1, 100, 5);
@@ -100,7 +338,111 @@ class App {
                 this.newMaxLoadFactor = value;
             }
         });
-        this.gui.add(this.controls, "isRunning");
+        this.capacitiesController = this.gui.add(this.controls, "capacities");
+        this.capacitiesController.onFinishChange(value => {
+            try {
+                const focusCapacities = parseNumberList(value);
+                // settings are applied in update(), where an error would stop the animation loop
+                Partitioner.validateFocusCapacities(focusCapacities);
+                this.newFocusCapacities = focusCapacities;
+            } catch (error) {
+                console.error(error.message);
+            }
+        });
+        this.isRunningController = this.gui.add(this.controls, "isRunning");
+        this.gui.add(this.controls, "workers", 0, MAX_WORKERS, 1);
+        this.controls.seed = this.partitioner.seed;
+        this.gui.add(this.controls, "seed").step(1).onFinishChange(value => {
+            if (!isValidSeed(value)) {
+                console.error(`Invalid seed: ${value}`);
+            } else if (value !== this.partitioner.seed) {
+                this.newSeed = value;
+            }
+        });
+
+        this.gui.add(this, "exportJson").name("export JSON");
+        this.gui.add(this, "exportGeoJson").name("export GeoJSON");
+        this.gui.add(this.controls, "resumeFromImport");
+        this.editFocusesController = this.gui.add(this.controls, "editFocuses");
+        this.editFocusesController.onChange(value => value ? this.startEditing() : this.stopEditing());
+        this.gui.add(this, "applyEditedFocuses").name("apply edited focuses");
+        this.gui.add(this.controls, "showHulls").onChange(() => this.redrawFocuses());
+        this.gui.add(this.controls, "showVoronoiCells").onChange(() => this.redrawFocuses());
+        this.gui.add(this.controls, "colorPlayersByWeight").onChange(() => this.drawPlayers());
+
+        const heatmapFolder = this.gui.addFolder("heatmap");
+        heatmapFolder.add(this.controls, "heatmapMode", [HEATMAP_MODE_OFF, HEATMAP_MODE_DENSITY, HEATMAP_MODE_FORWARDS])
+            .onChange(() => this.redrawHeatmap());
+        heatmapFolder.add(this.controls, "heatmapBinSize", 0, 100000, 100).onFinishChange(() => this.redrawHeatmap());
+
+        const costModelFolder = this.gui.addFolder("cost model");
+        this.costModelControllers = [
+            costModelFolder.add(this.costModelControls, "procTimeMineInMicros", 0, 100, 1),
+            costModelFolder.add(this.costModelControls, "procTimeOtherInMicros", 0, 20, 0.1),
+            costModelFolder.add(this.costModelControls, "playerStateSendFreqInHz", 1, 60, 1),
+            costModelFolder.add(this.costModelControls, "neighborCount", 1, 500, 1),
+            costModelFolder.add(this.costModelControls, "messageSizeInBytes", 1, 2000, 1),
+        ];
+        for (const controller of this.costModelControllers) {
+            controller.onFinishChange(() => {
+                const costModel = new CostModel(this.costModelControls);
+                if (!costModel.equals(this.partitioner.costModel)) {
+                    this.newCostModel = costModel;
+                }
+            });
+        }
+
+        const areaOfInterestFolder = this.gui.addFolder("area of interest");
+        const onAreaOfInterestChange = () => this.hasAreaOfInterestChanged = true;
+        areaOfInterestFolder.add(this.controls, "aoiMode", [AOI_MODE_NEAREST_NEIGHBORS, AOI_MODE_RADIUS])
+            .onFinishChange(onAreaOfInterestChange);
+        areaOfInterestFolder.add(this.controls, "aoiRadius", 100, 100000, 100)
+            .onFinishChange(onAreaOfInterestChange);
+        areaOfInterestFolder.add(this.controls, "aoiQueryMode", Object.keys(AOI_QUERY_MODES))
+            .onFinishChange(onAreaOfInterestChange);
+        const onSpatialIndexChange = () => this.hasSpatialIndexChanged = true;
+        areaOfInterestFolder.add(this.controls, "spatialIndex", [SPATIAL_INDEX_GRID, SPATIAL_INDEX_KD_TREE])
+            .onFinishChange(onSpatialIndexChange);
+        areaOfInterestFolder.add(this.controls, "cellSizeExponent", 6, 18, 1)
+            .onFinishChange(onSpatialIndexChange);
+
+        const clusterSizeFolder = this.gui.addFolder("cluster size search");
+        clusterSizeFolder.add(this.controls, "sizeSearchMode",
+            [ClusterSizeSearch.MODE_INCREASING, ClusterSizeSearch.MODE_BINARY]);
+        clusterSizeFolder.add(this.controls, "runsPerSize", 10, 5000, 10);
+        clusterSizeFolder.add(this, "findMinimumClusterSize").name("find min. cluster size");
+
+        const timeSeriesFolder = this.gui.addFolder("time series");
+        timeSeriesFolder.add(this.controls, "runsPerFrame", 1, 1000, 1);
+        timeSeriesFolder.add(this.controls, "handoffPenalty", 0, 20, 0.1).onFinishChange(value => {
+            if (value !== this.partitioner.handoffPenalty) {
+                this.newHandoffPenalty = value;
+            }
+        });
+
+        const convergenceChartFolder = this.gui.addFolder("convergence chart");
+        convergenceChartFolder.add(this.controls, "showConvergenceChart").onChange(() => this.drawConvergenceChart());
+        convergenceChartFolder.add(this.controls, "chartXAxis",
+            [ConvergenceChart.X_AXIS_RUNS, ConvergenceChart.X_AXIS_TIME]).onChange(() => this.drawConvergenceChart());
+        convergenceChartFolder.add(this, "clearConvergenceChart").name("clear chart");
+        convergenceChartFolder.add(this, "exportConvergenceCsv").name("export chart CSV");
+
+        const legacyClientsFolder = this.gui.addFolder("legacy clients");
+        this.legacyClientShareController = legacyClientsFolder.add(this.controls, "legacyClientShare", 0, 1, 0.01);
+        this.legacyClientShareController.onFinishChange(value => {
+            if (value !== this.partitioner.legacyClientShare) {
+                this.newLegacyClientShare = value;
+            }
+        });
+
+        const scenarioImportFolder = this.gui.addFolder("scenario import");
+        scenarioImportFolder.add(this.controls, "format", [SCENARIO_FORMAT_AUTO, "tsv", "csv", "json"]);
+        for (const name of ["xColumn", "yColumn", "weightColumn", "idColumn", "typeColumn", "homeColumn", "types",
+            "swapAxes", "flipX", "flipY"]) {
+            scenarioImportFolder.add(this.controls, name);
+        }
+        scenarioImportFolder.add(this, "reloadScenario").name("reload scenario");
+
         document.getElementById("gui").appendChild(/** @type {Node} */ this.gui.domElement);
 
         this.updateFn = this.update.bind(this);
@@ -108,22 +450,60 @@ class App {
 
         this.focusesCanvas.addEventListener("dragover", e => e.preventDefault());
         this.focusesCanvas.addEventListener("drop", this.onDrop.bind(this));
+        this.focusesCanvas.addEventListener("mousedown", this.onMouseDown.bind(this));
+        this.focusesCanvas.addEventListener("mousemove", this.onMouseMove.bind(this));
+        window.addEventListener("mouseup", () => this.draggedFocusIndex = -1);
+        this.focusesCanvas.addEventListener("contextmenu", e => {
+            if (this.isEditing()) {
+                e.preventDefault();
+            }
+        });
 
         this.resize();
     }
 
+    /**
+     * The search restarts with whatever is loaded, which also replaces what is being edited.
+     */
+    prepareForNewInput() {
+        this.stopParallelSearch();
+        if (this.isEditing()) {
+            this.controls.editFocuses = false;
+            this.editFocusesController.updateDisplay();
+            this.stopEditing();
+        }
+    }
+
     onDrop(e) {
         e.preventDefault();
         if (e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files.length > 0) {
             const file = e.dataTransfer.files[0];
             const reader = new FileReader();
+            this.prepareForNewInput();
+
+            if (file.name.toLowerCase().endsWith(".json")) {
+                reader.addEventListener("load", event => {
+                    const json = event.target.result;
+                    if (isJsonScenario(json, this.getScenarioOptions().format)) {
+                        this.processAndDrawPlayerPositions(json);
+                    } else {
+                        this.importPartition(json);
+                    }
+                });
+                reader.readAsText(file);
+                return false;
+            }
 
             const dropElement = document.getElementById("drop-message");
-            dropElement.innerText = "Loading...";
+            if (dropElement) {
+                dropElement.innerText = "Loading...";
+            }
 
             setTimeout(() => {
                 reader.addEventListener("load", event => {
-                    dropElement.remove();
+                    if (dropElement) {
+                        dropElement.remove();
+                    }
                     const file = event.target.result;
                     this.processAndDrawPlayerPositions(file);
                 });
@@ -135,17 +515,78 @@ class App {
         return false;
     }
 
+    /**
+     * @return {ScenarioOptions} how to read scenarios, according to the "scenario import" controls
+     */
+    getScenarioOptions() {
+        const controls = this.controls;
+        return {
+            format: controls.format === SCENARIO_FORMAT_AUTO ? undefined : controls.format,
+            xColumn: controls.xColumn.trim(),
+            yColumn: controls.yColumn.trim(),
+            weightColumn: controls.weightColumn.trim(),
+            idColumn: controls.idColumn.trim(),
+            typeColumn: controls.typeColumn.trim(),
+            homeColumn: controls.homeColumn.trim(),
+            types: controls.types.split(",").map(type => type.trim()).filter(type => type.length > 0),
+            swapAxes: controls.swapAxes,
+            flipX: controls.flipX,
+            flipY: controls.flipY,
+        };
+    }
+
+    /**
+     * Loads the last scenario dropped again, so changes to the import options take effect.
+     */
+    reloadScenario() {
+        if (this.scenarioText === null) {
+            console.error("Drop a scenario before reloading it");
+            return;
+        }
+        this.prepareForNewInput();
+        this.processAndDrawPlayerPositions(this.scenarioText);
+    }
+
     processAndDrawPlayerPositions(file) {
-        const lines = file.split("\n");
-        const mapToFloat = parseFloat.bind(window);
+        this.scenarioText = file;
+        const options = this.getScenarioOptions();
+        if (isTimeSeriesScenario(file, options)) {
+            this.loadTimeSeries(file);
+            return;
+        }
 
+        let scenario;
+        try {
+            scenario = parseScenario(file, options);
+        } catch (error) {
+            console.error(`Could not load scenario: ${error.message}`);
+            return;
+        }
+        this.reportRejectedLines(scenario);
+        if (scenario.numberOfFilteredLines > 0) {
+            console.log(`Players filtered out by type: ${scenario.numberOfFilteredLines}`);
+        }
+        if (scenario.playerPositions.length === 0) {
+            console.error("The scenario has no players; check the scenario import options");
+            return;
+        }
+        const {playerPositions, playerWeights, playerTypes, playerHomes, playerIds} = scenario;
+        let settings;
+        try {
+            settings = parseScenarioSettings(scenario.settings);
+        } catch (error) {
+            console.error(`Could not load scenario: ${error.message}`);
+            return;
+        }
+
+        this.playback = null;
         this.partitioner.resetPlayerPositions();
+        this.applyScenarioSettings(settings);
 
-        for (const line of lines) {
-            const rawCoordinates = line.split("\t");
-            const coordinates = rawCoordinates.map(mapToFloat);
-            this.partitioner.addPlayerPosition(coordinates);
-        }
+        playerPositions.forEach((position, i) => {
+            this.partitioner.addPlayerPosition(position, playerWeights[i], playerTypes?.[i] ?? null,
+                playerHomes?.[i] ?? null, playerIds?.[i] ?? null);
+        });
 
         const boundingBox = this.partitioner.getBoundingBox();
 
@@ -154,22 +595,110 @@ class App {
         console.log(`Box right: ${boundingBox.right}`);
         console.log(`Box bottom: ${boundingBox.bottom}`);
         console.log(`Box left: ${boundingBox.left}`);
-        console.log("Normalizing...");
 
         const processTimeStart = performance.now();
         this.partitioner.processPlayerPositions();
         const processElapsed = performance.now() - processTimeStart;
 
-        console.log(`Box top: ${boundingBox.top}`);
-        console.log(`Box right: ${boundingBox.right}`);
-        console.log(`Box bottom: ${boundingBox.bottom}`);
-        console.log(`Box left: ${boundingBox.left}`);
-        console.log(`Spatial index cell count: ${this.partitioner.spatialIndex.totalCellCount}`);
+        console.log(`Spatial index: ${this.controls.spatialIndex}`);
         console.log(`Structures initialization: ${processElapsed.toFixed(1)} ms`);
 
         this.drawPlayers();
     }
 
+    /**
+     * @param {{rejectedLines: RejectedLine[]}} scenario
+     */
+    reportRejectedLines(scenario) {
+        if (scenario.rejectedLines.length > 0) {
+            console.warn(describeRejectedLines(scenario));
+        }
+    }
+
+    loadTimeSeries(file) {
+        let scenario;
+        let settings;
+        try {
+            scenario = parseTimeSeriesScenario(file);
+            settings = parseScenarioSettings(scenario.settings);
+        } catch (error) {
+            console.error(`Could not load time series: ${error.message}`);
+            return;
+        }
+        this.reportRejectedLines(scenario);
+        const {frames} = scenario;
+
+        this.partitioner.resetPlayerPositions();
+        this.applyScenarioSettings(settings);
+
+        this.playback = new TimeSeriesPlayback(this.partitioner, frames);
+        console.log(`Frames loaded: ${frames.length}`);
+
+        this.nextFrame();
+    }
+
+    /**
+     * @param {ScenarioSettings} settings
+     */
+    applyScenarioSettings(settings) {
+        this.partitioner.setCostModel(settings.costModel);
+        Object.assign(this.costModelControls, this.partitioner.costModel.toJSON());
+        for (const controller of this.costModelControllers) {
+            controller.updateDisplay();
+        }
+
+        if (settings.focusCapacities !== null) {
+            this.partitioner.setFocusCapacities(settings.focusCapacities);
+            this.controls.capacities = this.partitioner.focusCapacities.join(", ");
+            this.capacitiesController.updateDisplay();
+        }
+
+        if (settings.legacyClientShare !== null) {
+            this.partitioner.setLegacyClientShare(settings.legacyClientShare);
+            this.controls.legacyClientShare = this.partitioner.legacyClientShare;
+            this.legacyClientShareController.updateDisplay();
+        }
+    }
+
+    nextFrame() {
+        const processTimeStart = performance.now();
+        this.playback.nextFrame();
+        const processElapsed = performance.now() - processTimeStart;
+
+        const frame = this.playback.getCurrentFrame();
+        console.log(`Frame ${this.playback.frameIndex + 1} (t=${frame.timestamp}): ${frame.playerIds.length} players, ` +
+            `loaded in ${processElapsed.toFixed(1)} ms`);
+        this.frameElement.innerText = `${this.playback.frameIndex + 1}/${this.playback.getNumberOfFrames()}`;
+
+        this.drawPlayers();
+        // the best snapshot may have come from warm-starting with the previous frame's focuses
+        const isWarmStartSuccessful = Number.isFinite(this.partitioner.bestSnapshot.score);
+        if (isWarmStartSuccessful) {
+            this.drawHullsAndFocuses();
+        } else {
+            this.focusesCtx.clearRect(0, 0, this.width, this.height);
+        }
+        this.updateHUD(isWarmStartSuccessful);
+    }
+
+    /**
+     * Moves on to the next frame once the current one has had its share of runs. Stops when there are no more frames.
+     */
+    advancePlayback() {
+        if (this.partitioner.numberOfRuns < this.controls.runsPerFrame || this.playback.isCurrentFrameFinished()) {
+            return;
+        }
+
+        if (this.playback.hasNextFrame()) {
+            this.nextFrame();
+        } else {
+            this.playback.finishFrame();
+            this.controls.isRunning = false;
+            this.isRunningController.updateDisplay();
+            console.table(this.playback.results.map(({focuses, ...result}) => result));
+        }
+    }
+
     onResize() {
         this.resize();
         this.drawPlayers();
@@ -183,6 +712,8 @@ class App {
         this.netCanvasHeight = this.height - 2 * this.margin;
         const widthStr = this.width.toString();
         const heightStr = this.height.toString();
+        this.heatmapCanvas.setAttribute("width", widthStr);
+        this.heatmapCanvas.setAttribute("height", heightStr);
         this.playersCanvas.setAttribute("width", widthStr);
         this.playersCanvas.setAttribute("height", heightStr);
         this.focusesCanvas.setAttribute("width", widthStr);
@@ -190,18 +721,52 @@ class App {
     }
 
     drawPlayers() {
+        this.drawHeatmap();
         this.playersCtx.clearRect(0, 0, this.width, this.height);
-        this.playersCtx.fillStyle = this.playerColor;
+        const positions = this.partitioner.getPlayerPositions();
+        const weights = this.partitioner.getPlayerWeights();
+        let maxWeight = 0;
+        for (const weight of weights) {
+            maxWeight = Math.max(maxWeight, weight);
+        }
 
-        for (const [x, y] of this.partitioner.getPlayerPositions()) {
-            this.playersCtx.fillRect(...this.mapSpaceToCanvasCoordinate(x, y), this.playerRadius, this.playerRadius);
+        if (!this.controls.colorPlayersByWeight || maxWeight === 0) {
+            this.playersCtx.fillStyle = this.playerColor;
+            for (const [x, y] of positions) {
+                this.playersCtx.fillRect(...this.mapSpaceToCanvasCoordinate(x, y),
+                    this.playerRadius, this.playerRadius);
+            }
+            return;
+        }
+
+        // players are grouped by color, so the fill style changes only once per group
+        const playerIndexesByColor = [...Array(PLAYER_WEIGHT_COLORS.length)].map(() => []);
+        for (let i = 0; i < positions.length; i++) {
+            const colorIndex = Math.min(PLAYER_WEIGHT_COLORS.length - 1,
+                Math.floor(PLAYER_WEIGHT_COLORS.length * weights[i] / maxWeight));
+            playerIndexesByColor[colorIndex].push(i);
         }
+        playerIndexesByColor.forEach((playerIndexes, colorIndex) => {
+            this.playersCtx.fillStyle = PLAYER_WEIGHT_COLORS[colorIndex];
+            for (const i of playerIndexes) {
+                this.playersCtx.fillRect(...this.mapSpaceToCanvasCoordinate(...positions[i]),
+                    this.playerRadius, this.playerRadius);
+            }
+        });
     }
 
-    drawHullsAndFocuses() {
+    /**
+     * @param {Snapshot} [snapshot]
+     */
+    drawHullsAndFocuses(snapshot = this.partitioner.bestSnapshot) {
         this.focusesCtx.clearRect(0, 0, this.width, this.height);
+        if (this.controls.heatmapMode === HEATMAP_MODE_FORWARDS) {
+            this.drawHeatmap(snapshot);
+        }
 
-        const snapshot = this.partitioner.bestSnapshot;
+        if (this.controls.showVoronoiCells) {
+            this.drawVoronoiCells(snapshot);
+        }
 
         const focuses = snapshot.getFocuses();
         for (let fi = 0; fi < focuses.length; fi++) {
@@ -213,8 +778,8 @@ class App {
             this.focusesCtx.fill();
         }
 
-        const innerHulls = snapshot.obtainInnerHulls();
-        const outerHulls = snapshot.obtainOuterHulls();
+        const innerHulls = this.controls.showHulls ? snapshot.obtainInnerHulls() : [];
+        const outerHulls = this.controls.showHulls ? snapshot.obtainOuterHulls() : [];
 
         for (let fi = 0; fi < innerHulls.length; fi++) {
             const innerHull = innerHulls[fi];
@@ -229,16 +794,154 @@ class App {
                 this.drawHull(outerHull);
             }
         }
+
+        if (!snapshot.isWithinComfortableLFThreshold) {
+            this.drawFailureMarkers(snapshot);
+        }
+    }
+
+    /**
+     * Shades each heatmap cell by its value, relative to the fullest cell. Values go through a square root, so that
+     * sparse areas still show next to crowded ones.
+     *
+     * @param {Snapshot} [snapshot] whose forwards are shown in forwards mode
+     */
+    drawHeatmap(snapshot = this.partitioner.bestSnapshot) {
+        this.heatmapCtx.clearRect(0, 0, this.width, this.height);
+        if (this.controls.heatmapMode === HEATMAP_MODE_OFF || this.partitioner.getNumberOfPlayers() === 0) {
+            return;
+        }
+
+        let heatmap;
+        try {
+            heatmap = computeHeatmap(this.partitioner, this.controls.heatmapMode,
+                {snapshot, binSize: this.controls.heatmapBinSize});
+        } catch (error) {
+            console.error(`Could not draw heatmap: ${error.message}`);
+            return;
+        }
+        if (heatmap.maxValue === 0) {
+            return;
+        }
+
+        const image = new ImageData(heatmap.columns, heatmap.rows);
+        for (let i = 0; i < heatmap.values.length; i++) {
+            if (heatmap.values[i] > 0) {
+                const t = Math.sqrt(heatmap.values[i] / heatmap.maxValue);
+                image.data.set([...computeHeatmapColor(t), Math.round(64 + 160 * t)], 4 * i);
+            }
+        }
+        this.heatmapCellsCanvas.width = heatmap.columns;
+        this.heatmapCellsCanvas.height = heatmap.rows;
+        this.heatmapCellsCanvas.getContext("2d").putImageData(image, 0, 0);
+
+        const [left, top] = this.mapSpaceToCanvasCoordinate(heatmap.left, heatmap.top);
+        const [right, bottom] = this.mapSpaceToCanvasCoordinate(heatmap.left + heatmap.columns * heatmap.cellSize,
+            heatmap.top + heatmap.rows * heatmap.cellSize);
+        // cells should keep sharp edges when scaled up
+        this.heatmapCtx.imageSmoothingEnabled = false;
+        this.heatmapCtx.drawImage(this.heatmapCellsCanvas, left, top, right - left, bottom - top);
+    }
+
+    /**
+     * Redraws the heatmap for whatever snapshot is currently on display, e.g. after its mode is changed.
+     */
+    redrawHeatmap() {
+        this.drawHeatmap(this.editedSnapshot ?? this.partitioner.bestSnapshot);
+    }
+
+    /**
+     * Shades the area owned by each focus and draws the boundaries between focuses.
+     *
+     * @param {Snapshot} snapshot
+     */
+    drawVoronoiCells(snapshot) {
+        const ctx = this.focusesCtx;
+        const cells = snapshot.getVoronoiCells();
+        ctx.lineWidth = 2;
+        for (let fi = 0; fi < cells.length; fi++) {
+            // cells of coinciding focuses are empty
+            if (cells[fi].length < 3) {
+                continue;
+            }
+            ctx.fillStyle = this.focusColors[fi];
+            ctx.strokeStyle = this.focusColors[fi];
+            ctx.globalAlpha = 0.15;
+            this.tracePolygon(cells[fi]);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.stroke();
+        }
+        ctx.lineWidth = 1;
+    }
+
+    /**
+     * Redraws whatever snapshot is currently on display, e.g. after a layer is toggled.
+     */
+    redrawFocuses() {
+        if (this.isEditing()) {
+            this.isEditedSnapshotOutdated = true;
+        } else if (Number.isFinite(this.partitioner.bestSnapshot.score)) {
+            this.drawHullsAndFocuses();
+        }
+    }
+
+    /**
+     * Circles every overloaded focus and tells the attempt failed. Only hand-edited snapshots can get here, since the
+     * search only keeps successful attempts.
+     *
+     * @param {Snapshot} snapshot
+     */
+    drawFailureMarkers(snapshot) {
+        const ctx = this.focusesCtx;
+        const focuses = snapshot.getFocuses();
+        ctx.strokeStyle = this.failureColor;
+        ctx.fillStyle = this.failureColor;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        for (let fi = 0; fi < focuses.length; fi++) {
+            if (snapshot.getFocusLoadFactor(fi) > this.partitioner.maxComfortableLoadFactor) {
+                const [x, y] = this.mapSpaceToCanvasCoordinate(...focuses[fi]);
+                ctx.beginPath();
+                ctx.ellipse(x, y, 3 * this.focusRadius, 3 * this.focusRadius, 0, 0, TAU, false);
+                ctx.stroke();
+            }
+        }
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+
+        ctx.font = "bold 16px monospace";
+        ctx.fillText("Load factor threshold exceeded", this.margin, this.margin / 2);
     }
 
     drawHull(hull) {
+        this.tracePolygon(hull);
+        this.focusesCtx.stroke();
+    }
+
+    /**
+     * @param {[Number, Number][]} polygon
+     */
+    tracePolygon(polygon) {
         this.focusesCtx.beginPath();
-        this.focusesCtx.moveTo(...this.mapSpaceToCanvasCoordinate(...hull[0]));
-        for (let hi = 1; hi < hull.length; hi++) {
-            this.focusesCtx.lineTo(...this.mapSpaceToCanvasCoordinate(...hull[hi]));
+        this.focusesCtx.moveTo(...this.mapSpaceToCanvasCoordinate(...polygon[0]));
+        for (let i = 1; i < polygon.length; i++) {
+            this.focusesCtx.lineTo(...this.mapSpaceToCanvasCoordinate(...polygon[i]));
         }
         this.focusesCtx.closePath();
-        this.focusesCtx.stroke();
+    }
+
+    /**
+     * @param {Number} x
+     * @param {Number} y
+     * @return {[Number, Number]}
+     */
+    mapCanvasToSpaceCoordinate(x, y) {
+        const boundingBox = this.partitioner.getBoundingBox();
+        return [
+            boundingBox.left + boundingBox.width * (x - this.margin) / this.netCanvasWidth,
+            boundingBox.top + boundingBox.height * (y - this.margin) / this.netCanvasHeight
+        ];
     }
 
     /**
@@ -255,67 +958,616 @@ class App {
     }
 
     update() {
-        if (this.controls.isRunning) {
+        if (this.isEditing()) {
+            if (this.isEditedSnapshotOutdated) {
+                this.updateEditedSnapshot();
+            }
+        } else if (this.controls.isRunning) {
+            let haveSettingsChanged = false;
 
             if (this.newNumberOfFocuses !== 0) {
                 this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
                 this.partitioner.changeNumberOfFocuses(this.newNumberOfFocuses);
                 this.newNumberOfFocuses = 0;
+                // the user took over the number of focuses
+                this.clusterSizeSearch = null;
             }
 
             if (this.newStrategy !== null) {
                 this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
                 this.newStrategy.call();
                 this.newStrategy = null;
             }
 
             if (this.newMaxLoadFactor !== 0) {
                 this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
                 this.partitioner.setMaxComfortableLoadFactor(this.newMaxLoadFactor);
                 this.newMaxLoadFactor = 0;
             }
 
-            this.randomizeFocuses();
+            if (this.newFocusCapacities !== null) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                this.partitioner.setFocusCapacities(this.newFocusCapacities);
+                this.newFocusCapacities = null;
+            }
+
+            if (this.newCostModel !== null) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                this.partitioner.setCostModel(this.newCostModel);
+                this.newCostModel = null;
+            }
+
+            if (this.hasAreaOfInterestChanged) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                this.applyAreaOfInterest();
+                this.hasAreaOfInterestChanged = false;
+            }
+
+            if (this.hasSpatialIndexChanged) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                this.applySpatialIndex();
+                this.hasSpatialIndexChanged = false;
+            }
+
+            if (this.newHandoffPenalty !== null) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                this.partitioner.setHandoffPenalty(this.newHandoffPenalty);
+                this.newHandoffPenalty = null;
+            }
+
+            if (this.newSeed !== null) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                if (this.playback) {
+                    // each frame derives its own seed
+                    this.playback.setSeed(this.newSeed);
+                } else {
+                    this.partitioner.setSeed(this.newSeed);
+                }
+                this.newSeed = null;
+            }
+
+            if (this.newLegacyClientShare !== null) {
+                this.focusesCtx.clearRect(0, 0, this.width, this.height);
+                haveSettingsChanged = true;
+                this.partitioner.setLegacyClientShare(this.newLegacyClientShare);
+                this.newLegacyClientShare = null;
+            }
+
+            if (haveSettingsChanged) {
+                // the best snapshot was reset, and the grid cells may have changed with the spatial index
+                this.drawHeatmap();
+            }
+
+            if (this.shouldSearchInParallel()) {
+                this.runParallelSearch(haveSettingsChanged);
+            } else {
+                this.stopParallelSearch();
+                this.randomizeFocuses();
+            }
+
+            if (this.playback) {
+                this.advancePlayback();
+            }
+        }
+
+        if (!this.controls.isRunning || this.isEditing()) {
+            this.stopParallelSearch();
+        }
+        if (performance.now() - this.lastConvergenceChartDrawTime > CONVERGENCE_CHART_REDRAW_INTERVAL_IN_MILLIS) {
+            this.drawConvergenceChart();
         }
         requestAnimationFrame(this.updateFn);
     }
 
+    /**
+     * Switching modes rebuilds the neighbor cache, which may take a while for large scenarios.
+     */
+    applyAreaOfInterest() {
+        const start = performance.now();
+        if (this.controls.aoiMode === AOI_MODE_RADIUS) {
+            this.partitioner.setAreaOfInterestRadius(this.controls.aoiRadius, AOI_QUERY_MODES[this.controls.aoiQueryMode]);
+        } else {
+            this.partitioner.setAreaOfInterestNearestNeighbors();
+        }
+        console.log(`Neighbor cache rebuilt in ${(performance.now() - start).toFixed(1)} ms`);
+    }
+
+    /**
+     * Switching backends rebuilds the spatial index and the neighbor cache.
+     */
+    applySpatialIndex() {
+        const start = performance.now();
+        if (this.controls.spatialIndex === SPATIAL_INDEX_KD_TREE) {
+            this.partitioner.setSpatialIndexKdTree();
+        } else {
+            this.partitioner.setSpatialIndexGrid(this.controls.cellSizeExponent);
+        }
+        console.log(`Spatial index rebuilt in ${(performance.now() - start).toFixed(1)} ms`);
+    }
+
+    /**
+     * Evaluates a saved partition (see `parsePartitionFocuses()`) against the current scenario.
+     *
+     * @param {String} json
+     */
+    importPartition(json) {
+        if (this.partitioner.getNumberOfPlayers() === 0) {
+            console.error("Load a scenario before importing a partition");
+            return;
+        }
+
+        let focuses;
+        try {
+            focuses = parsePartitionFocuses(json);
+        } catch (error) {
+            console.error(`Could not import partition: ${error.message}`);
+            return;
+        }
+        if (focuses.length > MAX_FOCUSES) {
+            console.error(`Could not import partition: it has ${focuses.length} focuses, ` +
+                `but at most ${MAX_FOCUSES} are supported`);
+            return;
+        }
+
+        this.clusterSizeSearch = null;
+        const snapshot = this.partitioner.importFocuses(focuses, this.controls.resumeFromImport);
+        this.controls.focuses = this.partitioner.numberOfFocuses;
+        this.numberOfFocusesController.updateDisplay();
+
+        console.log(`Imported partition: ${snapshot.numberOfForwards} forwards, ` +
+            `${snapshot.isWithinComfortableLFThreshold ? "within" : "exceeds"} the load factor threshold, loads: ` +
+            snapshot.loadFactorByFocusIndex.map(loadFactor => loadFactor.toFixed(1) + "%").join(", "));
+
+        const isBest = this.partitioner.bestSnapshot === snapshot;
+        this.focusesCtx.clearRect(0, 0, this.width, this.height);
+        if (isBest) {
+            this.drawHullsAndFocuses();
+        }
+        this.updateHUD(isBest);
+    }
+
+    isEditing() {
+        return this.editedFocuses !== null;
+    }
+
+    /**
+     * Starts editing from the best snapshot found so far, if any. The search is paused while editing.
+     */
+    startEditing() {
+        if (this.partitioner.getNumberOfPlayers() === 0) {
+            console.error("Load a scenario before editing focuses");
+            this.controls.editFocuses = false;
+            this.editFocusesController.updateDisplay();
+            return;
+        }
+
+        const bestSnapshot = this.partitioner.bestSnapshot;
+        this.editedFocuses = Number.isFinite(bestSnapshot.score) ?
+            bestSnapshot.getFocuses().map(([x, y]) => [x, y]) : [];
+        this.isEditedSnapshotOutdated = true;
+    }
+
+    stopEditing() {
+        this.editedFocuses = null;
+        this.editedSnapshot = null;
+        this.draggedFocusIndex = -1;
+
+        const hasBestSnapshot = Number.isFinite(this.partitioner.bestSnapshot.score);
+        if (hasBestSnapshot) {
+            this.drawHullsAndFocuses();
+        } else {
+            this.focusesCtx.clearRect(0, 0, this.width, this.height);
+        }
+        this.updateHUD(hasBestSnapshot);
+    }
+
+    /**
+     * Makes the search continue from the edited focuses (see `Partitioner.importFocuses()`).
+     */
+    applyEditedFocuses() {
+        if (!this.isEditing() || this.editedFocuses.length === 0) {
+            return;
+        }
+
+        this.clusterSizeSearch = null;
+        this.partitioner.importFocuses(this.editedFocuses);
+        this.controls.focuses = this.partitioner.numberOfFocuses;
+        this.numberOfFocusesController.updateDisplay();
+
+        this.controls.editFocuses = false;
+        this.editFocusesController.updateDisplay();
+        this.stopEditing();
+    }
+
+    /**
+     * @param {MouseEvent} e
+     * @return {Number} index of the edited focus under the mouse cursor, or -1 if none
+     */
+    findEditedFocusAt(e) {
+        const maxDistance = 2 * this.focusRadius;
+        for (let fi = this.editedFocuses.length - 1; fi >= 0; fi--) {
+            const [x, y] = this.mapSpaceToCanvasCoordinate(...this.editedFocuses[fi]);
+            if (Math.hypot(x - e.offsetX, y - e.offsetY) <= maxDistance) {
+                return fi;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @param {MouseEvent} e
+     * @return {[Number, Number]} the position under the mouse cursor, constrained to the bounding box
+     */
+    obtainEditedFocusPosition(e) {
+        const boundingBox = this.partitioner.getBoundingBox();
+        const [x, y] = this.mapCanvasToSpaceCoordinate(e.offsetX, e.offsetY);
+        return [
+            Math.max(boundingBox.left, Math.min(x, boundingBox.right)),
+            Math.max(boundingBox.top, Math.min(y, boundingBox.bottom))
+        ];
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    onMouseDown(e) {
+        if (!this.isEditing()) {
+            return;
+        }
+
+        const focusIndex = this.findEditedFocusAt(e);
+        const isRemoval = e.button === 2 || e.ctrlKey || e.metaKey;
+
+        if (isRemoval) {
+            if (focusIndex >= 0) {
+                this.editedFocuses.splice(focusIndex, 1);
+                this.isEditedSnapshotOutdated = true;
+            }
+        } else if (focusIndex >= 0) {
+            this.draggedFocusIndex = focusIndex;
+        } else if (this.editedFocuses.length < MAX_FOCUSES) {
+            this.editedFocuses.push(this.obtainEditedFocusPosition(e));
+            this.draggedFocusIndex = this.editedFocuses.length - 1;
+            this.isEditedSnapshotOutdated = true;
+        }
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    onMouseMove(e) {
+        if (!this.isEditing() || this.draggedFocusIndex < 0) {
+            return;
+        }
+
+        this.editedFocuses[this.draggedFocusIndex] = this.obtainEditedFocusPosition(e);
+        this.isEditedSnapshotOutdated = true;
+    }
+
+    /**
+     * Re-evaluates the edited focuses. Called at most once per animation frame, no matter how many mouse events came in.
+     */
+    updateEditedSnapshot() {
+        this.isEditedSnapshotOutdated = false;
+
+        if (this.editedFocuses.length === 0) {
+            this.editedSnapshot = null;
+            this.focusesCtx.clearRect(0, 0, this.width, this.height);
+            this.updateHUD(false);
+            return;
+        }
+
+        this.editedSnapshot = this.partitioner.inspectFocuses(this.editedFocuses);
+        this.drawHullsAndFocuses(this.editedSnapshot);
+        this.updateHUD(true, this.editedSnapshot);
+    }
+
+    exportJson() {
+        this.exportBestSnapshot("partition.json", "application/json", exportPartition);
+    }
+
+    exportGeoJson() {
+        this.exportBestSnapshot("partition.geojson", "application/geo+json", exportPartitionAsGeoJson);
+    }
+
+    /**
+     * @param {String} fileName
+     * @param {String} mimeType
+     * @param {Function} exportFn converts the partitioner's best snapshot into a plain object
+     */
+    exportBestSnapshot(fileName, mimeType, exportFn) {
+        if (!Number.isFinite(this.partitioner.bestSnapshot.numberOfForwards)) {
+            console.warn("There is no partition to export yet");
+            return;
+        }
+        downloadFile(fileName, JSON.stringify(exportFn(this.partitioner)), mimeType);
+    }
+
+    drawConvergenceChart() {
+        this.convergenceChart.canvas.style.display = this.controls.showConvergenceChart ? "block" : "none";
+        if (this.controls.showConvergenceChart) {
+            this.convergenceChart.draw(this.searchHistory, this.controls.chartXAxis);
+            this.lastConvergenceChartDrawTime = performance.now();
+        }
+    }
+
+    clearConvergenceChart() {
+        this.searchHistory.clear();
+        this.drawConvergenceChart();
+    }
+
+    exportConvergenceCsv() {
+        if (this.searchHistory.traces.length === 0) {
+            console.warn("There are no attempts to export yet");
+            return;
+        }
+        downloadFile("convergence.csv", this.searchHistory.toCsv(), "text/csv");
+    }
+
+    /**
+     * Starts searching for the smallest number of focuses within the max load factor, from one focus up to the max.
+     */
+    findMinimumClusterSize() {
+        this.focusesCtx.clearRect(0, 0, this.width, this.height);
+        this.clusterSizeSearch = new ClusterSizeSearch(this.partitioner, {
+            maxFocuses: MAX_FOCUSES,
+            runsPerSize: this.controls.runsPerSize,
+            mode: this.controls.sizeSearchMode,
+        });
+        this.controls.isRunning = true;
+        this.isRunningController.updateDisplay();
+        this.updateClusterSizeSearchDisplay();
+    }
+
     randomizeFocuses() {
+        if (this.clusterSizeSearch) {
+            this.runClusterSizeSearchAttempt();
+            return;
+        }
+
         const successfulAttempt = this.partitioner.randomizeFocuses();
+        this.searchHistory.recordAttempt(this.partitioner);
         if (successfulAttempt) {
             this.drawHullsAndFocuses();
         }
         this.updateHUD(successfulAttempt);
     }
 
-    updateHUD(shouldUpdatePartitioningMetrics) {
+    /**
+     * Cluster size searches and time series are always run in the main thread.
+     */
+    shouldSearchInParallel() {
+        return this.controls.workers > 0 && !this.clusterSizeSearch && !this.playback &&
+            this.partitioner.getNumberOfPlayers() > 0;
+    }
+
+    /**
+     * Makes sure workers are searching with the current settings, and renders what they found.
+     *
+     * @param {Boolean} haveSettingsChanged
+     */
+    runParallelSearch(haveSettingsChanged) {
+        if (this.parallelSearch && this.parallelSearch.numberOfWorkers !== this.controls.workers) {
+            this.parallelSearch.terminate();
+            this.parallelSearch = null;
+        }
+        if (!this.parallelSearch) {
+            this.parallelSearch = new ParallelSearch(this.partitioner, this.controls.workers);
+            this.parallelSearch.onProgress = statistics => this.searchHistory.recordAttempts(this.partitioner,
+                statistics.attemptForwards, statistics.attemptFailures);
+        }
+        if (!this.parallelSearch.isRunning || haveSettingsChanged) {
+            this.parallelSearch.start();
+        }
+
+        const hasNewBest = this.parallelSearch.hasNewBest;
+        this.parallelSearch.hasNewBest = false;
+        if (hasNewBest) {
+            this.drawHullsAndFocuses();
+        }
+        this.updateHUD(hasNewBest);
+    }
+
+    stopParallelSearch() {
+        if (this.parallelSearch && this.parallelSearch.isRunning) {
+            this.parallelSearch.stop();
+        }
+    }
+
+    runClusterSizeSearchAttempt() {
+        const search = this.clusterSizeSearch;
+        const previousNumberOfFocuses = search.getCurrentNumberOfFocuses();
+
+        const successfulAttempt = search.runAttempt();
+
+        if (search.isFinished) {
+            console.table(search.trials);
+            this.clusterSizeSearch = null;
+            this.controls.isRunning = false;
+            this.isRunningController.updateDisplay();
+            this.updateClusterSizeSearchDisplay(search);
+            const isSuccessful = search.minimumNumberOfFocuses !== null;
+            if (isSuccessful) {
+                this.drawHullsAndFocuses();
+            }
+            this.updateHUD(isSuccessful);
+        } else if (search.getCurrentNumberOfFocuses() !== previousNumberOfFocuses) {
+            // moved on to the next size
+            this.focusesCtx.clearRect(0, 0, this.width, this.height);
+            this.updateClusterSizeSearchDisplay();
+            this.updateHUD(false);
+        } else {
+            if (successfulAttempt) {
+                this.drawHullsAndFocuses();
+            }
+            this.updateHUD(successfulAttempt);
+        }
+    }
+
+    /**
+     * @param {ClusterSizeSearch} [finishedSearch] if given, shows its outcome instead of the size being tried
+     */
+    updateClusterSizeSearchDisplay(finishedSearch) {
+        this.controls.focuses = this.partitioner.numberOfFocuses;
+        this.numberOfFocusesController.updateDisplay();
+
+        if (finishedSearch) {
+            const minimum = finishedSearch.minimumNumberOfFocuses;
+            this.clusterSizeElement.innerText = minimum === null ? `none up to ${MAX_FOCUSES}` : `min. ${minimum}`;
+        } else {
+            this.clusterSizeElement.innerText = `trying ${this.partitioner.numberOfFocuses}`;
+        }
+    }
+
+    /**
+     * Baselines only change with players and settings, so they are kept until one of them changes.
+     *
+     * @param {Number} numberOfFocuses
+     * @return {Baselines}
+     */
+    obtainBaselines(numberOfFocuses) {
+        const partitioner = this.partitioner;
+        const key = [partitioner.getPlayerPositions(), partitioner.neighbors, partitioner.costModel,
+            partitioner.focusCapacities, partitioner.seed, partitioner.obtainLegacyHomes(), numberOfFocuses];
+        if (this.baselines === null || key.some((value, i) => value !== this.baselinesKey[i])) {
+            this.baselines = computeBaselines(partitioner, numberOfFocuses);
+            this.baselinesKey = key;
+        }
+        return this.baselines;
+    }
+
+    /**
+     * Legacy clients only cost something new when the snapshot or the legacy players change.
+     *
+     * @param {Snapshot} snapshot
+     * @return {LegacyClientCost|null}
+     */
+    obtainLegacyClientCost(snapshot) {
+        const key = [snapshot, this.partitioner.obtainLegacyHomes()];
+        if (key.some((value, i) => value !== this.legacyClientCostKey[i])) {
+            this.legacyClientCost = computeLegacyClientCost(this.partitioner, snapshot);
+            this.legacyClientCostKey = key;
+        }
+        return this.legacyClientCost;
+    }
+
+    /**
+     * @param {Boolean} shouldUpdatePartitioningMetrics
+     * @param {Snapshot} [snapshot] the snapshot whose metrics should be shown; defaults to the best one
+     */
+    updateHUD(shouldUpdatePartitioningMetrics, snapshot = this.partitioner.bestSnapshot) {
 
         this.runsElement.innerText = this.partitioner.numberOfRuns.toString();
+        this.updateRunsPerSecond();
         const avg = this.partitioner.totalElapsedTime / this.partitioner.numberOfRuns;
         this.avgRunningTimeElement.innerText = avg.toFixed(1) + " ms";
         this.numberOfFailuresElement.innerText = this.partitioner.numberOfFailures.toString();
         this.numberOfSuccessesElement.innerText =
             (this.partitioner.numberOfRuns - this.partitioner.numberOfFailures).toString();
+        const avgRelaxationSteps = this.partitioner.numberOfRelaxationSteps / this.partitioner.numberOfRuns;
+        this.avgRelaxationStepsElement.innerText = avgRelaxationSteps === 0 ? "-" : avgRelaxationSteps.toFixed(1);
 
         if (shouldUpdatePartitioningMetrics) {
-            const playerCount = this.partitioner.playerPositions.length;
-            const numberOfFocuses = this.partitioner.numberOfFocuses;
-            const maxForwards = playerCount * (numberOfFocuses - 1);
-
-            const snapshot = this.partitioner.bestSnapshot;
-
-            const perc = 100 * snapshot.numberOfForwards / maxForwards;
-            this.numberOfForwardsElement.innerText = snapshot.numberOfForwards.toString() +
+            const costModel = this.partitioner.costModel;
+            const baselines = this.obtainBaselines(snapshot.numberOfFocuses);
+            // percentage of the forwards that full replication would need
+            const perc = 100 * snapshot.numberOfForwards / baselines.fullReplication.forwards;
+            this.numberOfForwardsElement.innerText = formatForwards(snapshot.numberOfForwards) +
                 ` (${perc.toFixed(1)}%)`;
+
+            // edited snapshots are shown side by side with the best one found by the search
+            const bestSnapshot = this.partitioner.bestSnapshot;
+            if (snapshot !== bestSnapshot && Number.isFinite(bestSnapshot.score)) {
+                this.numberOfForwardsElement.innerText += ` vs ${formatForwards(bestSnapshot.numberOfForwards)}`;
+            }
+            const forwardsPerSecond = costModel.computeForwardsPerSecond(snapshot.numberOfForwards);
+            this.forwardsPerSecondElement.innerText = formatQuantity(forwardsPerSecond);
+            this.bandwidthElement.innerText = formatQuantity(costModel.computeBandwidth(snapshot.numberOfForwards)) +
+                "B/s";
+            for (const [name, element] of Object.entries(this.baselineElements)) {
+                const baseline = baselines[name];
+                const change = 100 * (forwardsPerSecond - baseline.forwardsPerSecond) / baseline.forwardsPerSecond;
+                element.innerText = formatQuantity(baseline.forwardsPerSecond) +
+                    (Number.isFinite(change) ? ` (${change > 0 ? "+" : ""}${change.toFixed(0)}%)` : "");
+                element.title = `fwds/sec of this baseline (change brought by the partition); bandwidth: ` +
+                    `${formatQuantity(baseline.bandwidthInBytesPerSecond)}B/s` + (baseline.maxLoadFactor === null ? "" :
+                    `; max LF: ${baseline.maxLoadFactor.toFixed(1)}%`);
+            }
+            this.updateLegacyClientMetrics(snapshot);
+            this.numberOfHandoffsElement.innerText = this.playback ? snapshot.numberOfHandoffs.toString() : "-";
+            this.bestRelaxationStepsElement.innerText = snapshot.numberOfRelaxationSteps === 0 ? "-" :
+                snapshot.numberOfRelaxationSteps.toString();
+            this.bestRunElement.innerText = snapshot.runIndex === null ? "-" :
+                `#${snapshot.runIndex} (seed ${snapshot.seed})`;
             for (let i = 0; i < snapshot.numberOfFocuses; i++) {
                 const loadFactor = snapshot.getFocusLoadFactor(i);
-                this.loadFactorElements[i].innerText = loadFactor === 0 ? "-" : loadFactor.toFixed(1) + "%";
+                // absolute load shown in milliseconds per second
+                const load = snapshot.getFocusLoad(i) / 1000;
+                this.loadFactorElements[i].innerText = loadFactor === 0 ? "-" :
+                    `${load.toFixed(1)} ms/s (${loadFactor.toFixed(1)}%)`;
             }
             for (let i = snapshot.numberOfFocuses; i < MAX_FOCUSES; i++) {
                 this.loadFactorElements[i].innerText = "-";
             }
         }
     }
+
+    /**
+     * Shows how much the players with legacy clients degrade the snapshot, compared to the same focuses with every
+     * player owned by its closest focus.
+     *
+     * @param {Snapshot} snapshot
+     */
+    updateLegacyClientMetrics(snapshot) {
+        const cost = this.obtainLegacyClientCost(snapshot);
+        if (cost === null || cost.numberOfLegacyPlayers === 0) {
+            this.legacyPlayersElement.innerText = "-";
+            this.legacyClientCostElement.innerText = "-";
+            this.legacyClientCostElement.title = "";
+            return;
+        }
+
+        const share = 100 * cost.numberOfLegacyPlayers / this.partitioner.getNumberOfPlayers();
+        this.legacyPlayersElement.innerText = `${cost.numberOfLegacyPlayers} (${share.toFixed(1)}%)`;
+        // forwards in percent of the ones without legacy clients, load factors in percentage points
+        const change = 100 * (cost.forwards - cost.forwardsWithoutLegacyClients) / cost.forwardsWithoutLegacyClients;
+        const loadFactorChange = cost.maxLoadFactor - cost.maxLoadFactorWithoutLegacyClients;
+        const forwardsText = Number.isFinite(change) ? `${change > 0 ? "+" : ""}${change.toFixed(0)}%` : "-";
+        this.legacyClientCostElement.innerText = `${forwardsText} fwds, ` +
+            `${loadFactorChange > 0 ? "+" : ""}${loadFactorChange.toFixed(1)} max LF`;
+        this.legacyClientCostElement.title = `change brought by legacy clients; without them: ` +
+            `${formatForwards(cost.forwardsWithoutLegacyClients)} fwds, ` +
+            `max LF ${cost.maxLoadFactorWithoutLegacyClients.toFixed(1)}%`;
+    }
+
+    updateRunsPerSecond() {
+        const parallelSearch = this.parallelSearch;
+        if (parallelSearch && parallelSearch.isRunning) {
+            this.runsPerSecondElement.innerText = parallelSearch.getRunsPerSecond().toFixed(1);
+            this.workerStatisticsElement.innerText = parallelSearch.workerStatistics
+                .map((statistics, workerIndex) => parallelSearch.getWorkerRunsPerSecond(workerIndex).toFixed(0))
+                .join(" / ") + " runs/s";
+            this.workerStatisticsElement.title = parallelSearch.workerStatistics
+                .map((statistics, workerIndex) => `#${workerIndex + 1}: ${statistics.runs} runs, ` +
+                    `${statistics.failures} failures, best score ${statistics.bestScore}`)
+                .join("\n");
+        } else {
+            // time spent by attempts only, which is as good as wall time when searching in the main thread
+            const runsPerSecond = 1000 * this.partitioner.numberOfRuns / this.partitioner.totalElapsedTime;
+            this.runsPerSecondElement.innerText = Number.isFinite(runsPerSecond) ? runsPerSecond.toFixed(1) : "-";
+            this.workerStatisticsElement.innerText = "-";
+            this.workerStatisticsElement.title = "";
+        }
+    }
 }
 
 window.addEventListener("load", () => new App());
@@ -0,0 +1,261 @@
+
+import SpatialIndex from "./spatial-index.js";
+import BoundedMaxHeap from "./bounded-max-heap.js";
+import {euclideanDistanceSquared} from "./utils.js";
+
+const X = 0;
+const Y = 1;
+
+/**
+ * Holds a spatial index element, its position and the leaf it is in.
+ */
+class TreeEntry {
+
+    /**
+     * @param {Object} element
+     * @param {Number} x
+     * @param {Number} y
+     */
+    constructor (element, x, y) {
+        this.element = element;
+        this.x = x;
+        this.y = y;
+        /** @type {KdTreeNode} */
+        this.leaf = null;
+    }
+}
+
+/**
+ * An internal structure representing a node in the tree. Leaves hold entries; inner nodes split the plane along an
+ * axis, with entries whose coordinate is below `split` on the low side and the remaining ones on the high side.
+ */
+class KdTreeNode {
+
+    constructor () {
+        /** @type {TreeEntry[]} null for inner nodes */
+        this.entries = [];
+        /** @type {Number} X or Y, for inner nodes */
+        this.axis = X;
+        /** @type {Number} */
+        this.split = 0;
+        /** @type {KdTreeNode} */
+        this.low = null;
+        /** @type {KdTreeNode} */
+        this.high = null;
+    }
+
+    /**
+     * @return {Boolean}
+     */
+    isLeaf() {
+        return this.entries !== null;
+    }
+
+    /**
+     * @param {TreeEntry} entry
+     */
+    insert(entry) {
+        entry.leaf = this;
+        this.entries.push(entry);
+    }
+
+    /**
+     * @param {TreeEntry} entry
+     */
+    remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index >= 0) {
+            // order does not matter within a leaf
+            this.entries[index] = this.entries[this.entries.length - 1];
+            this.entries.pop();
+            entry.leaf = null;
+        }
+    }
+
+    /**
+     * @param {TreeEntry} entry
+     * @return {KdTreeNode} the child the entry belongs to
+     */
+    selectChild(entry) {
+        return (this.axis === X ? entry.x : entry.y) < this.split ? this.low : this.high;
+    }
+}
+
+/**
+ * A bucket k-d tree. Unlike the grid, it has no cell size to tune and adapts to how players are distributed: leaves
+ * hold up to `bucketSize` elements and, once full, are split in two along the axis where their elements are most spread
+ * out. It has no bounds, so any finite coordinate can be inserted.
+ *
+ * The tree is not rebalanced when elements move or are removed, so it stays good as long as the overall distribution
+ * of players does not change much; otherwise, build a new one. In raw query mode, it behaves as in square mode.
+ */
+export default class KdTreeSpatialIndex extends SpatialIndex {
+
+    static DEFAULT_BUCKET_SIZE = 16;
+
+    /**
+     * @param {Number} [bucketSize] how many elements a leaf holds before being split
+     */
+    constructor (bucketSize = KdTreeSpatialIndex.DEFAULT_BUCKET_SIZE) {
+        super();
+        if (!(Number.isInteger(bucketSize) && bucketSize >= 1)) {
+            throw new Error(`Invalid bucket size ${bucketSize}`);
+        }
+
+        this.bucketSize = bucketSize;
+        /** @type {Map<Object, TreeEntry>} */
+        this.treeEntryByKey = new Map();
+        this.root = new KdTreeNode();
+        this.nodeCount = 1;
+    }
+
+    /** @inheritDoc */
+    insert(key, x, y) {
+        this.validateCoordinate(x, y);
+
+        let entry = this.treeEntryByKey.get(key);
+        const isNew = !entry;
+        if (isNew) {
+            entry = new TreeEntry(key, x, y);
+            this.treeEntryByKey.set(key, entry);
+        } else {
+            entry.leaf.remove(entry);
+            entry.x = x;
+            entry.y = y;
+        }
+
+        let node = this.root;
+        while (!node.isLeaf()) {
+            node = node.selectChild(entry);
+        }
+        node.insert(entry);
+        if (node.entries.length > this.bucketSize) {
+            this.splitLeaf(node);
+        }
+        return isNew;
+    }
+
+    /** @inheritDoc */
+    remove(key) {
+        const entry = this.treeEntryByKey.get(key);
+        if (entry) {
+            entry.leaf.remove(entry);
+            this.treeEntryByKey.delete(key);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Turns a leaf into an inner node, splitting its entries at the median of the axis where they are most spread out.
+     * Leaves whose entries are all at the same position are left alone, since no split could separate them.
+     *
+     * @private
+     * @param {KdTreeNode} leaf
+     */
+    splitLeaf(leaf) {
+        const entries = leaf.entries;
+        let minX = Number.POSITIVE_INFINITY;
+        let maxX = Number.NEGATIVE_INFINITY;
+        let minY = Number.POSITIVE_INFINITY;
+        let maxY = Number.NEGATIVE_INFINITY;
+        for (const {x, y} of entries) {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+        if (minX === maxX && minY === maxY) {
+            return;
+        }
+
+        const axis = maxX - minX >= maxY - minY ? X : Y;
+        const coordinates = entries.map(entry => axis === X ? entry.x : entry.y).sort((a, b) => a - b);
+        let split = coordinates[coordinates.length >> 1];
+        if (split === coordinates[0]) {
+            // the median is also the minimum, which would leave the low side empty; split right after the minimum
+            split = coordinates.find(coordinate => coordinate > coordinates[0]);
+        }
+
+        leaf.entries = null;
+        leaf.axis = axis;
+        leaf.split = split;
+        leaf.low = new KdTreeNode();
+        leaf.high = new KdTreeNode();
+        this.nodeCount += 2;
+        for (const entry of entries) {
+            leaf.selectChild(entry).insert(entry);
+        }
+    }
+
+    /** @inheritDoc */
+    *query(x, y, cullingRadius, mode = SpatialIndex.QUERY_MODE_CIRCLE) {
+        if (mode === SpatialIndex.QUERY_MODE_RAW) {
+            mode = SpatialIndex.QUERY_MODE_SQUARE;
+        }
+        const checkDistance = this.obtainDistanceFunction(mode, cullingRadius, x, y);
+
+        // iterative, since trees built from sorted positions can get deep
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.isLeaf()) {
+                for (const entry of node.entries) {
+                    if (checkDistance(entry.x, entry.y)) {
+                        yield entry.element;
+                    }
+                }
+                continue;
+            }
+            const coordinate = node.axis === X ? x : y;
+            if (coordinate - cullingRadius < node.split) {
+                stack.push(node.low);
+            }
+            if (coordinate + cullingRadius >= node.split) {
+                stack.push(node.high);
+            }
+        }
+    }
+
+    /**
+     * Finds the `count` elements nearest to x,y. The search is exact: the side of each split containing the position is
+     * visited first, and the other side only if the split is closer than the `count`-th nearest element found so far.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} count
+     * @return {Object[]} ordered by increasing distance
+     */
+    queryByCount(x, y, count) {
+        if (count <= 0) {
+            return [];
+        }
+
+        const nearest = new BoundedMaxHeap(count);
+        // pending nodes, each with a lower bound on the squared distance from x,y to anything inside it
+        const stack = [this.root];
+        const minDistances = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const minDistance = minDistances.pop();
+            if (nearest.isFull() && minDistance >= nearest.peekPriority()) {
+                continue;
+            }
+            if (node.isLeaf()) {
+                for (const entry of node.entries) {
+                    nearest.offer(entry.element, euclideanDistanceSquared(x, y, entry.x, entry.y));
+                }
+                continue;
+            }
+            const delta = (node.axis === X ? x : y) - node.split;
+            const [near, far] = delta < 0 ? [node.low, node.high] : [node.high, node.low];
+            // pushed first, so it is visited last
+            stack.push(far);
+            minDistances.push(Math.max(minDistance, delta * delta));
+            stack.push(near);
+            minDistances.push(minDistance);
+        }
+
+        return nearest.drain();
+    }
+}
@@ -0,0 +1,229 @@
+
+import {now} from "./utils.js";
+
+/**
+ * @typedef {Object} WorkerStatistics
+ * @property {Number} runs
+ * @property {Number} failures
+ * @property {Number} elapsedTime time spent running attempts, in milliseconds
+ * @property {Number} bestScore score of the best snapshot the worker found
+ */
+
+/**
+ * What a worker reports after each batch of attempts.
+ *
+ * @typedef {Object} BatchStatistics
+ * @property {Number} runs
+ * @property {Number} failures
+ * @property {Number} elapsedTime time spent running attempts, in milliseconds
+ * @property {Number} relaxationSteps
+ * @property {Number[]} attemptForwards forwards of each attempt in the batch, in the order they were made
+ * @property {Boolean[]} attemptFailures whether each attempt in the batch exceeded the max load factor
+ */
+
+/**
+ * Creates a Web Worker in the browser, or a worker thread in Node.js.
+ *
+ * @param {function(Object)} onMessage
+ * @return {Promise<Worker>}
+ */
+async function createWorker(onMessage) {
+    const url = new URL("./search-worker.js", import.meta.url);
+    if (typeof Worker !== "undefined") {
+        // Web Workers do not get the page's import map, so they are told where to import the hull module from instead
+        url.searchParams.set("grahamScan", import.meta.resolve("@lucio/graham-scan"));
+        const worker = new Worker(url, {type: "module"});
+        worker.addEventListener("message", event => onMessage(event.data));
+        return worker;
+    }
+
+    const {Worker: WorkerThread} = await import("node:worker_threads");
+    const worker = new WorkerThread(url);
+    worker.on("message", onMessage);
+    return worker;
+}
+
+/**
+ * Each worker needs its own sequence of random numbers, or they would all make the same runs. Seeds are derived from
+ * the partitioner's, so a parallel search is still reproducible worker by worker.
+ *
+ * @param {Number} seed
+ * @param {Number} workerIndex
+ * @return {Number} an unsigned 32-bit integer
+ */
+function deriveWorkerSeed(seed, workerIndex) {
+    return (seed + Math.imul(workerIndex + 1, 0x9E3779B9)) >>> 0;
+}
+
+/**
+ * Distributes the search across a pool of workers, leaving the thread that owns the partitioner free (e.g., for
+ * rendering). Workers receive the partitioner's players and search settings, run attempts in batches and report back
+ * their statistics, which are added to the partitioner's, and their best focuses, which are re-evaluated here and become
+ * the partitioner's best snapshot if they beat it.
+ *
+ * Players are shared with the workers, not copied, where the environment supports `SharedArrayBuffer` (Node.js, or a
+ * cross-origin isolated page). Whenever players or settings change, call `start()` again.
+ *
+ * Each worker searches with its own seed (see `getWorkerSeed()`), which is recorded in the snapshots it finds. How many
+ * runs each worker makes depends on timing, though, so the combined result of a parallel search is not reproducible.
+ */
+export default class ParallelSearch {
+
+    /** @type {Boolean} */
+    isRunning = false;
+    /** @type {Boolean} set when the partitioner gets a new best snapshot; cleared by the caller */
+    hasNewBest = false;
+    /** @type {WorkerStatistics[]} since the last start */
+    workerStatistics = [];
+    /** @type {function(BatchStatistics)} called after every progress report, once its runs were recorded */
+    onProgress = null;
+
+    /**
+     * @param {Partitioner} partitioner
+     * @param {Number} numberOfWorkers
+     */
+    constructor (partitioner, numberOfWorkers) {
+        if (!(Number.isInteger(numberOfWorkers) && numberOfWorkers >= 1)) {
+            throw new Error(`Invalid number of workers: ${numberOfWorkers}`);
+        }
+
+        this.partitioner = partitioner;
+        this.numberOfWorkers = numberOfWorkers;
+        // progress reports from previous generations are stale and get ignored
+        this.generation = 0;
+        this.startTime = 0;
+        /** @type {Promise<Worker[]>} */
+        this.workersPromise = null;
+        // player data last sent to the workers, so it is only sent again when it changes
+        this.sentPlayerData = null;
+    }
+
+    /**
+     * Starts searching, or restarts the search with the partitioner's current players and settings. If the partitioner
+     * has a best snapshot, workers take it as their starting point.
+     *
+     * @return {Promise<void>} resolves once all workers were told to start
+     */
+    async start() {
+        const generation = ++this.generation;
+        this.isRunning = true;
+        this.startTime = now();
+        this.workerStatistics = [...Array(this.numberOfWorkers)].map(() => ({
+            runs: 0,
+            failures: 0,
+            elapsedTime: 0,
+            bestScore: Number.POSITIVE_INFINITY,
+        }));
+
+        if (this.workersPromise === null) {
+            this.workersPromise = Promise.all([...Array(this.numberOfWorkers).keys()].map(workerIndex =>
+                createWorker(message => this.onMessage(workerIndex, message))));
+        }
+        const workers = await this.workersPromise;
+        if (generation !== this.generation) {
+            // restarted or stopped in the meantime
+            return;
+        }
+
+        const partitioner = this.partitioner;
+        const playerData = partitioner.obtainSharedPlayerData();
+        const bestSnapshot = partitioner.bestSnapshot;
+        const settings = partitioner.exportSearchSettings();
+        const message = {
+            type: "start",
+            generation,
+            playerData: playerData !== this.sentPlayerData ? playerData : null,
+            initialFocuses: Number.isFinite(bestSnapshot.score) ? bestSnapshot.getFocuses() : null,
+        };
+        workers.forEach((worker, workerIndex) => {
+            worker.postMessage(Object.assign({
+                settings: Object.assign({}, settings, {seed: this.getWorkerSeed(workerIndex)}),
+            }, message));
+        });
+        this.sentPlayerData = playerData;
+    }
+
+    /**
+     * @return {Promise<void>}
+     */
+    async stop() {
+        this.generation++;
+        this.isRunning = false;
+        if (this.workersPromise !== null) {
+            for (const worker of await this.workersPromise) {
+                worker.postMessage({type: "stop"});
+            }
+        }
+    }
+
+    /**
+     * Stops and disposes of all workers. The instance cannot be used anymore.
+     *
+     * @return {Promise<void>}
+     */
+    async terminate() {
+        this.generation++;
+        this.isRunning = false;
+        if (this.workersPromise !== null) {
+            await Promise.all((await this.workersPromise).map(worker => worker.terminate()));
+            this.workersPromise = null;
+        }
+    }
+
+    /**
+     * @param {Number} workerIndex
+     * @return {Number} the seed the given worker searches with, derived from the partitioner's
+     */
+    getWorkerSeed(workerIndex) {
+        return deriveWorkerSeed(this.partitioner.seed, workerIndex);
+    }
+
+    /**
+     * @return {Number} attempts per second made by all workers together since the last start
+     */
+    getRunsPerSecond() {
+        const elapsedTimeInSeconds = (now() - this.startTime) / 1000;
+        const runs = this.workerStatistics.reduce((sum, statistics) => sum + statistics.runs, 0);
+        return elapsedTimeInSeconds > 0 ? runs / elapsedTimeInSeconds : 0;
+    }
+
+    /**
+     * @param {Number} workerIndex
+     * @return {Number} attempts per second made by the given worker since the last start
+     */
+    getWorkerRunsPerSecond(workerIndex) {
+        const elapsedTimeInSeconds = (now() - this.startTime) / 1000;
+        return elapsedTimeInSeconds > 0 ? this.workerStatistics[workerIndex].runs / elapsedTimeInSeconds : 0;
+    }
+
+    /**
+     * @private
+     * @param {Number} workerIndex
+     * @param {Object} message
+     */
+    onMessage(workerIndex, message) {
+        if (message.type !== "progress" || message.generation !== this.generation) {
+            return;
+        }
+
+        const {statistics, best} = message;
+        const workerStatistics = this.workerStatistics[workerIndex];
+        workerStatistics.runs += statistics.runs;
+        workerStatistics.failures += statistics.failures;
+        workerStatistics.elapsedTime += statistics.elapsedTime;
+        this.partitioner.recordRuns(statistics);
+
+        if (best) {
+            workerStatistics.bestScore = Math.min(workerStatistics.bestScore, best.score);
+            // no need to evaluate what cannot beat the current best
+            if (best.score < this.partitioner.bestSnapshot.score && this.partitioner.considerFocuses(
+                best.focuses, best.numberOfRelaxationSteps, best.seed, best.runIndex)) {
+                this.hasNewBest = true;
+            }
+        }
+
+        if (this.onProgress) {
+            this.onProgress(statistics);
+        }
+    }
+}
@@ -0,0 +1,165 @@
+import {computeBaselines, computeLegacyClientCost} from "./baselines.js";
+
+/**
+ * Turns a convex polygon (a hull or a Voronoi cell) into a GeoJSON linear ring: closed and, as RFC 7946 requires for
+ * exterior rings, counterclockwise.
+ *
+ * @param {[Number, Number][]} polygon
+ * @return {[Number, Number][]}
+ */
+function polygonToLinearRing(polygon) {
+    let doubleSignedArea = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x0, y0] = polygon[i];
+        const [x1, y1] = polygon[(i + 1) % polygon.length];
+        doubleSignedArea += x0 * y1 - x1 * y0;
+    }
+
+    const ring = doubleSignedArea < 0 ? polygon.slice().reverse() : polygon.slice();
+    ring.push(ring[0]);
+    return ring;
+}
+
+/**
+ * @param {Snapshot} snapshot
+ * @param {Number} numberOfPlayers
+ * @return {Number[]} owning focus index by player index, -1 for players not owned by any focus
+ */
+function obtainOwnerByPlayerIndex(snapshot, numberOfPlayers) {
+    const owners = new Array(numberOfPlayers).fill(-1);
+    for (let focusIndex = 0; focusIndex < snapshot.numberOfFocuses; focusIndex++) {
+        for (const playerIndex of snapshot.getOwnPlayersByFocusIndex(focusIndex)) {
+            owners[playerIndex] = focusIndex;
+        }
+    }
+    return owners;
+}
+
+/**
+ * Builds a GeoJSON feature collection with one point per focus and, for each focus, its Voronoi cell (the area it
+ * owns), its inner hull (the players it owns) and its outer hull (the players it owns plus its external interest set)
+ * as polygons. Degenerate polygons (fewer than 3 vertices) are left out. Coordinates are in the scenario's original
+ * coordinate system.
+ *
+ * @param {Partitioner} partitioner
+ * @param {Snapshot} [snapshot]
+ * @return {Object} a GeoJSON FeatureCollection
+ */
+export function exportPartitionAsGeoJson(partitioner, snapshot = partitioner.bestSnapshot) {
+    const focuses = snapshot.getFocuses();
+    const innerHulls = snapshot.obtainInnerHulls();
+    const outerHulls = snapshot.obtainOuterHulls();
+    const voronoiCells = snapshot.getVoronoiCells();
+    const features = [];
+
+    for (let focusIndex = 0; focusIndex < focuses.length; focusIndex++) {
+        features.push({
+            type: "Feature",
+            geometry: {type: "Point", coordinates: focuses[focusIndex]},
+            properties: {kind: "focus", focusIndex, loadFactor: snapshot.getFocusLoadFactor(focusIndex)},
+        });
+
+        const polygons = [
+            ["voronoi cell", voronoiCells[focusIndex] ?? []],
+            ["inner hull", innerHulls[focusIndex]],
+            ["outer hull", outerHulls[focusIndex]],
+        ];
+        for (const [kind, polygon] of polygons) {
+            if (polygon.length >= 3) {
+                features.push({
+                    type: "Feature",
+                    geometry: {type: "Polygon", coordinates: [polygonToLinearRing(polygon)]},
+                    properties: {kind, focusIndex},
+                });
+            }
+        }
+    }
+
+    return {type: "FeatureCollection", features};
+}
+
+/**
+ * @param {(String|null)[]} playerIds
+ * @param {Number[]} ownerByPlayerIndex
+ * @return {Object<String, Number>} owning focus index by player id, for players that have one
+ */
+function obtainOwnerByPlayerId(playerIds, ownerByPlayerIndex) {
+    return Object.fromEntries(playerIds.flatMap((id, playerIndex) =>
+        id !== null ? [[id, ownerByPlayerIndex[playerIndex]]] : []));
+}
+
+/**
+ * Exports everything needed to deploy a partition: where each focus is, which focus owns each player (players are
+ * identified by their index among the players loaded, which skips lines that were rejected or filtered out; if the
+ * scenario has ids, owners are given by id as well, and so is the id of each player index), the area each focus owns
+ * (its Voronoi cell, clipped to the players' bounding box), which external players each focus needs, the resulting
+ * loads and traffic (compared to naive baselines, see `computeBaselines()`, and to the same focuses without legacy
+ * clients) and the cells and hulls as GeoJSON.
+ * Coordinates are in the scenario's original coordinate system. The seed and run that found the partition are included
+ * as well, so it can be regenerated (they are null for partitions that were imported or edited by hand).
+ *
+ * @param {Partitioner} partitioner
+ * @param {Snapshot} [snapshot]
+ * @return {Object}
+ */
+export function exportPartition(partitioner, snapshot = partitioner.bestSnapshot) {
+    if (!Number.isFinite(snapshot.numberOfForwards)) {
+        throw new Error("There is no partition to export yet");
+    }
+
+    const numberOfFocuses = snapshot.numberOfFocuses;
+    const focusIndexes = [...Array(numberOfFocuses).keys()];
+    const ownerByPlayerIndex = obtainOwnerByPlayerIndex(snapshot, partitioner.getNumberOfPlayers());
+    const playerIds = partitioner.getPlayerIds();
+    const hasPlayerIds = playerIds.some(id => id !== null);
+
+    return {
+        numberOfFocuses,
+        numberOfPlayers: partitioner.getNumberOfPlayers(),
+        isWithinComfortableLFThreshold: snapshot.isWithinComfortableLFThreshold,
+        maxComfortableLoadFactor: partitioner.maxComfortableLoadFactor,
+        costModel: partitioner.costModel,
+        numberOfForwards: snapshot.numberOfForwards,
+        forwardsPerSecond: partitioner.costModel.computeForwardsPerSecond(snapshot.numberOfForwards),
+        bandwidthInBytesPerSecond: partitioner.costModel.computeBandwidth(snapshot.numberOfForwards),
+        baselines: computeBaselines(partitioner, numberOfFocuses),
+        legacyClientShare: partitioner.legacyClientShare,
+        legacyClientCost: computeLegacyClientCost(partitioner, snapshot),
+        seed: snapshot.seed,
+        runIndex: snapshot.runIndex,
+        focuses: snapshot.getFocuses(),
+        focusCapacities: focusIndexes.map(focusIndex => partitioner.getFocusCapacity(focusIndex)),
+        loadByFocusIndex: focusIndexes.map(focusIndex => snapshot.getFocusLoad(focusIndex)),
+        loadFactorByFocusIndex: focusIndexes.map(focusIndex => snapshot.getFocusLoadFactor(focusIndex)),
+        ownerByPlayerIndex,
+        ownerByPlayerId: hasPlayerIds ? obtainOwnerByPlayerId(playerIds, ownerByPlayerIndex) : null,
+        playerIds: hasPlayerIds ? playerIds : null,
+        voronoiCells: snapshot.getVoronoiCells(),
+        interestSetByFocusIndex: focusIndexes.map(focusIndex =>
+            [...snapshot.getExternalInterestSetByFocusIndex(focusIndex)]),
+        hulls: exportPartitionAsGeoJson(partitioner, snapshot),
+    };
+}
+
+/**
+ * Reads the focuses of a previously saved partition. Accepts either what `exportPartition()` produces or a plain array
+ * of focus positions, both in the scenario's original coordinates.
+ *
+ * @param {String} json
+ * @return {[Number, Number][]}
+ */
+export function parsePartitionFocuses(json) {
+    const partition = JSON.parse(json);
+    const focuses = Array.isArray(partition) ? partition : partition.focuses;
+
+    if (!Array.isArray(focuses) || focuses.length === 0) {
+        throw new Error("Partition has no focuses");
+    }
+    for (const focus of focuses) {
+        if (!Array.isArray(focus) || focus.length !== 2 || !focus.every(Number.isFinite)) {
+            throw new Error(`Invalid focus position: ${JSON.stringify(focus)}`);
+        }
+    }
+
+    return focuses;
+}
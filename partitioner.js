@@ -1,42 +1,143 @@
-
+import SpatialIndex from "./spatial-index.js";
 import GridSpatialIndex from "./grid-spatial-index.js";
+import KdTreeSpatialIndex from "./kd-tree-spatial-index.js";
 import BoundingBox from "./bounding-box.js";
 import Snapshot from "./snapshot.js";
-import {euclideanDistanceSquared} from "./utils.js";
+import CostModel from "./cost-model.js";
+import ClusterSizeSearch from "./cluster-size-search.js";
+import {computeVoronoiCells} from "./voronoi.js";
+import {createRandom, createSharedBuffer, euclideanDistanceSquared, generateSeed, isValidSeed, now} from "./utils.js";
 
 /**
- * This dictates the size of the spatial index cell size. Bigger cells mean more players to iterate through, smaller
+ * This dictates the size of the grid spatial index cell size. Bigger cells mean more players to iterate through, smaller
  * ones mean more cells to look. The sweet spot here was empirically determined to be 2**13, but it may be different
- * for different input sets.
+ * for different input sets (`npm run benchmark -- <scenario>` compares a few sizes and the k-d tree).
  */
-const SPATIAL_INDEX_CELL_EXPONENT = 13;  // cell side of approx. 82 meters (8192 cm)
+const DEFAULT_SPATIAL_INDEX_CELL_EXPONENT = 13;  // cell side of approx. 82 meters (8192 cm)
+const SPATIAL_INDEX_GRID = 1;
+const SPATIAL_INDEX_KD_TREE = 2;
 const X = 0;
 const Y = 1;
-const NEIGHBOR_COUNT = 100;
-const PROC_TIME_MINE_IN_MICROS = 20;
-const PROC_TIME_OTHER_IN_MICROS = 1;
-const PLAYER_STATE_SEND_FREQ_IN_HZ = 5;
 const FOCUS_PLACEMENT_STRATEGY_PLAYER_POSITIONS = 1;
 const FOCUS_PLACEMENT_STRATEGY_BOUNDING_BOX = 2;
+const FOCUS_PLACEMENT_STRATEGY_HILL_CLIMBING = 3;
+const FOCUS_PLACEMENT_STRATEGY_SIMULATED_ANNEALING = 4;
+const FOCUS_PLACEMENT_STRATEGY_LLOYD_RELAXATION = 5;
+const FOCUS_PLACEMENT_STRATEGY_KMEANS_PLUS_PLUS = 6;
+/** CPU budget of a single core, in microseconds per second */
+const DEFAULT_FOCUS_CAPACITY_IN_MICROS = 1_000_000;
+const AREA_OF_INTEREST_MODE_NEAREST_NEIGHBORS = 1;
+const AREA_OF_INTEREST_MODE_RADIUS = 2;
+/** picks the players made legacy by `legacyClientShare`, independently of the search seed */
+const LEGACY_CLIENT_SEED = 0x1E9AC7;
+
+/**
+ * @param {String} id
+ * @return {Number} seed of the legacy client draws of the player with the given id, an unsigned 32-bit integer
+ *                  (FNV-1a hash of the id, mixed with `LEGACY_CLIENT_SEED`)
+ */
+function computeLegacyClientSeed(id) {
+    let hash = 0x811C9DC5 ^ LEGACY_CLIENT_SEED;
+    for (let i = 0; i < id.length; i++) {
+        hash = Math.imul(hash ^ id.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * @typedef {Object} SharedPlayerData
+ * @property {Float64Array} playerPositions x and y of each player, interleaved
+ * @property {Float64Array} playerWeights
+ * @property {(String|null)[]|null} playerTypes null if no player has a type
+ * @property {(String|null)[]|null} playerIds null if no player has an id
+ * @property {Int32Array} playerHomes home server given to each player by the scenario, -1 if none
+ * @property {Uint32Array} neighborOffsets where the neighbors of each player start in `neighbors`, plus a last entry
+ *                                         with the total number of neighbors
+ * @property {Uint32Array} neighbors
+ * @property {Int32Array|null} previousOwnerByPlayerIndex
+ * @property {{left: Number, top: Number, right: Number, bottom: Number}} boundingBox
+ */
+
+/**
+ * @typedef {Object} RunStatistics
+ * @property {Number} runs
+ * @property {Number} failures
+ * @property {Number} elapsedTime
+ * @property {Number} relaxationSteps
+ */
 
 export default class Partitioner {
 
     focusPlacementStrategy = FOCUS_PLACEMENT_STRATEGY_BOUNDING_BOX;
     maxComfortableLoadFactor = 100;
+    /** @type {CostModel} */
+    costModel;
+    /**
+     * CPU budget of each focus, in microseconds per second. Focuses without an entry get a single core's budget.
+     * @type {Number[]}
+     */
+    focusCapacities = [];
 
     /** @type {Number} */
     numberOfFocuses = 1;
+    /** @type {Number} seeds `random` whenever the search is reset, so runs can be reproduced */
+    seed = generateSeed();
+    /** @type {function(): Number} the source of all randomness in the search */
+    random = createRandom(this.seed);
     /** @type {Number} */
     numberOfRuns = 0;
     /** @type {Number} */
     numberOfFailures = 0;
     /** @type {Number} */
     totalElapsedTime = 0;
+    /** @type {Number} */
+    numberOfRelaxationSteps = 0;
 
     /** @type {[Number, Number][]} */
     playerPositions = [];
-    /** @type {Uint32Array[]} */
+    /**
+     * How much each player counts, both in loads and in forwards (e.g., a vehicle with passengers may count as many).
+     * @type {Number[]|Float64Array}
+     */
+    playerWeights = [];
+    /** @type {(String|null)[]} entity type of each player, which selects its cost profile (see `CostModel`) */
+    playerTypes = [];
+    /** @type {(String|null)[]} id of each player in the scenario, if it has one */
+    playerIds = [];
+    /**
+     * Weighted processing time of each player when owned and when forwarded, according to the cost model. Built on
+     * demand; dropped whenever players or the cost model change.
+     * @type {{own: Float64Array, external: Float64Array}}
+     */
+    playerProcTimes = null;
+    /**
+     * Home server of each player whose client is unaware of partitioning, as given by the scenario; -1 for the others.
+     * @type {Number[]|Int32Array}
+     */
+    playerHomes = [];
+    /** @type {Number} share of players (0 to 1), picked at random, whose clients are unaware of partitioning */
+    legacyClientShare = 0;
+    /**
+     * Home server of each legacy player, from the scenario or picked according to `legacyClientShare`; -1 for players
+     * that can be migrated. Home servers are taken modulo the number of focuses. Built on demand; dropped whenever
+     * players or the share change.
+     * @type {Int32Array}
+     */
+    legacyHomes = null;
+    /**
+     * Views into `neighbors`, one per player.
+     * @type {Uint32Array[]}
+     */
     neighborsByPlayerIndex = [];
+    /**
+     * Neighbors of all players, back to back, in a buffer that can be shared with workers. See `neighborOffsets`.
+     * @type {Uint32Array}
+     */
+    neighbors = null;
+    /** @type {Uint32Array} where the neighbors of each player start in `neighbors` */
+    neighborOffsets = null;
+    /** @type {SharedPlayerData} built on demand; dropped whenever players or neighbors change */
+    sharedPlayerData = null;
     /** @type {BoundingBox} */
     boundingBox;
 
@@ -45,12 +146,73 @@ export default class Partitioner {
     /** @type {Snapshot} */
     bestSnapshot = new Snapshot();
 
-    /** @type {GridSpatialIndex} */
+    /** @type {SpatialIndex} */
     spatialIndex;
+    /** which spatial index backend players are indexed with */
+    spatialIndexType = SPATIAL_INDEX_GRID;
+    /** @type {Number} used only by the grid backend */
+    spatialIndexCellSizeExponent = DEFAULT_SPATIAL_INDEX_CELL_EXPONENT;
+    /** @type {Number} used only by the k-d tree backend */
+    spatialIndexBucketSize = KdTreeSpatialIndex.DEFAULT_BUCKET_SIZE;
+
+    /**
+     * Which focus owned each player before, or -1 if unknown. Used to count handoffs when the partitioner runs over a
+     * sequence of frames.
+     * @type {Int32Array}
+     */
+    previousOwnerByPlayerIndex = null;
+    /** @type {Number} how many forwards a single handoff is worth when scoring a snapshot */
+    handoffPenalty = 0;
+
+    /** interest sets are built either from the `neighborCount` nearest players or from players within a radius */
+    areaOfInterestMode = AREA_OF_INTEREST_MODE_NEAREST_NEIGHBORS;
+    /** @type {Number} used only in radius mode */
+    areaOfInterestRadius = 10000;
+    /** @type {Number} one of SpatialIndex's query modes, used only in radius mode */
+    areaOfInterestQueryMode = SpatialIndex.QUERY_MODE_CIRCLE;
+
+    /**
+     * Local search settings, used by the hill climbing and simulated annealing strategies. Radii are given as fractions
+     * of the bounding box's largest side. The perturbation radius shrinks geometrically at every local search step until
+     * it reaches its minimum value.
+     */
+    localSearchOptions = {
+        numberOfPerturbedFocuses: 1,
+        initialPerturbationRadius: 0.25,
+        minPerturbationRadius: 0.005,
+        perturbationRadiusDecay: 0.99,
+        // temperature is relative to the current score, so it does not depend on the scenario's scale
+        initialTemperature: 0.05,
+        coolingRate: 0.995,
+    };
+    /** @type {Number} */
+    localSearchStep = 0;
+    /**
+     * The state being refined by simulated annealing. Unlike the best snapshot, it may be worse than the best found.
+     * @type {Snapshot}
+     */
+    annealingSnapshot = null;
+
+    /**
+     * Lloyd relaxation settings. Relaxation stops when no focus moves more than `minFocusMovement` (a fraction of the
+     * bounding box's largest side) or after `maxSteps` steps. If `isLoadWeighted` is set, each player pulls its focus
+     * proportionally to the load it induces on it (its own processing plus the neighbors it needs from other focuses).
+     */
+    relaxationOptions = {
+        maxSteps: 20,
+        minFocusMovement: 0.001,
+        isLoadWeighted: false,
+    };
 
-    constructor (numberOfFocuses, maxComfortableLoadFactor) {
+    /**
+     * @param {Number} numberOfFocuses
+     * @param {Number} maxComfortableLoadFactor
+     * @param {CostModel} [costModel]
+     */
+    constructor (numberOfFocuses, maxComfortableLoadFactor, costModel = new CostModel()) {
         this.numberOfFocuses = numberOfFocuses;
         this.maxComfortableLoadFactor = maxComfortableLoadFactor;
+        this.costModel = costModel;
         this.reset();
     }
 
@@ -69,26 +231,323 @@ export default class Partitioner {
         this.reset();
     }
 
+    setPlacementStrategyKMeansPlusPlus() {
+        this.focusPlacementStrategy = FOCUS_PLACEMENT_STRATEGY_KMEANS_PLUS_PLUS;
+        this.reset();
+    }
+
+    setPlacementStrategyHillClimbing() {
+        this.focusPlacementStrategy = FOCUS_PLACEMENT_STRATEGY_HILL_CLIMBING;
+        this.reset();
+    }
+
+    setPlacementStrategySimulatedAnnealing() {
+        this.focusPlacementStrategy = FOCUS_PLACEMENT_STRATEGY_SIMULATED_ANNEALING;
+        this.reset();
+    }
+
+    /**
+     * @param {Object} options any subset of the fields in `localSearchOptions`
+     */
+    setLocalSearchOptions(options) {
+        Object.assign(this.localSearchOptions, options);
+        this.reset();
+    }
+
+    setPlacementStrategyLloydRelaxation() {
+        this.focusPlacementStrategy = FOCUS_PLACEMENT_STRATEGY_LLOYD_RELAXATION;
+        this.reset();
+    }
+
+    /**
+     * @param {Object} options any subset of the fields in `relaxationOptions`
+     */
+    setRelaxationOptions(options) {
+        Object.assign(this.relaxationOptions, options);
+        this.reset();
+    }
+
     setMaxComfortableLoadFactor(maxComfortableLoadFactor) {
         this.maxComfortableLoadFactor = maxComfortableLoadFactor;
         this.reset();
     }
 
+    /**
+     * Changing the number of neighbors requires rebuilding the neighbor cache, so players must have been processed
+     * already (or be processed later via `processPlayerPositions()`).
+     *
+     * @param {CostModel} costModel
+     */
+    setCostModel(costModel) {
+        const hasNeighborCountChanged = costModel.neighborCount !== this.costModel.neighborCount;
+        this.costModel = costModel;
+        this.playerProcTimes = null;
+        if (hasNeighborCountChanged && this.spatialIndex &&
+            this.areaOfInterestMode === AREA_OF_INTEREST_MODE_NEAREST_NEIGHBORS) {
+            this.computeNeighbors();
+        }
+        this.reset();
+    }
+
+    /**
+     * @param {Number[]} focusCapacities
+     * @throws {Error} if some capacity is not positive
+     */
+    static validateFocusCapacities(focusCapacities) {
+        for (const capacity of focusCapacities) {
+            if (!(capacity > 0)) {
+                throw new Error(`Invalid focus capacity: ${capacity}`);
+            }
+        }
+    }
+
+    /**
+     * @param {Number[]} focusCapacities CPU budget of each focus, in microseconds per second
+     */
+    setFocusCapacities(focusCapacities) {
+        Partitioner.validateFocusCapacities(focusCapacities);
+        this.focusCapacities = focusCapacities;
+        this.reset();
+    }
+
+    /**
+     * @param {Number} focusIndex
+     * @return {Number} CPU budget of the focus, in microseconds per second
+     */
+    getFocusCapacity(focusIndex) {
+        return focusIndex < this.focusCapacities.length ?
+            this.focusCapacities[focusIndex] : DEFAULT_FOCUS_CAPACITY_IN_MICROS;
+    }
+
+    /**
+     * Builds interest sets from the nearest `costModel.neighborCount` players.
+     */
+    setAreaOfInterestNearestNeighbors() {
+        this.areaOfInterestMode = AREA_OF_INTEREST_MODE_NEAREST_NEIGHBORS;
+        this.updateAreaOfInterest();
+    }
+
+    /**
+     * Builds interest sets from all players within a fixed view distance.
+     *
+     * @param {Number} radius
+     * @param {Number} [queryMode] one of SpatialIndex's query modes
+     */
+    setAreaOfInterestRadius(radius, queryMode = SpatialIndex.QUERY_MODE_CIRCLE) {
+        this.areaOfInterestMode = AREA_OF_INTEREST_MODE_RADIUS;
+        this.areaOfInterestRadius = radius;
+        this.areaOfInterestQueryMode = queryMode;
+        this.updateAreaOfInterest();
+    }
+
+    /**
+     * @private
+     */
+    updateAreaOfInterest() {
+        if (this.spatialIndex) {
+            this.computeNeighbors();
+        }
+        this.reset();
+    }
+
+    /**
+     * Indexes players in a grid of square cells. Fast when players are spread evenly and the cell size suits their
+     * density.
+     *
+     * @param {Number} [cellSizeExponent] a power of two exponent representing a cell square's size
+     */
+    setSpatialIndexGrid(cellSizeExponent = DEFAULT_SPATIAL_INDEX_CELL_EXPONENT) {
+        this.spatialIndexType = SPATIAL_INDEX_GRID;
+        this.spatialIndexCellSizeExponent = cellSizeExponent;
+        this.updateSpatialIndex();
+    }
+
+    /**
+     * Indexes players in a k-d tree, which adapts to how they are distributed and has nothing that needs tuning to the
+     * scenario's scale.
+     *
+     * @param {Number} [bucketSize] how many players a leaf holds before being split
+     */
+    setSpatialIndexKdTree(bucketSize = KdTreeSpatialIndex.DEFAULT_BUCKET_SIZE) {
+        this.spatialIndexType = SPATIAL_INDEX_KD_TREE;
+        this.spatialIndexBucketSize = bucketSize;
+        this.updateSpatialIndex();
+    }
+
+    /**
+     * Both backends find the same nearest neighbors, but raw radius queries depend on the backend's buckets, so
+     * neighbors are computed again.
+     *
+     * @private
+     */
+    updateSpatialIndex() {
+        if (this.spatialIndex) {
+            this.processPlayerPositions();
+        }
+        this.reset();
+    }
+
+    /**
+     * @param {Int32Array|null} previousOwnerByPlayerIndex focus index by player index, -1 if the player was not owned
+     *                                                    by any focus before; null disables handoff counting
+     */
+    setPreviousOwners(previousOwnerByPlayerIndex) {
+        this.previousOwnerByPlayerIndex = previousOwnerByPlayerIndex;
+        this.sharedPlayerData = null;
+        this.reset();
+    }
+
+    /**
+     * Restarts the search with a new seed. Given the same scenario and settings, the search then makes the same runs.
+     *
+     * @param {Number} seed an unsigned 32-bit integer
+     */
+    setSeed(seed) {
+        if (!isValidSeed(seed)) {
+            throw new Error(`Invalid seed: ${seed}`);
+        }
+        this.seed = seed;
+        this.reset();
+    }
+
+    /**
+     * @param {Number} legacyClientShare
+     * @throws {Error} if the share is not between 0 and 1
+     */
+    static validateLegacyClientShare(legacyClientShare) {
+        if (!(legacyClientShare >= 0 && legacyClientShare <= 1)) {
+            throw new Error(`Invalid legacy client share: ${legacyClientShare}`);
+        }
+    }
+
+    /**
+     * Legacy clients are unaware of partitioning, so their players cannot be migrated: whatever the focuses, they stay
+     * with their home server. The scenario may give players a home server (see `addPlayerPosition()`); on top of those,
+     * this share of the remaining players, picked at random, is made legacy, each with a random home server. Raising
+     * the share only adds legacy players, so its effect on forwards and load factors can be followed as it grows.
+     *
+     * @param {Number} legacyClientShare from 0 to 1
+     */
+    setLegacyClientShare(legacyClientShare) {
+        Partitioner.validateLegacyClientShare(legacyClientShare);
+        this.legacyClientShare = legacyClientShare;
+        this.legacyHomes = null;
+        this.reset();
+    }
+
+    /**
+     * @param {Number} handoffPenalty how many forwards a single handoff is worth when scoring a snapshot
+     */
+    setHandoffPenalty(handoffPenalty) {
+        this.handoffPenalty = handoffPenalty;
+        this.reset();
+    }
+
+    /**
+     * Settings that affect how attempts are made and scored, as a plain object that can be posted to a worker. Area of
+     * interest settings are not included, since they are baked into the shared neighbors.
+     *
+     * @return {Object}
+     */
+    exportSearchSettings() {
+        return {
+            numberOfFocuses: this.numberOfFocuses,
+            focusPlacementStrategy: this.focusPlacementStrategy,
+            maxComfortableLoadFactor: this.maxComfortableLoadFactor,
+            costModel: this.costModel.toJSON(),
+            focusCapacities: this.focusCapacities,
+            handoffPenalty: this.handoffPenalty,
+            legacyClientShare: this.legacyClientShare,
+            seed: this.seed,
+            localSearchOptions: this.localSearchOptions,
+            relaxationOptions: this.relaxationOptions,
+        };
+    }
+
+    /**
+     * @param {Object} settings what `exportSearchSettings()` returns
+     */
+    applySearchSettings(settings) {
+        this.numberOfFocuses = settings.numberOfFocuses;
+        this.focusPlacementStrategy = settings.focusPlacementStrategy;
+        this.maxComfortableLoadFactor = settings.maxComfortableLoadFactor;
+        this.costModel = new CostModel(settings.costModel);
+        this.playerProcTimes = null;
+        this.focusCapacities = settings.focusCapacities;
+        this.handoffPenalty = settings.handoffPenalty;
+        this.legacyClientShare = settings.legacyClientShare;
+        this.legacyHomes = null;
+        this.seed = settings.seed;
+        Object.assign(this.localSearchOptions, settings.localSearchOptions);
+        Object.assign(this.relaxationOptions, settings.relaxationOptions);
+        this.reset();
+    }
+
+    /**
+     * Adds up runs made elsewhere (e.g., by workers) to this partitioner's statistics.
+     *
+     * @param {RunStatistics} statistics
+     */
+    recordRuns({runs, failures, elapsedTime, relaxationSteps}) {
+        this.numberOfRuns += runs;
+        this.numberOfFailures += failures;
+        this.totalElapsedTime += elapsedTime;
+        this.numberOfRelaxationSteps += relaxationSteps;
+    }
+
     reset() {
         this.numberOfRuns = 0;
         this.numberOfFailures = 0;
         this.totalElapsedTime = 0;
-        // initial best is the worst possible
+        this.numberOfRelaxationSteps = 0;
+        this.localSearchStep = 0;
+        this.annealingSnapshot = null;
+        this.random = createRandom(this.seed);
+        // initial best is the worst possible; a new instance, so previous bests handed out to callers stay untouched
+        this.bestSnapshot = new Snapshot();
         this.bestSnapshot.numberOfForwards = Number.POSITIVE_INFINITY;
     }
 
     resetPlayerPositions() {
         this.playerPositions = [];
+        this.playerWeights = [];
+        this.playerTypes = [];
+        this.playerIds = [];
+        this.playerProcTimes = null;
+        this.playerHomes = [];
+        this.legacyHomes = null;
+        this.previousOwnerByPlayerIndex = null;
+        this.neighborsByPlayerIndex = [];
+        this.neighbors = null;
+        this.neighborOffsets = null;
+        this.sharedPlayerData = null;
+        this.spatialIndex = undefined;
         this.boundingBox = new BoundingBox();
     }
 
-    addPlayerPosition(position) {
+    /**
+     * @param {[Number, Number]} position
+     * @param {Number} [weight] how much the player counts, in loads and in forwards
+     * @param {String|null} [type] entity type, selecting the player's cost profile (see `CostModel`)
+     * @param {Number|null} [home] if set, the player has a legacy client and always stays with this server (see
+     *                             `setLegacyClientShare()`)
+     * @param {String|null} [id] if set, whether the player has a legacy client (and which is its home) is picked from
+     *                           the id rather than the player's index, so it is the same in every time series frame
+     */
+    addPlayerPosition(position, weight = 1, type = null, home = null, id = null) {
+        if (!(Number.isFinite(weight) && weight >= 0)) {
+            throw new Error(`Invalid player weight ${weight}`);
+        }
+        if (home !== null && !(Number.isInteger(home) && home >= 0)) {
+            throw new Error(`Invalid home server ${home}`);
+        }
         this.playerPositions.push(position);
+        this.playerWeights.push(weight);
+        this.playerTypes.push(type);
+        this.playerIds.push(id);
+        this.playerHomes.push(home ?? -1);
+        this.playerProcTimes = null;
+        this.legacyHomes = null;
         this.boundingBox.add(...position);
     }
 
@@ -104,16 +563,232 @@ export default class Partitioner {
         return this.playerPositions;
     }
 
+    /**
+     * @return {Number[]|Float64Array}
+     */
+    getPlayerWeights() {
+        return this.playerWeights;
+    }
+
+    /**
+     * @return {(String|null)[]} id of each player in the scenario, null for players without one
+     */
+    getPlayerIds() {
+        return this.playerIds;
+    }
+
+    /**
+     * @return {Number} the sum of all player weights, which is the number of players if no weights were set
+     */
+    getTotalPlayerWeight() {
+        let totalWeight = 0;
+        for (const weight of this.playerWeights) {
+            totalWeight += weight;
+        }
+        return totalWeight;
+    }
+
+    /**
+     * @return {Int32Array} see `legacyHomes`
+     */
+    obtainLegacyHomes() {
+        if (this.legacyHomes === null) {
+            const legacyHomes = Int32Array.from(this.playerHomes);
+            if (this.legacyClientShare > 0) {
+                // two draws per player whatever the share, so raising it keeps the same players legacy
+                const random = createRandom(LEGACY_CLIENT_SEED);
+                for (let i = 0; i < legacyHomes.length; i++) {
+                    // players with ids get the same draws wherever they are listed, e.g., across time series frames
+                    const id = this.playerIds[i];
+                    const playerRandom = id !== null ? createRandom(computeLegacyClientSeed(id)) : random;
+                    const isLegacy = playerRandom() < this.legacyClientShare;
+                    const home = Math.floor(playerRandom() * 0x10000);
+                    if (isLegacy && legacyHomes[i] < 0) {
+                        legacyHomes[i] = home;
+                    }
+                }
+            }
+            this.legacyHomes = legacyHomes;
+        }
+        return this.legacyHomes;
+    }
+
+    /**
+     * @return {Number} how many players have legacy clients
+     */
+    getNumberOfLegacyPlayers() {
+        return this.obtainLegacyHomes().reduce((count, home) => home >= 0 ? count + 1 : count, 0);
+    }
+
+    /**
+     * @param {Number} playerIndex
+     * @param {[Number, Number][]} focuses
+     * @return {Number} the focus owning the player: its home server if it has a legacy client, or else the closest one
+     */
+    findOwnerFocusIndex(playerIndex, focuses) {
+        const home = this.obtainLegacyHomes()[playerIndex];
+        if (home >= 0) {
+            return home % focuses.length;
+        }
+        return this.findClosestFocusIndex(this.playerPositions[playerIndex], focuses);
+    }
+
+    /**
+     * @return {{own: Float64Array, external: Float64Array}} see `playerProcTimes`
+     */
+    obtainPlayerProcTimes() {
+        if (this.playerProcTimes === null) {
+            const own = new Float64Array(this.playerPositions.length);
+            const external = new Float64Array(this.playerPositions.length);
+            for (let i = 0; i < this.playerPositions.length; i++) {
+                const profile = this.costModel.getProfile(this.playerTypes[i]);
+                own[i] = this.playerWeights[i] * profile.procTimeMineInMicros;
+                external[i] = this.playerWeights[i] * profile.procTimeOtherInMicros;
+            }
+            this.playerProcTimes = {own, external};
+        }
+        return this.playerProcTimes;
+    }
+
     randomizeFocuses() {
-        const start = performance.now();
+        const start = now();
+
+        this.initializeSnapshot();
+        this.currentSnapshot.setOrigin(this.seed, this.numberOfRuns);
+
+        const baseSnapshot = this.obtainLocalSearchBaseSnapshot();
+        if (baseSnapshot) {
+            this.perturbFocuses(baseSnapshot);
+        } else {
+            for (let fi = 0; fi < this.numberOfFocuses; fi++) {
+                const focus = this.placeFocus();
+                this.currentSnapshot.focuses.push(focus);
+            }
+        }
+
+        if (this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_LLOYD_RELAXATION) {
+            this.relaxFocuses();
+        }
+
+        const successfulAttempt = this.evaluateCurrentSnapshot();
+
+        if (this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_SIMULATED_ANNEALING) {
+            this.updateAnnealingSnapshot();
+        }
+        if (baseSnapshot) {
+            this.localSearchStep++;
+        }
+
+        this.totalElapsedTime += now() - start;
+        this.numberOfRuns++;
+
+        return successfulAttempt;
+    }
+
+    /**
+     * Searches for the smallest number of focuses that yields a snapshot within the comfortable load factor threshold.
+     * When done, the partitioner is left set to that number of focuses, with the best snapshot found for it.
+     *
+     * @param {Object} [options] see `ClusterSizeSearch`'s constructor
+     * @return {{minimumNumberOfFocuses: Number, trials: ClusterSizeTrial[]}} minimumNumberOfFocuses is null if no size
+     *                                                                        succeeded
+     */
+    findMinimumNumberOfFocuses(options) {
+        const search = new ClusterSizeSearch(this, options);
+        while (!search.isFinished) {
+            search.runAttempt();
+        }
+        return {
+            minimumNumberOfFocuses: search.minimumNumberOfFocuses,
+            trials: search.trials,
+        };
+    }
+
+    /**
+     * Runs a single attempt using the given focuses instead of placing them according to the current strategy. Like any
+     * other attempt, it becomes the best snapshot if it is the best one found so far, so it can also be used to
+     * warm-start the search.
+     *
+     * @param {[Number, Number][]} focuses
+     * @return {Boolean} true if the attempt is the new best snapshot
+     */
+    evaluateFocuses(focuses) {
+        if (focuses.length !== this.numberOfFocuses) {
+            throw new Error(`Expected ${this.numberOfFocuses} focuses, but got ${focuses.length}`);
+        }
+
+        const start = now();
 
         this.initializeSnapshot();
+        this.currentSnapshot.setOrigin(this.seed, this.numberOfRuns);
+        this.currentSnapshot.focuses.push(...focuses.map(([x, y]) => [x, y]));
+        const successfulAttempt = this.evaluateCurrentSnapshot();
+
+        if (this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_SIMULATED_ANNEALING) {
+            this.updateAnnealingSnapshot();
+        }
+
+        this.totalElapsedTime += now() - start;
+        this.numberOfRuns++;
+
+        return successfulAttempt;
+    }
+
+    /**
+     * Evaluates a partition given by its focuses against the current scenario. The number of focuses is changed to match
+     * the partition, and the search is reset. If `shouldResumeFromIt` is set and the partition is within the comfortable
+     * load factor threshold, it becomes the best snapshot, and the search continues from it; otherwise, the search
+     * starts from scratch.
+     *
+     * @param {[Number, Number][]} focuses
+     * @param {Boolean} [shouldResumeFromIt]
+     * @return {Snapshot} the partition's snapshot, evaluated even if it exceeds the load factor threshold
+     */
+    importFocuses(focuses, shouldResumeFromIt = true) {
+        if (focuses.length === 0) {
+            throw new Error("A partition must have at least one focus");
+        }
+
+        this.numberOfFocuses = focuses.length;
+        this.reset();
+
+        this.evaluateFocuses(focuses);
+        const snapshot = this.currentSnapshot;
+        // it was not found by this search, so there is nothing to regenerate it from
+        snapshot.setOrigin(null, null);
 
-        for (let fi = 0; fi < this.numberOfFocuses; fi++) {
-            const focus = this.placeFocus();
-            this.currentSnapshot.focuses.push(focus);
+        if (!shouldResumeFromIt) {
+            this.reset();
         }
 
+        return snapshot;
+    }
+
+    /**
+     * @private
+     * @return {Boolean} true if the current snapshot is the new best snapshot
+     */
+    evaluateCurrentSnapshot() {
+        this.computeCurrentSnapshot();
+
+        const snapshot = this.currentSnapshot;
+        if (!snapshot.isWithinComfortableLFThreshold) {
+            this.numberOfFailures++;
+            return false;
+        }
+
+        if (snapshot.score < this.bestSnapshot.score) {
+            this.bestSnapshot = snapshot;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    computeCurrentSnapshot() {
         // n - number of players
         // m - number of focuses
         // k - number of neighbors
@@ -123,46 +798,302 @@ export default class Partitioner {
         // O(n * k)
         this.computeExternalInterestSets();
         // O(m)
-        const successfulAttempt = this.computeLoadFactors();
+        this.computeLoadFactors();
+        // O(m^2)
+        this.currentSnapshot.setVoronoiCells(computeVoronoiCells(this.currentSnapshot.getFocuses(), this.boundingBox));
+    }
 
-        this.totalElapsedTime += performance.now() - start;
-        this.numberOfRuns++;
+    /**
+     * Evaluates the given focuses without affecting the search in any way: the attempt is not counted as a run and never
+     * becomes the best snapshot. Any number of focuses is accepted. Useful to check partitions edited by hand.
+     *
+     * @param {[Number, Number][]} focuses
+     * @return {Snapshot}
+     */
+    inspectFocuses(focuses) {
+        const currentSnapshot = this.currentSnapshot;
 
-        return successfulAttempt;
+        this.initializeSnapshot(focuses.length);
+        this.currentSnapshot.focuses.push(...focuses.map(([x, y]) => [x, y]));
+        this.computeCurrentSnapshot();
+        const snapshot = this.currentSnapshot;
+
+        this.currentSnapshot = currentSnapshot;
+        return snapshot;
+    }
+
+    /**
+     * Like `inspectFocuses()`, but as if every client were aware of partitioning, so every player is owned by its
+     * closest focus. Compared to the snapshot with legacy clients, it shows what they cost.
+     *
+     * @param {[Number, Number][]} focuses
+     * @return {Snapshot}
+     */
+    inspectFocusesWithoutLegacyClients(focuses) {
+        const legacyHomes = this.obtainLegacyHomes();
+        this.legacyHomes = new Int32Array(legacyHomes.length).fill(-1);
+        try {
+            return this.inspectFocuses(focuses);
+        } finally {
+            this.legacyHomes = legacyHomes;
+        }
+    }
+
+    /**
+     * Evaluates focuses found elsewhere (e.g., by a worker), making them the best snapshot if they beat it. The
+     * evaluation is not counted as a run, since it was counted where the focuses were found.
+     *
+     * @param {[Number, Number][]} focuses
+     * @param {Number} [numberOfRelaxationSteps] how many relaxation steps it took to find the focuses
+     * @param {Number|null} [seed] seed of the search that found the focuses
+     * @param {Number|null} [runIndex] run that found the focuses
+     * @return {Boolean} true if the focuses are the new best snapshot
+     */
+    considerFocuses(focuses, numberOfRelaxationSteps = 0, seed = null, runIndex = null) {
+        const snapshot = this.inspectFocuses(focuses);
+        snapshot.numberOfRelaxationSteps = numberOfRelaxationSteps;
+        snapshot.setOrigin(seed, runIndex);
+        if (snapshot.isWithinComfortableLFThreshold && snapshot.score < this.bestSnapshot.score) {
+            this.bestSnapshot = snapshot;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {Number} [numberOfFocuses]
+     */
+    initializeSnapshot(numberOfFocuses = this.numberOfFocuses) {
+        this.currentSnapshot = new Snapshot(numberOfFocuses);
+    }
+
+    /**
+     * Local search strategies refine a previous successful snapshot instead of starting from scratch. Until one is
+     * found, focuses are randomly placed inside the bounding box.
+     *
+     * @return {Snapshot|null} the snapshot to be perturbed, or null if focuses should be placed from scratch
+     */
+    obtainLocalSearchBaseSnapshot() {
+        switch (this.focusPlacementStrategy) {
+            case FOCUS_PLACEMENT_STRATEGY_HILL_CLIMBING:
+                return Number.isFinite(this.bestSnapshot.score) ? this.bestSnapshot : null;
+            case FOCUS_PLACEMENT_STRATEGY_SIMULATED_ANNEALING:
+                return this.annealingSnapshot;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Copies the focuses of the base snapshot into the current one, moving some of them to a random position within the
+     * current perturbation radius.
+     *
+     * @param {Snapshot} baseSnapshot
+     */
+    perturbFocuses(baseSnapshot) {
+        const options = this.localSearchOptions;
+        const focuses = baseSnapshot.focuses.map(([x, y]) => [x, y]);
+
+        const largestSide = Math.max(this.boundingBox.width, this.boundingBox.height);
+        const radiusFactor = Math.max(options.minPerturbationRadius,
+            options.initialPerturbationRadius * options.perturbationRadiusDecay ** this.localSearchStep);
+        const radius = radiusFactor * largestSide;
+
+        const numberOfPerturbedFocuses = Math.min(options.numberOfPerturbedFocuses, focuses.length);
+        for (let i = 0; i < numberOfPerturbedFocuses; i++) {
+            const focus = focuses[Math.floor(this.random() * focuses.length)];
+            // uniformly distributed inside the circle
+            const distance = radius * Math.sqrt(this.random());
+            const angle = this.random() * 2 * Math.PI;
+            focus[X] = this.constrain(this.boundingBox.left, focus[X] + distance * Math.cos(angle), this.boundingBox.right);
+            focus[Y] = this.constrain(this.boundingBox.top, focus[Y] + distance * Math.sin(angle), this.boundingBox.bottom);
+        }
+
+        this.currentSnapshot.focuses.push(...focuses);
     }
 
-    initializeSnapshot() {
-        this.currentSnapshot = new Snapshot(this.numberOfFocuses);
+    /**
+     * Decides whether simulated annealing should move to the current snapshot. Better snapshots are always accepted,
+     * while worse ones are accepted with a probability that decreases as the temperature cools down.
+     */
+    updateAnnealingSnapshot() {
+        const candidate = this.currentSnapshot;
+        if (!candidate.isWithinComfortableLFThreshold) {
+            return;
+        }
+
+        const current = this.annealingSnapshot;
+        if (current === null || candidate.score <= current.score) {
+            this.annealingSnapshot = candidate;
+            return;
+        }
+
+        const options = this.localSearchOptions;
+        const temperature = options.initialTemperature * options.coolingRate ** this.localSearchStep;
+        const relativeWorsening = (candidate.score - current.score) / current.score;
+        if (temperature > 0 && this.random() < Math.exp(-relativeWorsening / temperature)) {
+            this.annealingSnapshot = candidate;
+        }
+    }
+
+    constrain(min, val, max) {
+        return Math.max(min, Math.min(val, max));
+    }
+
+    /**
+     * Lloyd relaxation: repeatedly moves each focus to the centroid of the players it owns. Since players are owned by
+     * their nearest focus, this converges to a centroidal Voronoi partition.
+     */
+    relaxFocuses() {
+        const options = this.relaxationOptions;
+        const focuses = this.currentSnapshot.focuses.map(([x, y]) => [x, y]);
+        const owners = new Int32Array(this.playerPositions.length);
+        const weights = Float64Array.from(this.playerWeights);
+        const legacyHomes = this.obtainLegacyHomes();
+        const minMovement = options.minFocusMovement * Math.max(this.boundingBox.width, this.boundingBox.height);
+        const minMovementSquared = minMovement * minMovement;
+
+        let step = 0;
+        while (step < options.maxSteps) {
+            for (let i = 0; i < this.playerPositions.length; i++) {
+                owners[i] = this.findOwnerFocusIndex(i, focuses);
+            }
+            if (options.isLoadWeighted) {
+                this.computePlayerLoadWeights(owners, weights);
+            }
+
+            const sumX = new Float64Array(focuses.length);
+            const sumY = new Float64Array(focuses.length);
+            const sumWeights = new Float64Array(focuses.length);
+            for (let i = 0; i < this.playerPositions.length; i++) {
+                // legacy players stay with their home server wherever it goes, so they do not pull it
+                if (legacyHomes[i] >= 0) {
+                    continue;
+                }
+                const [x, y] = this.playerPositions[i];
+                const fi = owners[i];
+                sumX[fi] += weights[i] * x;
+                sumY[fi] += weights[i] * y;
+                sumWeights[fi] += weights[i];
+            }
+
+            let maxMovementSquared = 0;
+            for (let fi = 0; fi < focuses.length; fi++) {
+                // a focus without players stays where it is
+                if (sumWeights[fi] > 0) {
+                    const x = sumX[fi] / sumWeights[fi];
+                    const y = sumY[fi] / sumWeights[fi];
+                    maxMovementSquared = Math.max(maxMovementSquared, euclideanDistanceSquared(...focuses[fi], x, y));
+                    focuses[fi] = [x, y];
+                }
+            }
+
+            step++;
+            if (maxMovementSquared <= minMovementSquared) {
+                break;
+            }
+        }
+
+        this.currentSnapshot.focuses = focuses;
+        this.currentSnapshot.numberOfRelaxationSteps = step;
+        this.numberOfRelaxationSteps += step;
+    }
+
+    /**
+     * The load a player induces on its focus: its own processing time plus the processing time of every neighbor that
+     * has to be forwarded from other focuses.
+     *
+     * @param {Int32Array} owners focus index by player index
+     * @param {Float64Array} weights output, weight by player index
+     */
+    computePlayerLoadWeights(owners, weights) {
+        const procTimes = this.obtainPlayerProcTimes();
+        for (let i = 0; i < this.playerPositions.length; i++) {
+            let externalProcTime = 0;
+            for (const neighborIndex of this.neighborsByPlayerIndex[i]) {
+                if (owners[neighborIndex] !== owners[i]) {
+                    externalProcTime += procTimes.external[neighborIndex];
+                }
+            }
+            weights[i] = procTimes.own[i] + externalProcTime;
+        }
+    }
+
+    /**
+     * @param {[Number, Number]} position
+     * @param {[Number, Number][]} focuses
+     * @return {Number} the index of the focus closest to the given position
+     */
+    findClosestFocusIndex(position, focuses) {
+        let closestFocusIndex = -1;
+        let closestFocusDistanceSquared = Number.POSITIVE_INFINITY;
+        for (let fi = 0; fi < focuses.length; fi++) {
+            const distanceSquared = euclideanDistanceSquared(...position, ...focuses[fi]);
+            if (distanceSquared < closestFocusDistanceSquared) {
+                closestFocusIndex = fi;
+                closestFocusDistanceSquared = distanceSquared;
+            }
+        }
+        return closestFocusIndex;
     }
 
     placeFocus() {
-        if (this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_PLAYER_POSITIONS) {
-            return this.playerPositions[Math.floor(Math.random() * this.playerPositions.length)]
+        if (this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_KMEANS_PLUS_PLUS) {
+            return this.placeFocusKMeansPlusPlus();
+        } else if (this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_PLAYER_POSITIONS ||
+            this.focusPlacementStrategy === FOCUS_PLACEMENT_STRATEGY_LLOYD_RELAXATION) {
+            return this.playerPositions[Math.floor(this.random() * this.playerPositions.length)]
         } else {
-            const x = Math.random() * this.boundingBox.width;
-            const y = Math.random() * this.boundingBox.height;
+            const x = this.boundingBox.left + this.random() * this.boundingBox.width;
+            const y = this.boundingBox.top + this.random() * this.boundingBox.height;
             return [x, y];
         }
     }
 
-    assignPlayersToFocuses() {
-        const snapshot = this.currentSnapshot;
+    /**
+     * k-means++ seeding: the first focus is a random player position, while each subsequent one is a player position
+     * picked with probability proportional to its squared distance to the nearest focus already placed. This makes it
+     * unlikely for two focuses to end up close to each other.
+     *
+     * @return {[Number, Number]}
+     */
+    placeFocusKMeansPlusPlus() {
+        const focuses = this.currentSnapshot.focuses;
+        if (focuses.length === 0) {
+            return this.playerPositions[Math.floor(this.random() * this.playerPositions.length)];
+        }
 
-        // assign players to focuses
+        const distancesSquared = new Float64Array(this.playerPositions.length);
+        let totalDistanceSquared = 0;
         for (let i = 0; i < this.playerPositions.length; i++) {
             const position = this.playerPositions[i];
-            let closestFocusIndex = -1;
-            let closestFocusDistanceSquared = Number.POSITIVE_INFINITY;
-            for (let fi = 0; fi < snapshot.focuses.length; fi++) {
-                const focus = snapshot.focuses[fi];
-                const distanceSquared = euclideanDistanceSquared(...position, ...focus);
-                if (distanceSquared < closestFocusDistanceSquared) {
-                    closestFocusIndex = fi;
-                    closestFocusDistanceSquared = distanceSquared;
-                }
+            const closestFocus = focuses[this.findClosestFocusIndex(position, focuses)];
+            distancesSquared[i] = euclideanDistanceSquared(...position, ...closestFocus);
+            totalDistanceSquared += distancesSquared[i];
+        }
+
+        if (totalDistanceSquared === 0) {
+            // every player sits on top of a focus already
+            return this.playerPositions[Math.floor(this.random() * this.playerPositions.length)];
+        }
+
+        let target = this.random() * totalDistanceSquared;
+        for (let i = 0; i < distancesSquared.length; i++) {
+            target -= distancesSquared[i];
+            if (target < 0) {
+                return this.playerPositions[i];
             }
+        }
+        // only reachable due to floating point rounding
+        return this.playerPositions[this.playerPositions.length - 1];
+    }
+
+    assignPlayersToFocuses() {
+        const snapshot = this.currentSnapshot;
 
-            snapshot.addPlayerToFocus(i, position, closestFocusIndex);
+        // assign players to focuses; legacy players stay with their home server, wherever they are
+        for (let i = 0; i < this.playerPositions.length; i++) {
+            snapshot.addPlayerToFocus(i, this.playerPositions[i], this.findOwnerFocusIndex(i, snapshot.focuses));
         }
     }
 
@@ -170,7 +1101,7 @@ export default class Partitioner {
         const snapshot = this.currentSnapshot;
 
         // compute external interest sets
-        for (let focusIndex = 0; focusIndex < this.numberOfFocuses; focusIndex++) {
+        for (let focusIndex = 0; focusIndex < snapshot.numberOfFocuses; focusIndex++) {
             const ownPlayers = snapshot.getOwnPlayersByFocusIndex(focusIndex);
 
             for (const playerIndex of ownPlayers.values()) {
@@ -185,70 +1116,216 @@ export default class Partitioner {
         }
     }
 
+    /**
+     * Load factors are computed for all focuses even if some focus exceeds the threshold, so that failed attempts can
+     * still be inspected. Only attempts within the threshold get a score, though. Loads and forwards are sums over
+     * players, weighted by each player's weight (and, for loads, by its cost profile).
+     *
+     * @return {Boolean} true if the current snapshot is within the comfortable load factor threshold
+     */
     computeLoadFactors() {
         const snapshot = this.currentSnapshot;
+        snapshot.isWithinComfortableLFThreshold = true;
+        const procTimes = this.obtainPlayerProcTimes();
 
-        // compute external interest sets
-        for (let focusIndex = 0; focusIndex < this.numberOfFocuses; focusIndex++) {
+        for (let focusIndex = 0; focusIndex < snapshot.numberOfFocuses; focusIndex++) {
             const ownPlayers = snapshot.getOwnPlayersByFocusIndex(focusIndex);
             const externalInterestSet = snapshot.getExternalInterestSetByFocusIndex(focusIndex);
 
-            // compute load factor
-            const totalTimeInMicros = PLAYER_STATE_SEND_FREQ_IN_HZ * (
-                ownPlayers.size * PROC_TIME_MINE_IN_MICROS +
-                externalInterestSet.size * PROC_TIME_OTHER_IN_MICROS
-            );
+            let ownProcTime = 0;
+            for (const playerIndex of ownPlayers) {
+                ownProcTime += procTimes.own[playerIndex];
+            }
+            let externalProcTime = 0;
+            let forwards = 0;
+            for (const playerIndex of externalInterestSet) {
+                externalProcTime += procTimes.external[playerIndex];
+                forwards += this.playerWeights[playerIndex];
+            }
 
-            const loadFactor = 100 * (totalTimeInMicros / 1_000_000);  // between 0 and 100%
+            const load = this.costModel.computeLoad(ownProcTime, externalProcTime);
+            const loadFactor = 100 * load / this.getFocusCapacity(focusIndex);  // percentage of the focus' capacity
 
             if (loadFactor > this.maxComfortableLoadFactor) {
                 snapshot.isWithinComfortableLFThreshold = false;
-                this.numberOfFailures++;
-                return false;
             }
 
+            snapshot.setFocusLoad(focusIndex, load);
             snapshot.setFocusLoadFactor(focusIndex, loadFactor);
-            snapshot.incrementNumberOfForwards(externalInterestSet.size);
+            snapshot.incrementNumberOfForwards(forwards);
         }
 
-        snapshot.isWithinComfortableLFThreshold = true;
+        if (this.previousOwnerByPlayerIndex !== null) {
+            this.computeHandoffs();
+        }
 
-        if (snapshot.numberOfForwards < this.bestSnapshot.numberOfForwards) {
-            this.bestSnapshot = snapshot;
-            return true;
+        if (snapshot.isWithinComfortableLFThreshold) {
+            snapshot.score = snapshot.numberOfForwards + this.handoffPenalty * snapshot.numberOfHandoffs;
         }
 
-        return false;
+        return snapshot.isWithinComfortableLFThreshold;
     }
 
-    processPlayerPositions() {
-        // must normalize so all coordinates are >= 0 (a limitation of the spatial index)
-        for (const position of this.playerPositions) {
-            position[0] -= this.boundingBox.left;
-            position[1] -= this.boundingBox.top;
-        }
+    /**
+     * Counts players owned by a different focus than the one that owned them previously (see `setPreviousOwners()`).
+     */
+    computeHandoffs() {
+        const snapshot = this.currentSnapshot;
+        let numberOfHandoffs = 0;
 
-        this.boundingBox.reset();
-        for (const position of this.playerPositions) {
-            this.boundingBox.add(...position);
+        for (let focusIndex = 0; focusIndex < snapshot.numberOfFocuses; focusIndex++) {
+            for (const playerIndex of snapshot.getOwnPlayersByFocusIndex(focusIndex)) {
+                const previousOwner = this.previousOwnerByPlayerIndex[playerIndex];
+                if (previousOwner >= 0 && previousOwner !== focusIndex) {
+                    numberOfHandoffs++;
+                }
+            }
         }
 
-        this.spatialIndex = new GridSpatialIndex(SPATIAL_INDEX_CELL_EXPONENT, this.boundingBox.right, this.boundingBox.height);
+        snapshot.numberOfHandoffs = numberOfHandoffs;
+    }
+
+    /**
+     * Indexes the players added so far and computes their neighbors. Positions are left untouched, so everything the
+     * partitioner produces is in the scenario's coordinate system.
+     */
+    processPlayerPositions() {
+        this.spatialIndex = this.createSpatialIndex();
         for (let i = 0; i < this.playerPositions.length; i++) {
             const position = this.playerPositions[i];
             this.spatialIndex.insert(i, ...position);
         }
 
-        this.neighborsByPlayerIndex = [];
-        for (let i = 0; i < this.playerPositions.length; i++) {
-            const position = this.playerPositions[i];
+        this.computeNeighbors();
+    }
+
+    /**
+     * @private
+     * @return {SpatialIndex} an empty index of the configured backend
+     */
+    createSpatialIndex() {
+        switch (this.spatialIndexType) {
+            case SPATIAL_INDEX_KD_TREE:
+                return new KdTreeSpatialIndex(this.spatialIndexBucketSize);
+            default: {
+                const {left, top, width, height} = this.boundingBox;
+                return new GridSpatialIndex(this.spatialIndexCellSizeExponent, width, height, left, top);
+            }
+        }
+    }
 
-            const neighbors = /** @type {Number[]} */ this.spatialIndex.queryByCount(position[X], position[Y], NEIGHBOR_COUNT);
+    computeNeighbors() {
+        const numberOfPlayers = this.playerPositions.length;
+        const neighborsByPlayerIndex = [];
+        this.neighborOffsets = new Uint32Array(createSharedBuffer(
+            (numberOfPlayers + 1) * Uint32Array.BYTES_PER_ELEMENT));
+        for (let i = 0; i < numberOfPlayers; i++) {
+            const neighbors = this.queryNeighbors(this.playerPositions[i]);
             const neighborsBuffer = new Uint32Array(neighbors.length);
             for (let j = 0; j < neighbors.length; j++) {
                 neighborsBuffer[j] = neighbors[j];
             }
-            this.neighborsByPlayerIndex.push(neighborsBuffer);
+            neighborsByPlayerIndex.push(neighborsBuffer);
+            this.neighborOffsets[i + 1] = this.neighborOffsets[i] + neighbors.length;
+        }
+
+        // pack everything into a single buffer, so workers can share it
+        this.neighbors = new Uint32Array(createSharedBuffer(
+            this.neighborOffsets[numberOfPlayers] * Uint32Array.BYTES_PER_ELEMENT));
+        for (let i = 0; i < numberOfPlayers; i++) {
+            this.neighbors.set(neighborsByPlayerIndex[i], this.neighborOffsets[i]);
+        }
+        this.neighborsByPlayerIndex = this.obtainNeighborViews();
+        this.sharedPlayerData = null;
+    }
+
+    /**
+     * @private
+     * @return {Uint32Array[]}
+     */
+    obtainNeighborViews() {
+        const views = [];
+        for (let i = 0; i < this.neighborOffsets.length - 1; i++) {
+            views.push(this.neighbors.subarray(this.neighborOffsets[i], this.neighborOffsets[i + 1]));
+        }
+        return views;
+    }
+
+    /**
+     * Everything a worker needs to evaluate focuses over the current players, in buffers shared with it where the
+     * environment allows. Players must have been processed already.
+     *
+     * @return {SharedPlayerData}
+     */
+    obtainSharedPlayerData() {
+        if (this.sharedPlayerData === null) {
+            const playerPositions = new Float64Array(createSharedBuffer(
+                2 * this.playerPositions.length * Float64Array.BYTES_PER_ELEMENT));
+            for (let i = 0; i < this.playerPositions.length; i++) {
+                playerPositions[2 * i] = this.playerPositions[i][X];
+                playerPositions[2 * i + 1] = this.playerPositions[i][Y];
+            }
+
+            const playerWeights = new Float64Array(createSharedBuffer(
+                this.playerWeights.length * Float64Array.BYTES_PER_ELEMENT));
+            playerWeights.set(this.playerWeights);
+            const playerHomes = new Int32Array(createSharedBuffer(
+                this.playerHomes.length * Int32Array.BYTES_PER_ELEMENT));
+            playerHomes.set(this.playerHomes);
+
+            const {left, top, right, bottom} = this.boundingBox;
+            this.sharedPlayerData = {
+                playerPositions,
+                playerWeights,
+                playerTypes: this.playerTypes.some(type => type !== null) ? this.playerTypes : null,
+                playerIds: this.playerIds.some(id => id !== null) ? this.playerIds : null,
+                playerHomes,
+                neighborOffsets: this.neighborOffsets,
+                neighbors: this.neighbors,
+                previousOwnerByPlayerIndex: this.previousOwnerByPlayerIndex,
+                boundingBox: {left, top, right, bottom},
+            };
+        }
+        return this.sharedPlayerData;
+    }
+
+    /**
+     * Loads players already processed by another partitioner (see `obtainSharedPlayerData()`), without copying their
+     * positions and neighbors. The search is reset.
+     *
+     * @param {SharedPlayerData} data
+     */
+    loadSharedPlayerData(data) {
+        this.resetPlayerPositions();
+
+        for (let i = 0; i < data.playerPositions.length; i += 2) {
+            this.playerPositions.push(data.playerPositions.subarray(i, i + 2));
+        }
+        this.playerWeights = data.playerWeights;
+        this.playerTypes = data.playerTypes ?? new Array(this.playerPositions.length).fill(null);
+        this.playerIds = data.playerIds ?? new Array(this.playerPositions.length).fill(null);
+        this.playerHomes = data.playerHomes;
+        this.boundingBox.add(data.boundingBox.left, data.boundingBox.top);
+        this.boundingBox.add(data.boundingBox.right, data.boundingBox.bottom);
+        this.neighborOffsets = data.neighborOffsets;
+        this.neighbors = data.neighbors;
+        this.neighborsByPlayerIndex = this.obtainNeighborViews();
+        this.previousOwnerByPlayerIndex = data.previousOwnerByPlayerIndex;
+        this.sharedPlayerData = data;
+
+        this.reset();
+    }
+
+    /**
+     * @param {[Number, Number]} position
+     * @return {Number[]} indexes of the players in the area of interest of the given position
+     */
+    queryNeighbors(position) {
+        if (this.areaOfInterestMode === AREA_OF_INTEREST_MODE_RADIUS) {
+            return /** @type {Number[]} */ [...this.spatialIndex.query(position[X], position[Y],
+                this.areaOfInterestRadius, this.areaOfInterestQueryMode)];
         }
+        return /** @type {Number[]} */ this.spatialIndex.queryByCount(position[X], position[Y],
+            this.costModel.neighborCount);
     }
 }
@@ -0,0 +1,668 @@
+const SETTING_REGEX = /^#\s*([A-Za-z]\w*)\s*=\s*(.*?)\s*$/;
+const TIME_SERIES_COLUMN_COUNT = 4;
+/** optional first line of a time series, required when player ids are numbers */
+const TIME_SERIES_HEADER = ["id", "timestamp", "x", "y"];
+const FORMAT_TSV = "tsv";
+const FORMAT_CSV = "csv";
+const FORMAT_JSON = "json";
+/** columns looked up by name when the scenario has a header and no other column was chosen */
+const DEFAULT_COLUMN_NAMES = {id: "id", x: "x", y: "y", weight: "weight", type: "type", home: "home"};
+/** columns used when the scenario has no header: `X\tY`, optionally followed by the player's weight */
+const DEFAULT_COLUMN_INDEXES = {x: 0, y: 1, weight: 2};
+
+/**
+ * @typedef {Object} Frame
+ * @property {Number} timestamp
+ * @property {String[]} playerIds
+ * @property {[Number, Number][]} playerPositions
+ */
+
+/**
+ * How to read a scenario. Columns are given either by header name (case insensitive) or by 0-based index; in JSON
+ * scenarios, they are the keys of each player object (or indexes, for players given as arrays).
+ *
+ * @typedef {Object} ScenarioOptions
+ * @property {String} [format] "tsv", "csv" or "json"; detected from the contents if not set
+ * @property {String|Number} [idColumn] players without an id are identified by their index
+ * @property {String|Number} [xColumn] defaults to a column named "x", or else to the first one
+ * @property {String|Number} [yColumn] defaults to a column named "y", or else to the second one
+ * @property {String|Number} [weightColumn] defaults to a column named "weight", or else to the third one, if any
+ * @property {String|Number} [typeColumn] defaults to a column named "type", if any
+ * @property {String|Number} [homeColumn] defaults to a column named "home", if any; players with a home server have
+ *                                        legacy clients (see `Partitioner.setLegacyClientShare()`)
+ * @property {String[]} [types] if set, only players whose type is one of these are kept
+ * @property {Boolean} [swapAxes] exchanges x and y (before flipping)
+ * @property {Boolean} [flipX] negates x
+ * @property {Boolean} [flipY] negates y
+ */
+
+/**
+ * @typedef {Object} RejectedLine
+ * @property {Number} lineNumber 1-based line number; in JSON scenarios, 1-based player number
+ * @property {String} line
+ * @property {String} reason
+ */
+
+/**
+ * @typedef {Object} Scenario
+ * @property {[Number, Number][]} playerPositions
+ * @property {String[]|null} playerIds null if the scenario has no id column
+ * @property {Number[]} playerWeights 1 for players without a weight
+ * @property {(String|null)[]|null} playerTypes entity type of each player, selecting its cost profile (see
+ *                                            `CostModel`); null if the scenario has no type column
+ * @property {(Number|null)[]|null} playerHomes home server of each player with a legacy client, null for the others;
+ *                                           null if the scenario has no home column
+ * @property {Object<String, String>} settings
+ * @property {RejectedLine[]} rejectedLines lines that could not be read, which are left out of the scenario
+ * @property {Number} numberOfFilteredLines lines left out because their type was not selected
+ */
+
+/**
+ * Iterates through the data lines of a scenario file. Empty lines are skipped, and so are lines starting with `#`,
+ * except for the ones in the format `# name = value`, which are collected as settings.
+ *
+ * @param {String} text
+ * @param {Object<String, String>} settings output, the settings found in the file
+ * @return {IterableIterator<[Number, String]>} line number (1-based) and line, without the line break
+ */
+function *iterateDataLines(text, settings) {
+    const lines = text.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/\r$/, "");
+        if (line.trim().length === 0) {
+            continue;
+        }
+        if (line.startsWith("#")) {
+            const match = line.match(SETTING_REGEX);
+            if (match) {
+                settings[match[1]] = match[2];
+            }
+            continue;
+        }
+        yield [i + 1, line];
+    }
+}
+
+/**
+ * Splits a CSV line, honoring double-quoted fields (which may contain commas and `""` for a quote).
+ *
+ * @param {String} line
+ * @return {String[]}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = "";
+    let isQuoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (isQuoted) {
+            if (char === "\"" && line[i + 1] === "\"") {
+                field += char;
+                i++;
+            } else if (char === "\"") {
+                isQuoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            isQuoted = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * @param {String} line
+ * @param {String} format
+ * @return {String[]}
+ */
+function splitLine(line, format) {
+    return (format === FORMAT_CSV ? splitCsvLine(line) : line.split("\t")).map(field => field.trim());
+}
+
+/**
+ * @param {String} text
+ * @return {String} the format the text seems to be in
+ */
+function detectFormat(text) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        return FORMAT_JSON;
+    }
+    for (const [, line] of iterateDataLines(text, {})) {
+        return line.includes("\t") || !line.includes(",") ? FORMAT_TSV : FORMAT_CSV;
+    }
+    return FORMAT_TSV;
+}
+
+/**
+ * @param {*} value
+ * @return {Number} NaN if the value is not entirely a number (unlike `parseFloat()`, which accepts `12abc`)
+ */
+function parseNumber(value) {
+    if (typeof value === "number") {
+        return value;
+    }
+    if (typeof value !== "string" || value.trim().length === 0) {
+        return Number.NaN;
+    }
+    return Number(value);
+}
+
+/**
+ * Resolves the columns to read, by name or by index, against the header (if any).
+ *
+ * @param {ScenarioOptions} options
+ * @param {String[]|null} header column names, or null if there is no header
+ * @return {{id: Number|String|null, x: Number|String, y: Number|String, weight: Number|String|null,
+ *           type: Number|String|null, home: Number|String|null}} column indexes; in JSON scenarios, keys may also be
+ *           names
+ */
+function resolveColumns(options, header) {
+    const lowerCaseHeader = header ? header.map(name => name.toLowerCase()) : null;
+    const resolve = (field, isRequired) => {
+        const column = options[field + "Column"];
+        if (column === undefined || column === null || column === "") {
+            if (lowerCaseHeader) {
+                const index = lowerCaseHeader.indexOf(DEFAULT_COLUMN_NAMES[field]);
+                if (index >= 0) {
+                    return index;
+                }
+            }
+            if (isRequired || (!lowerCaseHeader && field in DEFAULT_COLUMN_INDEXES)) {
+                return DEFAULT_COLUMN_INDEXES[field];
+            }
+            return null;
+        }
+        if (typeof column === "number" || /^\d+$/.test(column)) {
+            return Number(column);
+        }
+        if (!lowerCaseHeader) {
+            throw new Error(`Column "${column}" given by name, but the scenario has no header`);
+        }
+        const index = lowerCaseHeader.indexOf(column.toLowerCase());
+        if (index < 0) {
+            throw new Error(`Column "${column}" not found in header: ${header.join(", ")}`);
+        }
+        return index;
+    };
+
+    return {
+        id: resolve("id", false),
+        x: resolve("x", true),
+        y: resolve("y", true),
+        weight: resolve("weight", false),
+        type: resolve("type", false),
+        home: resolve("home", false),
+    };
+}
+
+/**
+ * Reads one player, validating and transforming its position.
+ *
+ * @param {function(Number|String): *} getField returns the field in the given column, undefined if missing
+ * @param {Object} columns see `resolveColumns()`
+ * @param {ScenarioOptions} options
+ * @return {{id: String|null, position: [Number, Number], weight: Number, type: String|null, home: Number|null}|String}
+ *         the player, or why it was rejected
+ */
+function readPlayer(getField, columns, options) {
+    const rawX = getField(columns.x);
+    const rawY = getField(columns.y);
+    if (rawX === undefined || rawY === undefined) {
+        return "missing x or y";
+    }
+    let x = parseNumber(rawX);
+    let y = parseNumber(rawY);
+    if (!Number.isFinite(x)) {
+        return `invalid x "${rawX}"`;
+    }
+    if (!Number.isFinite(y)) {
+        return `invalid y "${rawY}"`;
+    }
+
+    let weight = 1;
+    const rawWeight = columns.weight !== null ? getField(columns.weight) : undefined;
+    if (rawWeight !== undefined && rawWeight !== "") {
+        weight = parseNumber(rawWeight);
+        if (!(Number.isFinite(weight) && weight >= 0)) {
+            return `invalid weight "${rawWeight}"`;
+        }
+    }
+
+    let home = null;
+    const rawHome = columns.home !== null ? getField(columns.home) : undefined;
+    if (rawHome !== undefined && rawHome !== "") {
+        home = parseNumber(rawHome);
+        if (!(Number.isInteger(home) && home >= 0)) {
+            return `invalid home server "${rawHome}"`;
+        }
+    }
+
+    if (options.swapAxes) {
+        [x, y] = [y, x];
+    }
+    if (options.flipX) {
+        x = -x;
+    }
+    if (options.flipY) {
+        y = -y;
+    }
+
+    const id = columns.id !== null ? getField(columns.id) : undefined;
+    const type = columns.type !== null ? getField(columns.type) : undefined;
+    return {
+        id: id === undefined ? null : String(id),
+        position: [x, y],
+        weight,
+        type: type === undefined ? null : String(type),
+        home,
+    };
+}
+
+/**
+ * Collects players into a scenario, rejecting duplicate ids and filtering by type.
+ */
+class ScenarioBuilder {
+
+    /**
+     * @param {ScenarioOptions} options
+     * @param {Object} columns see `resolveColumns()`
+     * @param {Object<String, String>} settings
+     */
+    constructor (options, columns, settings) {
+        this.types = options.types && options.types.length > 0 ? new Set(options.types.map(String)) : null;
+        if (this.types && columns.type === null) {
+            throw new Error("Filtering by type requires a type column");
+        }
+        this.hasIds = columns.id !== null;
+        this.hasTypes = columns.type !== null;
+        this.hasHomes = columns.home !== null;
+        /** @type {Scenario} */
+        this.scenario = {
+            playerPositions: [],
+            playerIds: this.hasIds ? [] : null,
+            playerWeights: [],
+            playerTypes: this.hasTypes ? [] : null,
+            playerHomes: this.hasHomes ? [] : null,
+            settings,
+            rejectedLines: [],
+            numberOfFilteredLines: 0,
+        };
+        this.ids = new Set();
+    }
+
+    /**
+     * @param {Number} lineNumber
+     * @param {String} line
+     * @param {Object|String} player what `readPlayer()` returns
+     */
+    add(lineNumber, line, player) {
+        if (typeof player === "string") {
+            this.reject(lineNumber, line, player);
+            return;
+        }
+        if (this.types && !this.types.has(player.type)) {
+            this.scenario.numberOfFilteredLines++;
+            return;
+        }
+        if (this.hasIds) {
+            if (player.id === null || player.id === "") {
+                this.reject(lineNumber, line, "missing id");
+                return;
+            }
+            if (this.ids.has(player.id)) {
+                this.reject(lineNumber, line, `duplicate id "${player.id}"`);
+                return;
+            }
+            this.ids.add(player.id);
+            this.scenario.playerIds.push(player.id);
+        }
+        this.scenario.playerPositions.push(player.position);
+        this.scenario.playerWeights.push(player.weight);
+        if (this.hasTypes) {
+            this.scenario.playerTypes.push(player.type === "" ? null : player.type);
+        }
+        if (this.hasHomes) {
+            this.scenario.playerHomes.push(player.home);
+        }
+    }
+
+    /**
+     * @param {Number} lineNumber
+     * @param {String} line
+     * @param {String} reason
+     */
+    reject(lineNumber, line, reason) {
+        this.scenario.rejectedLines.push({lineNumber, line, reason});
+    }
+}
+
+/**
+ * @param {String} text
+ * @param {String} format
+ * @param {ScenarioOptions} options
+ * @return {Scenario}
+ */
+function parseDelimitedScenario(text, format, options) {
+    const settings = {};
+    const lines = [...iterateDataLines(text, settings)];
+
+    // the first line is a header if columns are given by name or if it does not hold a position where one is expected
+    let header = null;
+    if (lines.length > 0) {
+        const firstLine = splitLine(lines[0][1], format);
+        const hasColumnNames = Object.keys(DEFAULT_COLUMN_NAMES).some(field => {
+            const column = options[field + "Column"];
+            return typeof column === "string" && column.length > 0 && !/^\d+$/.test(column);
+        });
+        const holdsPosition = () => {
+            const columns = resolveColumns(options, null);
+            return Number.isFinite(parseNumber(firstLine[columns.x])) &&
+                Number.isFinite(parseNumber(firstLine[columns.y]));
+        };
+        if (hasColumnNames || !holdsPosition()) {
+            header = firstLine;
+            lines.shift();
+        }
+    }
+
+    const columns = resolveColumns(options, header);
+    const builder = new ScenarioBuilder(options, columns, settings);
+    for (const [lineNumber, line] of lines) {
+        const fields = splitLine(line, format);
+        builder.add(lineNumber, line, readPlayer(column => fields[column], columns, options));
+    }
+    return builder.scenario;
+}
+
+/**
+ * @param {String} text
+ * @param {ScenarioOptions} options
+ * @return {Scenario}
+ */
+function parseJsonScenario(text, options) {
+    const json = JSON.parse(text);
+    const players = Array.isArray(json) ? json : json.players;
+    if (!Array.isArray(players)) {
+        throw new Error("JSON scenarios must be an array of players or an object with a \"players\" array");
+    }
+    const settings = {};
+    for (const [name, value] of Object.entries(Array.isArray(json) ? {} : json.settings ?? {})) {
+        // settings read as text, like the ones in delimited scenarios
+        if (Array.isArray(value)) {
+            settings[name] = value.join(", ");
+        } else {
+            settings[name] = value !== null && typeof value === "object" ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    // players given as objects are read by key, players given as arrays by index
+    const objectColumns = {};
+    for (const field of Object.keys(DEFAULT_COLUMN_NAMES)) {
+        const column = options[field + "Column"];
+        objectColumns[field] = column === undefined || column === null || column === "" ?
+            DEFAULT_COLUMN_NAMES[field] : String(column);
+    }
+    // players without ids are identified by their index, and players without a home server have no legacy client
+    for (const field of ["id", "home"]) {
+        const hasDefaultField = players.some(player => player !== null && typeof player === "object" &&
+            !Array.isArray(player) && DEFAULT_COLUMN_NAMES[field] in player);
+        if (!hasDefaultField && objectColumns[field] === DEFAULT_COLUMN_NAMES[field] && !options[field + "Column"]) {
+            objectColumns[field] = null;
+        }
+    }
+    // only resolved if some player is an array, since arrays cannot be read by name
+    let arrayColumns = null;
+
+    const builder = new ScenarioBuilder(options, objectColumns, settings);
+    players.forEach((player, i) => {
+        const line = JSON.stringify(player);
+        if (player === null || typeof player !== "object") {
+            builder.reject(i + 1, line, "not a player");
+            return;
+        }
+        if (Array.isArray(player)) {
+            arrayColumns ??= resolveColumns(options, null);
+        }
+        const columns = Array.isArray(player) ? arrayColumns : objectColumns;
+        builder.add(i + 1, line, readPlayer(column => column === null ? undefined : player[column], columns, options));
+    });
+    return builder.scenario;
+}
+
+/**
+ * Parses settings holding lists of numbers, like `1000000, 2000000, 500000`.
+ *
+ * @param {String} text
+ * @return {Number[]}
+ */
+export function parseNumberList(text) {
+    return text.split(",")
+        .map(value => value.trim())
+        .filter(value => value.length > 0)
+        .map(value => {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                throw new Error(`Invalid number "${value}" in list "${text}"`);
+            }
+            return number;
+        });
+}
+
+/**
+ * Parses a scenario file. By default, each line holds a player position in the format `X\tY`, optionally followed by
+ * the player's weight (see `Partitioner.addPlayerPosition()`). Empty lines are ignored, and so are lines starting with
+ * `#`, except for the ones in the format `# name = value`, which are read as scenario settings. Settings can be used,
+ * for instance, to define the cost model fields and the capacity of each focus:
+ *
+ *     # procTimeMineInMicros = 25
+ *     # playerStateSendFreqInHz = 10
+ *     # focusCapacities = 1000000, 2000000, 500000
+ *     14952.48046875	-6583.5126953125
+ *     -20128.62109375	-2235.225341796875
+ *
+ * CSV and JSON are accepted as well (see `ScenarioOptions`). Delimited files may start with a header naming their
+ * columns, which can then be picked by name. JSON scenarios are either an array of players or an object with a
+ * `players` array and an optional `settings` object; players are objects (`{"x": 1, "y": 2}`) or arrays (`[1, 2]`).
+ *
+ * Lines that cannot be read (e.g., without a valid position) are left out of the scenario and reported.
+ *
+ * @param {String} text
+ * @param {ScenarioOptions} [options]
+ * @return {Scenario}
+ */
+export function parseScenario(text, options = {}) {
+    const format = options.format || detectFormat(text);
+    switch (format) {
+        case FORMAT_JSON: return parseJsonScenario(text, options);
+        case FORMAT_TSV:
+        case FORMAT_CSV: return parseDelimitedScenario(text, format, options);
+        default: throw new Error(`Unknown scenario format "${format}"`);
+    }
+}
+
+/**
+ * Tells JSON scenarios apart from saved partitions (see `exportPartition()`), which are objects with a `focuses` array
+ * or plain arrays of focus positions. Objects with a `players` array and arrays of player objects are scenarios. Arrays
+ * of `[x, y]` positions look the same either way, so they are only taken as scenarios if the format is set to JSON.
+ *
+ * @param {String} text
+ * @param {String} [format] as in `ScenarioOptions`
+ * @return {Boolean}
+ */
+export function isJsonScenario(text, format) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        return false;
+    }
+    if (Array.isArray(json)) {
+        return format === FORMAT_JSON ||
+            (json.length > 0 && json[0] !== null && typeof json[0] === "object" && !Array.isArray(json[0]));
+    }
+    return json !== null && typeof json === "object" && Array.isArray(json.players);
+}
+
+/**
+ * @param {Scenario} scenario
+ * @param {Number} [maxLines] how many rejected lines to describe
+ * @return {String} a summary of the lines left out of the scenario, empty if none
+ */
+export function describeRejectedLines(scenario, maxLines = 10) {
+    const rejectedLines = scenario.rejectedLines;
+    if (rejectedLines.length === 0) {
+        return "";
+    }
+    const descriptions = rejectedLines.slice(0, maxLines).map(({lineNumber, line, reason}) =>
+        `  line ${lineNumber}: ${reason}: ${line.length > 80 ? line.slice(0, 77) + "..." : line}`);
+    if (rejectedLines.length > maxLines) {
+        descriptions.push(`  ... and ${rejectedLines.length - maxLines} more`);
+    }
+    return `${rejectedLines.length} line(s) rejected:\n` + descriptions.join("\n");
+}
+
+/**
+ * Writes a scenario in the format `parseScenario()` reads by default, so scenarios in any other format can be
+ * converted once and then loaded without options. Weights are only written if some player has one other than 1, and
+ * types and home servers only if some player has one, in which case a header naming the columns is written as well.
+ *
+ * @param {Scenario} scenario
+ * @return {String}
+ */
+export function formatScenario(scenario) {
+    const hasTypes = scenario.playerTypes !== null && scenario.playerTypes.some(type => type !== null);
+    const hasHomes = scenario.playerHomes !== null && scenario.playerHomes.some(home => home !== null);
+    const hasWeights = hasTypes || hasHomes || scenario.playerWeights.some(weight => weight !== 1);
+    const lines = Object.entries(scenario.settings).map(([name, value]) => `# ${name} = ${value}`);
+    if (hasTypes || hasHomes) {
+        const header = ["x", "y", "weight"];
+        if (hasTypes) {
+            header.push("type");
+        }
+        if (hasHomes) {
+            header.push("home");
+        }
+        lines.push(header.join("\t"));
+    }
+    scenario.playerPositions.forEach(([x, y], i) => {
+        const fields = [x, y];
+        if (hasWeights) {
+            fields.push(scenario.playerWeights[i]);
+        }
+        if (hasTypes) {
+            fields.push(scenario.playerTypes[i] ?? "");
+        }
+        if (hasHomes) {
+            fields.push(scenario.playerHomes[i] ?? "");
+        }
+        lines.push(fields.join("\t"));
+    });
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * @param {String} text
+ * @param {ScenarioOptions} [options]
+ * @return {Boolean} true if the scenario's first data line is the time series header, or a time series line whose
+ *                   player id is not a number (see `parseTimeSeriesScenario()`), since static scenarios may have four
+ *                   numeric columns as well; scenarios read with a column mapping or in a format other than TSV are
+ *                   never time series
+ */
+export function isTimeSeriesScenario(text, options = {}) {
+    const hasColumnMapping = Object.keys(DEFAULT_COLUMN_NAMES).some(field => {
+        const column = options[field + "Column"];
+        return column !== undefined && column !== null && column !== "";
+    });
+    if (hasColumnMapping || (options.format || detectFormat(text)) !== FORMAT_TSV) {
+        return false;
+    }
+    for (const [, line] of iterateDataLines(text, {})) {
+        const columns = line.split("\t");
+        if (isTimeSeriesHeader(columns)) {
+            return true;
+        }
+        return columns.length === TIME_SERIES_COLUMN_COUNT && !Number.isFinite(parseNumber(columns[0])) &&
+            columns.slice(1).every(column => Number.isFinite(parseNumber(column)));
+    }
+    return false;
+}
+
+/**
+ * @param {String[]} columns
+ * @return {Boolean}
+ */
+function isTimeSeriesHeader(columns) {
+    return columns.length === TIME_SERIES_COLUMN_COUNT &&
+        columns.every((column, i) => column.trim().toLowerCase() === TIME_SERIES_HEADER[i]);
+}
+
+/**
+ * Parses a time series scenario file, where each line holds a player position at some instant in the format
+ * `ID\tTIMESTAMP\tX\tY`, optionally after an `id\ttimestamp\tx\ty` header (which files with numeric ids need to be
+ * told from static scenarios, see `isTimeSeriesScenario()`). Lines are grouped into frames by timestamp, and frames are
+ * sorted chronologically. Settings are read just like in `parseScenario()`. Lines that cannot be read are left out and
+ * reported.
+ *
+ * @param {String} text
+ * @return {{frames: Frame[], settings: Object<String, String>, rejectedLines: RejectedLine[]}}
+ */
+export function parseTimeSeriesScenario(text) {
+    /** @type {Map<Number, Frame>} */
+    const frameByTimestamp = new Map();
+    // players are matched across frames by id, so each may only appear once per frame
+    /** @type {Map<Number, Set<String>>} */
+    const playerIdsByTimestamp = new Map();
+    const settings = {};
+    const rejectedLines = [];
+
+    let isFirstLine = true;
+    for (const [lineNumber, line] of iterateDataLines(text, settings)) {
+        const columns = line.split("\t");
+        if (isFirstLine) {
+            isFirstLine = false;
+            if (isTimeSeriesHeader(columns)) {
+                continue;
+            }
+        }
+        if (columns.length !== TIME_SERIES_COLUMN_COUNT) {
+            rejectedLines.push({lineNumber, line,
+                reason: `expected ${TIME_SERIES_COLUMN_COUNT} columns, but got ${columns.length}`});
+            continue;
+        }
+        const [id, rawTimestamp, rawX, rawY] = columns;
+        const timestamp = parseNumber(rawTimestamp);
+        const x = parseNumber(rawX);
+        const y = parseNumber(rawY);
+        if (![timestamp, x, y].every(Number.isFinite)) {
+            rejectedLines.push({lineNumber, line, reason: "invalid timestamp or position"});
+            continue;
+        }
+
+        const playerId = id.trim();
+        let frame = frameByTimestamp.get(timestamp);
+        if (!frame) {
+            frame = {timestamp, playerIds: [], playerPositions: []};
+            frameByTimestamp.set(timestamp, frame);
+            playerIdsByTimestamp.set(timestamp, new Set());
+        }
+        const playerIds = playerIdsByTimestamp.get(timestamp);
+        if (playerIds.has(playerId)) {
+            rejectedLines.push({lineNumber, line, reason: `duplicate id "${playerId}" at timestamp ${timestamp}`});
+            continue;
+        }
+        playerIds.add(playerId);
+        frame.playerIds.push(playerId);
+        frame.playerPositions.push([x, y]);
+    }
+
+    const frames = [...frameByTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+    return {frames, settings, rejectedLines};
+}
@@ -0,0 +1,186 @@
+import {now} from "./utils.js";
+
+const CSV_HEADER = ["trace", "label", "run", "elapsedTimeInMillis", "forwards", "bestForwards", "isFailure"];
+
+/**
+ * Attempts of one search, from the moment it started (or was reset, e.g., because a setting changed) on. Fields are
+ * parallel arrays, one entry per attempt recorded.
+ *
+ * @typedef {Object} SearchTrace
+ * @property {Number} id 1-based, in the order traces were started
+ * @property {String} label describes the search (e.g., strategy and seed), so traces can be told apart
+ * @property {Number} startTime when the first attempt of the trace was recorded
+ * @property {Number[]} runs index of each attempt, counted from the start of the search
+ * @property {Number[]} elapsedTimes wall time from the first attempt recorded to each attempt, in milliseconds;
+ *                                  attempts recorded together (e.g., a worker's batch) share the time they were
+ *                                  recorded at
+ * @property {Number[]} forwards forwards of each attempt, whether it failed or not
+ * @property {Number[]} bestForwards forwards of the best snapshot found so far; NaN until some attempt succeeds
+ * @property {Boolean[]} failures whether each attempt exceeded the max load factor
+ * @property {Number} stride how many attempts each recorded one stands for, once the trace was compacted
+ */
+
+/**
+ * Records how a search converges, attempt by attempt, so the progress of different strategies and seeds can be
+ * compared. A new trace is started whenever the search starts over (its number of runs goes back down, which happens
+ * whenever it is reset) or is described differently. Only the latest traces are kept.
+ *
+ * Traces hold at most `maxSamplesPerTrace` attempts. When one is full, every other attempt is dropped and only every
+ * other attempt is recorded from then on, except for attempts that improved the best forwards, which are always kept.
+ */
+export default class SearchHistory {
+
+    /** @type {SearchTrace[]} oldest first */
+    traces = [];
+    /** @type {Number} */
+    numberOfTracesStarted = 0;
+
+    /**
+     * @param {function(): String} describeSearch called whenever a trace is started, to label it; the current
+     *                                         description is compared with the trace's at every record
+     * @param {Object} [options]
+     * @param {Number} [options.maxTraces]
+     * @param {Number} [options.maxSamplesPerTrace]
+     */
+    constructor (describeSearch, {maxTraces = 8, maxSamplesPerTrace = 100_000} = {}) {
+        this.describeSearch = describeSearch;
+        this.maxTraces = maxTraces;
+        this.maxSamplesPerTrace = maxSamplesPerTrace;
+    }
+
+    /**
+     * @return {SearchTrace|null} the trace attempts are being recorded into
+     */
+    getCurrentTrace() {
+        return this.traces.length > 0 ? this.traces[this.traces.length - 1] : null;
+    }
+
+    clear() {
+        this.traces = [];
+    }
+
+    /**
+     * Records the attempt the partitioner just made, i.e., its current snapshot.
+     *
+     * @param {Partitioner} partitioner
+     */
+    recordAttempt(partitioner) {
+        const snapshot = partitioner.currentSnapshot;
+        this.recordAttempts(partitioner, [snapshot.numberOfForwards], [!snapshot.isWithinComfortableLFThreshold]);
+    }
+
+    /**
+     * Records attempts made elsewhere (e.g., by workers), which must have been counted in the partitioner's runs
+     * already. Within the batch, the best forwards are tracked from the successful attempts; the last attempt gets
+     * the forwards of the partitioner's best snapshot.
+     *
+     * @param {Partitioner} partitioner
+     * @param {Number[]} forwards of each attempt, in the order they were made
+     * @param {Boolean[]} failures whether each attempt exceeded the max load factor
+     */
+    recordAttempts(partitioner, forwards, failures) {
+        const firstRun = partitioner.numberOfRuns - forwards.length;
+        const trace = this.obtainTrace(firstRun);
+        const elapsedTime = now() - trace.startTime;
+        let bestForwards = trace.bestForwards.length > 0 ? trace.bestForwards[trace.bestForwards.length - 1] :
+            Number.NaN;
+
+        for (let i = 0; i < forwards.length; i++) {
+            const isImprovement = !failures[i] && !(forwards[i] >= bestForwards);
+            if (isImprovement) {
+                bestForwards = forwards[i];
+            }
+            if (i === forwards.length - 1 && Number.isFinite(partitioner.bestSnapshot.score)) {
+                // the best snapshot may come from elsewhere (e.g., an imported partition)
+                bestForwards = partitioner.bestSnapshot.numberOfForwards;
+            }
+            if (isImprovement || (firstRun + i) % trace.stride === 0) {
+                this.addSample(trace, firstRun + i, elapsedTime, forwards[i], bestForwards, failures[i]);
+            }
+        }
+    }
+
+    /**
+     * @return {String} every trace, one attempt per line, with a header naming the columns
+     */
+    toCsv() {
+        const lines = [CSV_HEADER.join(",")];
+        for (const trace of this.traces) {
+            // labels may hold commas
+            const label = `"${trace.label.replace(/"/g, "\"\"")}"`;
+            for (let i = 0; i < trace.runs.length; i++) {
+                const bestForwards = Number.isNaN(trace.bestForwards[i]) ? "" : trace.bestForwards[i];
+                lines.push([trace.id, label, trace.runs[i], trace.elapsedTimes[i].toFixed(1), trace.forwards[i],
+                    bestForwards, trace.failures[i] ? 1 : 0].join(","));
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * @private
+     * @param {Number} firstRun run index of the first attempt about to be recorded
+     * @return {SearchTrace}
+     */
+    obtainTrace(firstRun) {
+        const label = this.describeSearch();
+        let trace = this.getCurrentTrace();
+        const lastRun = trace && trace.runs.length > 0 ? trace.runs[trace.runs.length - 1] : -1;
+        if (trace === null || firstRun <= lastRun || label !== trace.label) {
+            trace = {
+                id: ++this.numberOfTracesStarted,
+                label,
+                startTime: now(),
+                runs: [],
+                elapsedTimes: [],
+                forwards: [],
+                bestForwards: [],
+                failures: [],
+                stride: 1,
+            };
+            this.traces.push(trace);
+            if (this.traces.length > this.maxTraces) {
+                this.traces.shift();
+            }
+        }
+        return trace;
+    }
+
+    /**
+     * @private
+     */
+    addSample(trace, run, elapsedTime, forwards, bestForwards, isFailure) {
+        if (trace.runs.length >= this.maxSamplesPerTrace) {
+            this.compact(trace);
+        }
+        trace.runs.push(run);
+        trace.elapsedTimes.push(elapsedTime);
+        trace.forwards.push(forwards);
+        trace.bestForwards.push(bestForwards);
+        trace.failures.push(isFailure);
+    }
+
+    /**
+     * Drops the attempts that the next stride would not have recorded, except for the ones that improved the best.
+     *
+     * @private
+     * @param {SearchTrace} trace
+     */
+    compact(trace) {
+        trace.stride *= 2;
+        const fields = ["runs", "elapsedTimes", "forwards", "bestForwards", "failures"];
+        let count = 0;
+        for (let i = 0; i < trace.runs.length; i++) {
+            const isImprovement = i > 0 && !Object.is(trace.bestForwards[i], trace.bestForwards[i - 1]);
+            if (i === 0 || isImprovement || trace.runs[i] % trace.stride === 0) {
+                for (const field of fields) {
+                    trace[field][count] = trace[field][i];
+                }
+                count++;
+            }
+        }
+        for (const field of fields) {
+            trace[field].length = count;
+        }
+    }
+}
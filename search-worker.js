@@ -0,0 +1,124 @@
+
+import {now} from "./utils.js";
+
+/**
+ * Runs attempts in a worker (a Web Worker in the browser, a worker thread in Node.js) on behalf of `ParallelSearch`.
+ *
+ * Messages received:
+ * - `{type: "start", generation, settings, playerData, initialFocuses}`: (re)starts searching with the given settings
+ *   (see `Partitioner.exportSearchSettings()`), including this worker's own seed; `playerData` is only sent when
+ *   players change; `initialFocuses`, if set, are evaluated first so local searches can go on from them
+ * - `{type: "stop"}`
+ *
+ * Messages sent, once per batch of attempts:
+ * - `{type: "progress", generation, statistics, best}`: statistics are relative to the previous batch; `best` is only
+ *   set when the worker found a better snapshot than the last one it reported
+ */
+
+/** long enough to amortize messaging, short enough for the main thread to see progress often */
+const BATCH_DURATION_IN_MILLIS = 50;
+
+const {parentPort} = typeof self === "undefined" ? await import("node:worker_threads") : {parentPort: null};
+if (!parentPort) {
+    // the hull module's URL, as resolved by the page (see `createWorker()`); snapshot.js needs it before it loads
+    globalThis.grahamScanModuleUrl = new URL(self.location.href).searchParams.get("grahamScan");
+}
+const {default: Partitioner} = await import("./partitioner.js");
+
+const partitioner = new Partitioner(1, 100);
+let generation = -1;
+let batchTimer = null;
+/** @type {Snapshot} */
+let lastReportedSnapshot = null;
+
+function postMessage(message) {
+    if (parentPort) {
+        parentPort.postMessage(message);
+    } else {
+        self.postMessage(message);
+    }
+}
+
+function onMessage(message) {
+    switch (message.type) {
+        case "start":
+            start(message);
+            break;
+        case "stop":
+            clearTimeout(batchTimer);
+            batchTimer = null;
+            break;
+    }
+}
+
+function start({generation: newGeneration, settings, playerData, initialFocuses}) {
+    clearTimeout(batchTimer);
+    generation = newGeneration;
+
+    if (playerData) {
+        partitioner.loadSharedPlayerData(playerData);
+    }
+    partitioner.applySearchSettings(settings);
+    lastReportedSnapshot = null;
+
+    if (initialFocuses) {
+        partitioner.evaluateFocuses(initialFocuses);
+        // the main thread already knows about them
+        lastReportedSnapshot = partitioner.bestSnapshot;
+    }
+
+    batchTimer = setTimeout(runBatch, 0);
+}
+
+function runBatch() {
+    const previousRuns = partitioner.numberOfRuns;
+    const previousFailures = partitioner.numberOfFailures;
+    const previousElapsedTime = partitioner.totalElapsedTime;
+    const previousRelaxationSteps = partitioner.numberOfRelaxationSteps;
+
+    // every attempt is reported, so the main thread can chart how the search converges (see `SearchHistory`)
+    const attemptForwards = [];
+    const attemptFailures = [];
+    const start = now();
+    do {
+        const isSuccessful = partitioner.randomizeFocuses();
+        attemptForwards.push(partitioner.currentSnapshot.numberOfForwards);
+        attemptFailures.push(!isSuccessful);
+    } while (now() - start < BATCH_DURATION_IN_MILLIS);
+
+    const snapshot = partitioner.bestSnapshot;
+    let best = null;
+    if (Number.isFinite(snapshot.score) && snapshot !== lastReportedSnapshot) {
+        best = {
+            // focuses may be views into the shared player positions, which would not survive cloning as arrays
+            focuses: snapshot.getFocuses().map(([x, y]) => [x, y]),
+            score: snapshot.score,
+            numberOfRelaxationSteps: snapshot.numberOfRelaxationSteps,
+            seed: snapshot.seed,
+            runIndex: snapshot.runIndex,
+        };
+        lastReportedSnapshot = snapshot;
+    }
+
+    postMessage({
+        type: "progress",
+        generation,
+        statistics: {
+            runs: partitioner.numberOfRuns - previousRuns,
+            failures: partitioner.numberOfFailures - previousFailures,
+            elapsedTime: partitioner.totalElapsedTime - previousElapsedTime,
+            relaxationSteps: partitioner.numberOfRelaxationSteps - previousRelaxationSteps,
+            attemptForwards,
+            attemptFailures,
+        },
+        best,
+    });
+
+    batchTimer = setTimeout(runBatch, 0);
+}
+
+if (parentPort) {
+    parentPort.on("message", onMessage);
+} else {
+    self.addEventListener("message", event => onMessage(event.data));
+}
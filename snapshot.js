@@ -1,5 +1,9 @@
 
-import GrahamScan from "./node_modules/@lucio/graham-scan/graham-scan.mjs";
+/**
+ * Web Workers do not get the page's import map, so the ones searching in the browser are told where the hull module is
+ * (see search-worker.js); everywhere else, the bare specifier resolves it.
+ */
+const {default: GrahamScan} = await import(globalThis.grahamScanModuleUrl ?? "@lucio/graham-scan");
 
 export default class Snapshot {
 
@@ -11,16 +15,30 @@ export default class Snapshot {
     innerHullVerticesByFocusIndex = [];
     /** @type {GrahamScan[]} */
     outerHullVerticesByFocusIndex = [];
-    /** @type {Number[]} */
+    /** @type {Number[]} processing time required by each focus, in microseconds per second */
+    loadByFocusIndex = [];
+    /** @type {Number[]} load as a percentage of each focus' capacity */
     loadFactorByFocusIndex = [];
     /** @type {Number} */
     numberOfForwards = 0;
     /** @type {Boolean} */
     isWithinComfortableLFThreshold = false;
+    /** @type {Number} */
+    numberOfRelaxationSteps = 0;
+    /** @type {Number} players owned by a different focus than in the previous frame */
+    numberOfHandoffs = 0;
+    /** @type {Number} the lower, the better; forwards plus any handoff penalty */
+    score = Number.POSITIVE_INFINITY;
     /** @type {Set<Number>[]} */
     ownPlayersByFocusIndex = [];
     /** @type {Set<Number>[]} */
     interestSetByFocusIndex = [];
+    /** @type {[Number, Number][][]} area owned by each focus, clipped to the players' bounding box */
+    voronoiCellsByFocusIndex = [];
+    /** @type {Number|null} seed of the search that produced this snapshot; null if it was not produced by a run */
+    seed = null;
+    /** @type {Number|null} run that produced this snapshot, counting from 0 since the search was last reset */
+    runIndex = null;
 
     constructor (numberOfFocuses) {
         this.numberOfFocuses = numberOfFocuses;
@@ -30,6 +48,7 @@ export default class Snapshot {
             this.outerHullVerticesByFocusIndex.push(new GrahamScan());
             this.ownPlayersByFocusIndex.push(new Set());
             this.interestSetByFocusIndex.push(new Set());
+            this.loadByFocusIndex[i] = 0;
             this.loadFactorByFocusIndex[i] = 0;
         }
     }
@@ -49,10 +68,30 @@ export default class Snapshot {
         this.outerHullVerticesByFocusIndex[focusIndex].addPoint(playerPosition);
     }
 
+    /**
+     * Records where the snapshot comes from, so it can be regenerated by resetting a search with the same scenario,
+     * settings and seed, and running it up to the given run.
+     *
+     * @param {Number} seed
+     * @param {Number} runIndex
+     */
+    setOrigin(seed, runIndex) {
+        this.seed = seed;
+        this.runIndex = runIndex;
+    }
+
     incrementNumberOfForwards(numberOfForwards) {
         this.numberOfForwards += numberOfForwards;
     }
 
+    setFocusLoad(focusIndex, load) {
+        this.loadByFocusIndex[focusIndex] = load;
+    }
+
+    getFocusLoad(focusIndex) {
+        return this.loadByFocusIndex[focusIndex];
+    }
+
     setFocusLoadFactor(focusIndex, loadFactor) {
         this.loadFactorByFocusIndex[focusIndex] = loadFactor;
     }
@@ -73,6 +112,20 @@ export default class Snapshot {
         return this.focuses;
     }
 
+    /**
+     * @param {[Number, Number][][]} voronoiCells
+     */
+    setVoronoiCells(voronoiCells) {
+        this.voronoiCellsByFocusIndex = voronoiCells;
+    }
+
+    /**
+     * @return {[Number, Number][][]} the polygon of the area owned by each focus
+     */
+    getVoronoiCells() {
+        return this.voronoiCellsByFocusIndex;
+    }
+
     obtainInnerHulls() {
         return this.innerHullVerticesByFocusIndex.map(vertices => vertices.getHull());
     }
@@ -80,4 +133,28 @@ export default class Snapshot {
     obtainOuterHulls() {
         return this.outerHullVerticesByFocusIndex.map(vertices => vertices.getHull());
     }
+
+    /**
+     * Plain object representation of this snapshot, suitable for `JSON.stringify()`.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return {
+            numberOfFocuses: this.numberOfFocuses,
+            focuses: this.focuses,
+            loadByFocusIndex: this.loadByFocusIndex,
+            loadFactorByFocusIndex: this.loadFactorByFocusIndex,
+            numberOfForwards: this.numberOfForwards,
+            isWithinComfortableLFThreshold: this.isWithinComfortableLFThreshold,
+            numberOfRelaxationSteps: this.numberOfRelaxationSteps,
+            numberOfHandoffs: this.numberOfHandoffs,
+            score: this.score,
+            ownPlayersByFocusIndex: this.ownPlayersByFocusIndex.map(players => [...players]),
+            interestSetByFocusIndex: this.interestSetByFocusIndex.map(players => [...players]),
+            voronoiCellsByFocusIndex: this.voronoiCellsByFocusIndex,
+            seed: this.seed,
+            runIndex: this.runIndex,
+        };
+    }
 }
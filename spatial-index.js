@@ -0,0 +1,135 @@
+
+/**
+ * What every spatial index backend offers: elements identified by a unique key are inserted at (and moved to) a
+ * position, removed, and found either within a radius of a position or by how close they are to it. Backends extend
+ * this class, which also holds the distance checks used by radius queries.
+ *
+ * Backends must accept any finite coordinate, so they can be built before knowing where all elements are going to be.
+ */
+export default class SpatialIndex {
+
+    /**
+     * The query will return all elements within the buckets (e.g., grid cells) touched by the radius specified. This is
+     * the cheapest option, but can return a lot of unwanted elements. Backends without buckets fall back to
+     * `QUERY_MODE_SQUARE`. */
+    static QUERY_MODE_RAW = 0;
+    /** The query will return all elements within the circle delimited by the query's radius. This is the most expensive
+     * option, as the query will compute the euclidean distance from the reference to each candidate. */
+    static QUERY_MODE_CIRCLE = 1;
+    /** The query will return all elements within the squared delimited of sides equal to the radius times two. This is
+     * a trade-off between the options above. It avoids the euclidean distance computation and potentially brings far
+     * less false positives than the first option. */
+    static QUERY_MODE_SQUARE = 2;
+
+    /**
+     * Insert an element in the spatial index at coordinates x,y. If the element already exists in the index, it is
+     * updated.
+     *
+     * @abstract
+     * @param {Object} key a unique identifier representing the element
+     * @param {Number} x the x coordinate of the element
+     * @param {Number} y the y coordinate of the element
+     * @return {Boolean} true if the element was inserted, false if it was just updated
+     */
+    insert(key, x, y) {
+        throw new Error("Not implemented");
+    }
+
+    /**
+     * @abstract
+     * @param {Object} key the element to be removed
+     * @return {Boolean} true if the element was removed, false if it was not found
+     */
+    remove(key) {
+        throw new Error("Not implemented");
+    }
+
+    /**
+     * Queries the spatial index for elements. Results are *not* ordered by distance.
+     *
+     * @abstract
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} cullingRadius
+     * @param {Number} [mode] specifies how the query should be performed (see SpatialIndex's query modes)
+     * @return {IterableIterator<Object>}
+     */
+    *query(x, y, cullingRadius, mode = SpatialIndex.QUERY_MODE_CIRCLE) {
+        throw new Error("Not implemented");
+    }
+
+    /**
+     * Finds the `count` elements nearest to x,y. The search must be exact.
+     *
+     * @abstract
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} count
+     * @return {Object[]} ordered by increasing distance
+     */
+    queryByCount(x, y, count) {
+        throw new Error("Not implemented");
+    }
+
+    /**
+     * @protected
+     * @param {Number} x
+     * @param {Number} y
+     */
+    validateCoordinate(x, y) {
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            throw new Error(`Invalid coordinate ${x},${y}`);
+        }
+    }
+
+    /**
+     * @protected
+     * @param {Number} mode
+     * @param {Number} radius
+     * @param {Number} x
+     * @param {Number} y
+     * @return {Function}
+     */
+    obtainDistanceFunction(mode, radius, x, y) {
+        switch (mode) {
+            case SpatialIndex.QUERY_MODE_RAW: return this.isAlwaysWithinRadius;
+            case SpatialIndex.QUERY_MODE_CIRCLE: return this.isWithinRadius.bind(this, radius, x, y);
+            case SpatialIndex.QUERY_MODE_SQUARE: return this.isWithinSquare.bind(this, radius, x, y);
+            default: throw new Error(`Unknown mode ${mode}`);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Number} radius
+     * @param {Number} x0
+     * @param {Number} y0
+     * @param {Number} x1
+     * @param {Number} y1
+     * @return {Boolean}
+     */
+    isWithinRadius(radius, x0, y0, x1, y1) {
+        return Math.hypot(Math.abs(x1 - x0), Math.abs(y1 - y0)) <= radius;
+    }
+
+    /**
+     * @private
+     * @return {boolean}
+     */
+    isAlwaysWithinRadius() {
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {Number} side
+     * @param {Number} x0
+     * @param {Number} y0
+     * @param {Number} x1
+     * @param {Number} y1
+     * @return {Boolean}
+     */
+    isWithinSquare(side, x0, y0, x1, y1) {
+        return Math.abs(x1 - x0) <= side && Math.abs(y1 - y0) <= side;
+    }
+}
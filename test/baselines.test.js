@@ -0,0 +1,81 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import CostModel from "../cost-model.js";
+import {computeBaselines, computeLegacyClientCost, computeTrafficMetrics} from "../baselines.js";
+import {createPartitioner} from "./fixtures.js";
+
+/** weighted players in a 10000x10000 square, which is exactly their bounding box */
+const FIXTURE_OPTIONS = {
+    numberOfPlayers: 500,
+    numberOfFocuses: 4,
+    costModel: {messageSizeInBytes: 50},
+    isWeighted: true,
+    hasCorners: true,
+};
+
+describe("Baselines", () => {
+
+    it("turn forwards into messages and bytes per second", () => {
+        const costModel = new CostModel({playerStateSendFreqInHz: 10, messageSizeInBytes: 200});
+        assert.deepEqual(computeTrafficMetrics(costModel, 15),
+            {forwards: 15, forwardsPerSecond: 150, bandwidthInBytesPerSecond: 30_000});
+    });
+
+    it("forward every player to every other server in full replication", () => {
+        const partitioner = createPartitioner(1, FIXTURE_OPTIONS);
+        const {fullReplication} = computeBaselines(partitioner);
+        assert.equal(fullReplication.forwards, 3 * partitioner.getTotalPlayerWeight());
+        assert.equal(fullReplication.forwardsPerSecond, 5 * fullReplication.forwards);
+        assert.equal(fullReplication.bandwidthInBytesPerSecond, 50 * fullReplication.forwardsPerSecond);
+        assert.equal(fullReplication.maxLoadFactor, null);
+    });
+
+    it("evaluate a grid split like focuses at the center of each cell", () => {
+        const partitioner = createPartitioner(2, FIXTURE_OPTIONS);
+        const {gridSplit} = computeBaselines(partitioner);
+        // a 2x2 grid over a square is the Voronoi diagram of the cell centers
+        const snapshot = partitioner.inspectFocuses([[2500, 2500], [7500, 2500], [2500, 7500], [7500, 7500]]);
+        assert.equal(gridSplit.forwards, snapshot.numberOfForwards);
+        const maxLoadFactor = Math.max(...[0, 1, 2, 3].map(fi => snapshot.getFocusLoadFactor(fi)));
+        assert.ok(Math.abs(gridSplit.maxLoadFactor - maxLoadFactor) < 1e-9);
+    });
+
+    it("draw random assignments from the seed", () => {
+        const partitioner = createPartitioner(3, FIXTURE_OPTIONS);
+        const {randomAssignment} = computeBaselines(partitioner, 4, 1);
+        assert.deepEqual(computeBaselines(partitioner, 4, 1).randomAssignment, randomAssignment);
+        assert.notDeepEqual(computeBaselines(partitioner, 4, 2).randomAssignment, randomAssignment);
+        assert.ok(randomAssignment.forwards <= computeBaselines(partitioner, 4, 1).fullReplication.forwards);
+        assert.equal(computeBaselines(partitioner, 1).randomAssignment.forwards, 0);
+    });
+
+    it("keep legacy players with their home server", () => {
+        const partitioner = createPartitioner(4, FIXTURE_OPTIONS);
+        const {gridSplit} = computeBaselines(partitioner);
+        partitioner.setLegacyClientShare(0.5);
+        const baselines = computeBaselines(partitioner);
+        assert.ok(baselines.gridSplit.forwards > gridSplit.forwards);
+        assert.equal(computeBaselines(partitioner, 1).gridSplit.forwards, 0);
+        partitioner.setLegacyClientShare(1);
+        // with every player pinned, the assignment no longer depends on the baseline
+        const {randomAssignment, gridSplit: pinnedGridSplit} = computeBaselines(partitioner);
+        assert.deepEqual(randomAssignment, pinnedGridSplit);
+    });
+
+    it("measure what legacy clients cost a snapshot", () => {
+        const partitioner = createPartitioner(5, FIXTURE_OPTIONS);
+        const snapshot = partitioner.inspectFocuses([[2500, 2500], [7500, 2500], [2500, 7500], [7500, 7500]]);
+        const cost = computeLegacyClientCost(partitioner, snapshot);
+        assert.equal(cost.numberOfLegacyPlayers, 0);
+        assert.equal(cost.forwardsWithoutLegacyClients, cost.forwards);
+        assert.equal(cost.maxLoadFactorWithoutLegacyClients, cost.maxLoadFactor);
+
+        partitioner.setLegacyClientShare(0.3);
+        const degradedCost = computeLegacyClientCost(partitioner, partitioner.inspectFocuses(snapshot.getFocuses()));
+        assert.ok(degradedCost.numberOfLegacyPlayers > 0);
+        assert.equal(degradedCost.forwardsWithoutLegacyClients, cost.forwards);
+        assert.ok(degradedCost.forwards > cost.forwards);
+        // nothing found yet
+        assert.equal(computeLegacyClientCost(partitioner, partitioner.bestSnapshot), null);
+    });
+});
@@ -0,0 +1,45 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import BoundingBox from "../bounding-box.js";
+
+describe("BoundingBox", () => {
+
+    it("starts empty", () => {
+        const box = new BoundingBox();
+        assert.equal(box.left, Number.POSITIVE_INFINITY);
+        assert.equal(box.right, Number.NEGATIVE_INFINITY);
+        assert.equal(box.top, Number.POSITIVE_INFINITY);
+        assert.equal(box.bottom, Number.NEGATIVE_INFINITY);
+        assert.equal(box.width, 0);
+        assert.equal(box.height, 0);
+    });
+
+    it("has no area with a single point", () => {
+        const box = new BoundingBox();
+        box.add(3, -4);
+        assert.deepEqual([box.left, box.top, box.right, box.bottom], [3, -4, 3, -4]);
+        assert.equal(box.width, 0);
+        assert.equal(box.height, 0);
+    });
+
+    it("grows to contain every point added", () => {
+        const box = new BoundingBox();
+        box.add(10, 20);
+        box.add(-5, 30);
+        box.add(0, -15);
+        box.add(2, 2);
+        assert.deepEqual([box.left, box.top, box.right, box.bottom], [-5, -15, 10, 30]);
+        assert.equal(box.width, 15);
+        assert.equal(box.height, 45);
+    });
+
+    it("can be reset", () => {
+        const box = new BoundingBox();
+        box.add(10, 20);
+        box.add(-10, -20);
+        box.reset();
+        box.add(1, 1);
+        assert.deepEqual([box.left, box.top, box.right, box.bottom], [1, 1, 1, 1]);
+        assert.equal(box.width, 0);
+    });
+});
@@ -0,0 +1,58 @@
+import {describe, it, before, after} from "node:test";
+import assert from "node:assert/strict";
+import {execFile} from "node:child_process";
+import {mkdtemp, rm, writeFile} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {fileURLToPath} from "node:url";
+import {promisify} from "node:util";
+
+const CLI_PATH = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+/**
+ * @param {String[]} args
+ * @return {Promise<{code: Number, stdout: String, stderr: String}>}
+ */
+async function runCli(args) {
+    try {
+        const {stdout, stderr} = await promisify(execFile)(process.execPath, [CLI_PATH, ...args], {timeout: 60_000});
+        return {code: 0, stdout, stderr};
+    } catch (error) {
+        return {code: error.code, stdout: error.stdout, stderr: error.stderr};
+    }
+}
+
+describe("cli", () => {
+
+    let directory;
+    let scenarioPath;
+    let partitionPath;
+
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), "partition-cli-"));
+        scenarioPath = join(directory, "scenario.tsv");
+        partitionPath = join(directory, "partition.json");
+        await writeFile(scenarioPath, "100\t100\n200\t300\n5000\t5000\n5200\t4800\n9000\t100\n8800\t300\n");
+        await writeFile(partitionPath, JSON.stringify([[150, 200], [5100, 4900], [8900, 200]]));
+    });
+
+    after(async () => {
+        await rm(directory, {recursive: true});
+    });
+
+    it("evaluates a partition without searching with --iterations 0", async () => {
+        const {code, stdout} = await runCli([scenarioPath, "--partition", partitionPath, "--iterations", "0"]);
+        assert.equal(code, 0);
+        const result = JSON.parse(stdout);
+        assert.equal(result.focuses, 3);
+        assert.deepEqual(result.bestSnapshot.focuses, [[150, 200], [5100, 4900], [8900, 200]]);
+        assert.equal(result.bestSnapshot.runIndex, null);
+        assert.equal(result.forwards, result.importedSnapshot.numberOfForwards);
+    });
+
+    it("rejects numeric options out of range", async () => {
+        const {code, stderr} = await runCli([scenarioPath, "--iterations", "-1"]);
+        assert.equal(code, 1);
+        assert.match(stderr, /--iterations must be at least 0, but got -1/);
+    });
+});
@@ -0,0 +1,57 @@
+import Partitioner from "../partitioner.js";
+import CostModel from "../cost-model.js";
+import {createRandom, euclideanDistanceSquared} from "../utils.js";
+
+/**
+ * @param {function(): Number} random
+ * @param {Number} count
+ * @param {Number} width
+ * @param {Number} [height] defaults to the width
+ * @return {[Number, Number][]}
+ */
+export function createRandomPositions(random, count, width, height = width) {
+    return [...Array(count)].map(() => [random() * width, random() * height]);
+}
+
+/**
+ * @param {[Number, Number][]} positions
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} count
+ * @return {Number[]} squared distances of the `count` nearest positions, in increasing order
+ */
+export function bruteForceDistances(positions, x, y, count) {
+    return positions.map(([px, py]) => euclideanDistanceSquared(x, y, px, py))
+        .sort((a, b) => a - b)
+        .slice(0, count);
+}
+
+/**
+ * @param {Number} seed of the players' positions and weights, and of the search
+ * @param {Object} [options]
+ * @param {Number} [options.numberOfPlayers]
+ * @param {Number} [options.numberOfFocuses]
+ * @param {Object} [options.costModel] cost model fields; the neighbor count defaults to 10
+ * @param {Boolean} [options.isWeighted] players weigh 1, 2 or 3 at random instead of 1
+ * @param {Boolean} [options.hasCorners] the first four players sit at the corners, so the bounding box is exactly the
+ *                                       10000x10000 square
+ * @param {(String|null)[]} [options.ids] of each player, by index; players have no id by default
+ * @return {Partitioner} with random players in a 10000x10000 square, already processed
+ */
+export function createPartitioner(seed, {numberOfPlayers = 300, numberOfFocuses = 3, costModel = {}, isWeighted = false,
+    hasCorners = false, ids = []} = {}) {
+    const random = createRandom(seed);
+    const partitioner = new Partitioner(numberOfFocuses, 80);
+    partitioner.resetPlayerPositions();
+    partitioner.setCostModel(new CostModel(Object.assign({neighborCount: 10}, costModel)));
+    const corners = hasCorners ? [[0, 0], [10_000, 0], [0, 10_000], [10_000, 10_000]] : [];
+    corners.forEach((corner, i) => partitioner.addPlayerPosition(corner, 1, null, null, ids[i] ?? null));
+    for (let i = corners.length; i < numberOfPlayers; i++) {
+        const position = [random() * 10_000, random() * 10_000];
+        partitioner.addPlayerPosition(position, isWeighted ? 1 + Math.floor(random() * 3) : 1, null, null,
+            ids[i] ?? null);
+    }
+    partitioner.processPlayerPositions();
+    partitioner.setSeed(seed);
+    return partitioner;
+}
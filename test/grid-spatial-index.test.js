@@ -0,0 +1,285 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import GridSpatialIndex from "../grid-spatial-index.js";
+import {createRandom, euclideanDistanceSquared} from "../utils.js";
+import {bruteForceDistances, createRandomPositions} from "./fixtures.js";
+
+function buildIndex(positions, cellSizeExponent, width, height, left = 0, top = 0) {
+    const index = new GridSpatialIndex(cellSizeExponent, width, height, left, top);
+    positions.forEach(([x, y], i) => index.insert(i, x, y));
+    return index;
+}
+
+describe("GridSpatialIndex insert/update/remove", () => {
+
+    it("tells inserts from updates", () => {
+        const index = new GridSpatialIndex(10, 10_000, 10_000);
+        assert.equal(index.insert("a", 100, 100), true);
+        assert.equal(index.insert("a", 100, 100), false);
+        assert.equal(index.insert("a", 9000, 9000), false);
+        assert.equal(index.cellEntryByKey.size, 1);
+    });
+
+    it("moves updated elements to their new cell", () => {
+        const index = new GridSpatialIndex(10, 10_000, 10_000);
+        index.insert("a", 100, 100);
+        index.insert("a", 9000, 9000);
+
+        assert.deepEqual([...index.query(100, 100, 500, GridSpatialIndex.QUERY_MODE_RAW)], []);
+        assert.deepEqual([...index.query(9000, 9000, 10, GridSpatialIndex.QUERY_MODE_RAW)], ["a"]);
+        const nonEmptyCells = index.cells.filter(cell => cell.entries.size > 0);
+        assert.equal(nonEmptyCells.length, 1);
+    });
+
+    it("updates positions within the same cell", () => {
+        const index = new GridSpatialIndex(10, 10_000, 10_000);
+        index.insert("a", 100, 100);
+        index.insert("a", 900, 900);
+
+        assert.deepEqual([...index.query(100, 100, 10)], []);
+        assert.deepEqual([...index.query(900, 900, 10)], ["a"]);
+    });
+
+    it("removes elements", () => {
+        const index = new GridSpatialIndex(10, 10_000, 10_000);
+        index.insert("a", 100, 100);
+        index.insert("b", 150, 150);
+
+        assert.equal(index.remove("a"), true);
+        assert.equal(index.remove("a"), false);
+        assert.equal(index.remove("never inserted"), false);
+        assert.deepEqual([...index.query(100, 100, 1000)], ["b"]);
+        assert.deepEqual(index.queryByCount(100, 100, 5), ["b"]);
+
+        // can be inserted again
+        assert.equal(index.insert("a", 100, 100), true);
+        assert.deepEqual(index.queryByCount(100, 100, 1), ["a"]);
+    });
+});
+
+describe("GridSpatialIndex.query()", () => {
+    const cellSizeExponent = 10;
+    const cellSize = 1 << cellSizeExponent;
+    const width = 20_000;
+    const height = 12_000;
+    const random = createRandom(17);
+    const positions = createRandomPositions(random, 3000, width, height);
+    const index = buildIndex(positions, cellSizeExponent, width, height);
+    const references = [
+        ...createRandomPositions(random, 30, width, height),
+        // edge cells, including the right and bottom edges, which have a cell of their own
+        [0, 0], [width, height], [width, 0], [0, height], [width / 2, height],
+        // outside the board
+        [-3000, -3000], [width + 500, height / 2],
+    ];
+
+    function sorted(elements) {
+        return [...elements].sort((a, b) => a - b);
+    }
+
+    function filterPositions(predicate) {
+        return positions.map((position, i) => predicate(...position) ? i : -1).filter(i => i >= 0);
+    }
+
+    it("finds the elements within a circle", () => {
+        for (const [x, y] of references) {
+            for (const radius of [0, 300, 2500]) {
+                assert.deepEqual(sorted(index.query(x, y, radius, GridSpatialIndex.QUERY_MODE_CIRCLE)),
+                    filterPositions((px, py) => Math.hypot(px - x, py - y) <= radius));
+            }
+        }
+    });
+
+    it("finds the elements within a square", () => {
+        for (const [x, y] of references) {
+            for (const radius of [0, 300, 2500]) {
+                assert.deepEqual(sorted(index.query(x, y, radius, GridSpatialIndex.QUERY_MODE_SQUARE)),
+                    filterPositions((px, py) => Math.abs(px - x) <= radius && Math.abs(py - y) <= radius));
+            }
+        }
+    });
+
+    it("finds every element in the cells touched in raw mode", () => {
+        // cells touched may lie outside the board, but every element lies inside
+        const column = x => Math.floor(x / cellSize);
+        const row = y => Math.floor(y / cellSize);
+
+        for (const [x, y] of references) {
+            for (const radius of [0, 300, 2500]) {
+                const [colStart, colEnd] = [column(x - radius), column(x + radius)];
+                const [rowStart, rowEnd] = [row(y - radius), row(y + radius)];
+                const expected = filterPositions((px, py) =>
+                    column(px) >= colStart && column(px) <= colEnd && row(py) >= rowStart && row(py) <= rowEnd);
+                const actual = sorted(index.query(x, y, radius, GridSpatialIndex.QUERY_MODE_RAW));
+                assert.deepEqual(actual, expected);
+                // raw results are a superset of the square ones
+                const square = new Set(index.query(x, y, radius, GridSpatialIndex.QUERY_MODE_SQUARE));
+                assert.ok([...square].every(element => actual.includes(element)));
+            }
+        }
+    });
+
+    it("rejects unknown modes", () => {
+        assert.throws(() => [...index.query(0, 0, 10, 42)], /Unknown mode/);
+    });
+});
+
+describe("GridSpatialIndex.queryByCount()", () => {
+
+    /**
+     * Compares distances instead of elements, since elements at the same distance may come in any order.
+     */
+    function assertSameAsBruteForce(index, positions, x, y, count) {
+        const result = index.queryByCount(x, y, count);
+        const distances = result.map(i => euclideanDistanceSquared(x, y, ...positions[i]));
+        assert.deepEqual(distances, bruteForceDistances(positions, x, y, count));
+        assert.equal(new Set(result).size, result.length, "no element is returned twice");
+    }
+
+    it("matches brute force on random data", () => {
+        const random = createRandom(42);
+        const width = 100_000;
+        const height = 60_000;
+        const positions = createRandomPositions(random, 5000, width, height);
+        const index = buildIndex(positions, 13, width, height);
+
+        for (const count of [1, 10, 100, 500]) {
+            for (let i = 0; i < 50; i++) {
+                assertSameAsBruteForce(index, positions, random() * width, random() * height, count);
+            }
+        }
+    });
+
+    it("matches brute force on clustered data", () => {
+        // sparse cells next to dense ones are where stopping at the first ring with enough candidates goes wrong
+        const random = createRandom(7);
+        const width = 50_000;
+        const height = 50_000;
+        const positions = [
+            ...createRandomPositions(random, 2000, 1000, 1000),
+            ...createRandomPositions(random, 200, width, height),
+        ];
+        const index = buildIndex(positions, 12, width, height);
+
+        for (let i = 0; i < 100; i++) {
+            assertSameAsBruteForce(index, positions, random() * width, random() * height, 100);
+        }
+    });
+
+    it("matches brute force near edges and corners", () => {
+        const random = createRandom(3);
+        const width = 30_000;
+        const height = 20_000;
+        const positions = createRandomPositions(random, 1000, width, height);
+        const index = buildIndex(positions, 10, width, height);
+
+        for (const [x, y] of [[0, 0], [width - 1, 0], [0, height - 1], [width - 1, height - 1], [width / 2, 0]]) {
+            assertSameAsBruteForce(index, positions, x, y, 50);
+        }
+    });
+
+    it("matches brute force on a grid one cell wide", () => {
+        const random = createRandom(5);
+        const positions = createRandomPositions(random, 500, 100, 20_000);
+        const index = buildIndex(positions, 8, 100, 20_000);
+
+        for (let i = 0; i < 20; i++) {
+            assertSameAsBruteForce(index, positions, random() * 100, random() * 20_000, 30);
+        }
+    });
+
+    it("returns every element if there are not enough of them", () => {
+        const positions = [[10, 10], [5000, 5000], [9000, 100]];
+        const index = buildIndex(positions, 10, 10_000, 10_000);
+
+        assert.deepEqual(index.queryByCount(0, 0, 10), [0, 1, 2]);
+        assert.deepEqual(index.queryByCount(0, 0, 0), []);
+    });
+
+    it("takes updated positions into account", () => {
+        const positions = [[100, 100], [9000, 9000]];
+        const index = buildIndex(positions, 10, 10_000, 10_000);
+
+        index.insert(1, 150, 150);
+        assert.deepEqual(index.queryByCount(0, 0, 2), [0, 1]);
+        index.insert(0, 9500, 9500);
+        assert.deepEqual(index.queryByCount(0, 0, 2), [1, 0]);
+    });
+});
+
+describe("GridSpatialIndex bounds", () => {
+
+    it("accepts a board starting at negative coordinates", () => {
+        const random = createRandom(11);
+        const positions = createRandomPositions(random, 1000, 40_000, 30_000).map(([x, y]) => [x - 25_000, y - 20_000]);
+        const index = buildIndex(positions, 11, 40_000, 30_000, -25_000, -20_000);
+
+        const nearest = index.queryByCount(-25_000, -20_000, 20);
+        const distances = nearest.map(i => euclideanDistanceSquared(-25_000, -20_000, ...positions[i]));
+        assert.deepEqual(distances, bruteForceDistances(positions, -25_000, -20_000, 20));
+
+        const withinRadius = new Set(index.query(0, 0, 5000));
+        const expected = positions.map(([x, y], i) => Math.hypot(x, y) <= 5000 ? i : -1).filter(i => i >= 0);
+        assert.deepEqual([...withinRadius].sort((a, b) => a - b), expected);
+    });
+
+    it("includes the right and bottom edges", () => {
+        const index = new GridSpatialIndex(10, 2048, 1024);
+        index.insert("corner", 2048, 1024);
+        assert.deepEqual(index.queryByCount(2048, 1024, 1), ["corner"]);
+    });
+
+    it("grows to include points outside the board", () => {
+        const index = new GridSpatialIndex(10, 4096, 4096);
+        index.insert("inside", 100, 100);
+        index.insert("left", -50_000, 2000);
+        index.insert("bottom right", 90_000, 70_000);
+
+        assert.ok(index.left <= -50_000);
+        assert.deepEqual(index.queryByCount(-49_000, 2000, 1), ["left"]);
+        assert.deepEqual(index.queryByCount(0, 0, 3), ["inside", "left", "bottom right"]);
+        assert.deepEqual([...index.query(90_000, 70_000, 10)], ["bottom right"]);
+
+        // moving back inside
+        index.insert("left", 200, 200);
+        assert.deepEqual(index.queryByCount(0, 0, 2), ["inside", "left"]);
+    });
+
+    it("clamps points outside the board into edge cells", () => {
+        const index = new GridSpatialIndex(10, 4096, 4096, 0, 0, GridSpatialIndex.BOUNDS_MODE_CLAMP);
+        index.insert("outside", -10_000, 2000);
+
+        assert.equal(index.totalCellCount, 25);
+        assert.deepEqual([...index.query(0, 2000, 100, GridSpatialIndex.QUERY_MODE_RAW)], ["outside"]);
+    });
+
+    it("rejects invalid coordinates", () => {
+        const index = new GridSpatialIndex(10, 4096, 4096);
+        assert.throws(() => index.insert("nan", NaN, 0), /Invalid coordinate/);
+    });
+});
+
+describe("GridSpatialIndex.iterateCellsAtPosition()", () => {
+
+    it("visits every cell exactly once across all levels", () => {
+        const index = new GridSpatialIndex(10, 7 * 1024, 5 * 1024);
+
+        for (const [x, y] of [[0, 0], [3500, 2500], [7167, 5119], [100, 4000], [6000, 10]]) {
+            const visits = new Map();
+            for (let level = 1; level <= 8; level++) {
+                for (const cell of index.iterateCellsAtPosition(x, y, level)) {
+                    visits.set(cell.index, (visits.get(cell.index) ?? 0) + 1);
+                }
+            }
+            assert.equal(visits.size, index.totalCellCount, `every cell visited from ${x},${y}`);
+            assert.ok([...visits.values()].every(count => count === 1), `no cell visited twice from ${x},${y}`);
+        }
+    });
+
+    it("visits the whole ring", () => {
+        const index = new GridSpatialIndex(10, 10 * 1024, 10 * 1024);
+        const cells = [...index.iterateCellsAtPosition(5 * 1024, 5 * 1024, 3)];
+        // a 5x5 square minus the inner 3x3 one
+        assert.equal(cells.length, 16);
+    });
+});
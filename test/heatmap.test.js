@@ -0,0 +1,86 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Partitioner from "../partitioner.js";
+import GridSpatialIndex from "../grid-spatial-index.js";
+import {computeHeatmap, HEATMAP_MODE_DENSITY, HEATMAP_MODE_FORWARDS} from "../heatmap.js";
+import {createPartitioner} from "./fixtures.js";
+
+/**
+ * @param {Heatmap} heatmap
+ * @return {Number}
+ */
+function sumValues(heatmap) {
+    return heatmap.values.reduce((sum, value) => sum + value, 0);
+}
+
+describe("computeHeatmap", () => {
+
+    it("counts players per grid cell", () => {
+        const partitioner = createPartitioner(1, {isWeighted: true});
+        const heatmap = computeHeatmap(partitioner, HEATMAP_MODE_DENSITY);
+        const grid = /** @type {GridSpatialIndex} */ partitioner.spatialIndex;
+        assert.equal(heatmap.cellSize, grid.cellSize);
+        assert.equal(heatmap.values.length, grid.widthInCells * grid.heightInCells);
+        assert.equal(sumValues(heatmap), 300);
+        assert.equal(heatmap.maxValue, Math.max(...grid.cells.map(cell => cell.entries.size)));
+    });
+
+    it("counts players per bin of the given size", () => {
+        const partitioner = createPartitioner(2, {isWeighted: true});
+        const heatmap = computeHeatmap(partitioner, HEATMAP_MODE_DENSITY, {binSize: 2500});
+        const boundingBox = partitioner.getBoundingBox();
+        assert.equal(heatmap.left, boundingBox.left);
+        assert.equal(heatmap.columns, Math.floor(boundingBox.width / 2500) + 1);
+        assert.equal(sumValues(heatmap), 300);
+        const [x, y] = partitioner.getPlayerPositions()[0];
+        const cellIndex = Math.floor((y - heatmap.top) / 2500) * heatmap.columns +
+            Math.floor((x - heatmap.left) / 2500);
+        assert.ok(heatmap.values[cellIndex] >= 1);
+        assert.throws(() => computeHeatmap(partitioner, HEATMAP_MODE_DENSITY, {binSize: 0.1}), /too small/);
+    });
+
+    it("adds up to the snapshot's forwards", () => {
+        const partitioner = createPartitioner(3, {isWeighted: true});
+        for (let i = 0; i < 20; i++) {
+            partitioner.randomizeFocuses();
+        }
+        const snapshot = partitioner.bestSnapshot;
+        assert.ok(snapshot.numberOfForwards > 0);
+        for (const binSize of [null, 1000]) {
+            const heatmap = computeHeatmap(partitioner, HEATMAP_MODE_FORWARDS, {binSize});
+            assert.equal(sumValues(heatmap), snapshot.numberOfForwards);
+        }
+        assert.equal(sumValues(computeHeatmap(partitioner, HEATMAP_MODE_FORWARDS,
+            {snapshot: partitioner.currentSnapshot})), partitioner.currentSnapshot.numberOfForwards);
+    });
+
+    it("picks a bin size when the spatial index has no cells", () => {
+        const partitioner = createPartitioner(4, {isWeighted: true});
+        partitioner.setSpatialIndexKdTree();
+        const heatmap = computeHeatmap(partitioner, HEATMAP_MODE_DENSITY);
+        assert.equal(heatmap.columns, 65);
+        assert.equal(sumValues(heatmap), 300);
+    });
+
+    it("is empty without players or focuses", () => {
+        const partitioner = new Partitioner(3, 80);
+        partitioner.resetPlayerPositions();
+        assert.equal(computeHeatmap(partitioner, HEATMAP_MODE_DENSITY).values.length, 0);
+        const heatmap = computeHeatmap(createPartitioner(5, {isWeighted: true}), HEATMAP_MODE_FORWARDS);
+        assert.equal(heatmap.maxValue, 0);
+        assert.throws(() => computeHeatmap(partitioner, "unknown"), /Unknown heatmap mode/);
+    });
+});
+
+describe("GridSpatialIndex.getCellIndexOf", () => {
+
+    it("follows elements as they move between cells", () => {
+        const index = new GridSpatialIndex(10, 10_000, 10_000);
+        index.insert("a", 100, 100);
+        assert.equal(index.getCellIndexOf("a"), 0);
+        index.insert("a", 2100, 1100);
+        assert.equal(index.getCellIndexOf("a"), index.widthInCells + 2);
+        index.remove("a");
+        assert.equal(index.getCellIndexOf("a"), -1);
+    });
+});
@@ -0,0 +1,94 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import KdTreeSpatialIndex from "../kd-tree-spatial-index.js";
+import SpatialIndex from "../spatial-index.js";
+import {createRandom, euclideanDistanceSquared} from "../utils.js";
+import {bruteForceDistances, createRandomPositions} from "./fixtures.js";
+
+function buildIndex(positions, bucketSize) {
+    const index = new KdTreeSpatialIndex(bucketSize);
+    positions.forEach(([x, y], i) => index.insert(i, x, y));
+    return index;
+}
+
+/**
+ * Compares distances instead of elements, since elements at the same distance may come in any order.
+ */
+function assertSameAsBruteForce(index, positions, x, y, count) {
+    const result = index.queryByCount(x, y, count);
+    const distances = result.map(i => euclideanDistanceSquared(x, y, ...positions[i]));
+    assert.deepEqual(distances, bruteForceDistances(positions, x, y, count));
+    assert.equal(new Set(result).size, result.length, "no element is returned twice");
+}
+
+describe("KdTreeSpatialIndex", () => {
+
+    it("finds the nearest neighbors like brute force", () => {
+        const random = createRandom(42);
+        const positions = createRandomPositions(random, 5000, 100_000);
+        for (const bucketSize of [1, 16]) {
+            const index = buildIndex(positions, bucketSize);
+            for (const count of [1, 10, 100, 6000]) {
+                for (let i = 0; i < 20; i++) {
+                    assertSameAsBruteForce(index, positions, random() * 120_000 - 10_000, random() * 100_000, count);
+                }
+            }
+        }
+    });
+
+    it("finds the players within a radius like brute force", () => {
+        const random = createRandom(3);
+        const positions = createRandomPositions(random, 3000, 50_000);
+        const index = buildIndex(positions);
+        const radius = 4000;
+
+        for (let i = 0; i < 50; i++) {
+            const [x, y] = positions[i];
+            const circle = [...index.query(x, y, radius, SpatialIndex.QUERY_MODE_CIRCLE)].sort((a, b) => a - b);
+            const square = [...index.query(x, y, radius, SpatialIndex.QUERY_MODE_SQUARE)].sort((a, b) => a - b);
+            assert.deepEqual(circle, positions.map((position, j) => j)
+                .filter(j => Math.hypot(positions[j][0] - x, positions[j][1] - y) <= radius));
+            assert.deepEqual(square, positions.map((position, j) => j)
+                .filter(j => Math.abs(positions[j][0] - x) <= radius && Math.abs(positions[j][1] - y) <= radius));
+        }
+    });
+
+    it("handles players sharing positions and players inserted in order", () => {
+        const positions = [];
+        for (let i = 0; i < 200; i++) {
+            positions.push([5, 5]);
+        }
+        for (let i = 0; i < 20_000; i++) {
+            positions.push([i, 0]);
+        }
+        const index = buildIndex(positions, 4);
+
+        assertSameAsBruteForce(index, positions, 5, 5, 250);
+        assertSameAsBruteForce(index, positions, 19_999, 0, 10);
+        assert.equal([...index.query(5, 5, 0)].length, 200);
+    });
+
+    it("moves and removes elements", () => {
+        const random = createRandom(11);
+        const positions = createRandomPositions(random, 1000, 10_000);
+        const index = buildIndex(positions, 8);
+
+        for (let i = 0; i < 500; i++) {
+            positions[i] = [random() * 20_000 - 5_000, random() * 20_000 - 5_000];
+            assert.equal(index.insert(i, ...positions[i]), false);
+        }
+        for (let i = 0; i < 1000; i++) {
+            assertSameAsBruteForce(index, positions, ...positions[i], 20);
+        }
+
+        assert.equal(index.remove(0), true);
+        assert.equal(index.remove(0), false);
+        assert.ok(!index.queryByCount(...positions[0], 1000).includes(0));
+        assert.equal(index.queryByCount(...positions[0], 2000).length, 999);
+    });
+
+    it("rejects invalid coordinates and bucket sizes", () => {
+        assert.throws(() => new KdTreeSpatialIndex(0), /Invalid bucket size/);
+        assert.throws(() => new KdTreeSpatialIndex().insert(0, NaN, 0), /Invalid coordinate/);
+    });
+});
@@ -0,0 +1,38 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {exportPartition} from "../partition-io.js";
+import {createPartitioner} from "./fixtures.js";
+
+describe("exportPartition", () => {
+
+    it("gives owners by player id when the scenario has ids", () => {
+        // the last players have no id
+        const ids = [...Array(200).keys()].map(i => i < 190 ? `p${i}` : null);
+        const partitioner = createPartitioner(1, {numberOfPlayers: 200, ids});
+        for (let i = 0; i < 20; i++) {
+            partitioner.randomizeFocuses();
+        }
+
+        const partition = exportPartition(partitioner);
+        assert.equal(partition.playerIds.length, 200);
+        assert.equal(partition.playerIds[7], "p7");
+        assert.equal(partition.playerIds[195], null);
+        assert.equal(Object.keys(partition.ownerByPlayerId).length, 190);
+        partition.playerIds.forEach((id, playerIndex) => {
+            if (id !== null) {
+                assert.equal(partition.ownerByPlayerId[id], partition.ownerByPlayerIndex[playerIndex]);
+            }
+        });
+    });
+
+    it("leaves ids out when the scenario has none", () => {
+        const partitioner = createPartitioner(2);
+        for (let i = 0; i < 20; i++) {
+            partitioner.randomizeFocuses();
+        }
+        const partition = exportPartition(partitioner);
+        assert.equal(partition.ownerByPlayerIndex.length, 300);
+        assert.equal(partition.ownerByPlayerId, null);
+        assert.equal(partition.playerIds, null);
+    });
+});
@@ -0,0 +1,366 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Partitioner from "../partitioner.js";
+import CostModel from "../cost-model.js";
+import SpatialIndex from "../spatial-index.js";
+import {createRandom} from "../utils.js";
+import {createPartitioner} from "./fixtures.js";
+
+/**
+ * @param {Partitioner} partitioner
+ * @param {Number} runs
+ * @return {[Number, Number][][]} the focuses of every run
+ */
+function run(partitioner, runs) {
+    const focusesByRun = [];
+    for (let i = 0; i < runs; i++) {
+        partitioner.randomizeFocuses();
+        focusesByRun.push(partitioner.currentSnapshot.getFocuses().map(([x, y]) => [x, y]));
+    }
+    return focusesByRun;
+}
+
+describe("Partitioner seeding", () => {
+
+    it("makes the same runs with the same seed", () => {
+        for (const strategy of ["setPlacementStrategyKMeansPlusPlus", "setPlacementStrategySimulatedAnnealing"]) {
+            const first = createPartitioner(1, {numberOfPlayers: 500});
+            first[strategy]();
+            first.setSeed(1234);
+            const second = createPartitioner(1, {numberOfPlayers: 500});
+            second[strategy]();
+            second.setSeed(1234);
+
+            assert.deepEqual(run(first, 30), run(second, 30));
+            assert.equal(first.bestSnapshot.score, second.bestSnapshot.score);
+        }
+    });
+
+    it("restarts the sequence whenever the search is reset", () => {
+        const partitioner = createPartitioner(2, {numberOfPlayers: 500});
+        partitioner.setSeed(99);
+        const focusesByRun = run(partitioner, 10);
+        partitioner.setMaxComfortableLoadFactor(90);
+        assert.deepEqual(run(partitioner, 10), focusesByRun);
+        partitioner.setSeed(100);
+        assert.notDeepEqual(run(partitioner, 10), focusesByRun);
+    });
+
+    it("records the seed and run index of each snapshot, from which the best one can be regenerated", () => {
+        const partitioner = createPartitioner(3, {numberOfPlayers: 500});
+        partitioner.setPlacementStrategyHillClimbing();
+        partitioner.setSeed(7);
+        run(partitioner, 50);
+        const best = partitioner.bestSnapshot;
+        assert.equal(best.seed, 7);
+        assert.ok(best.runIndex >= 0 && best.runIndex < 50);
+
+        partitioner.setSeed(best.seed);
+        const regenerated = run(partitioner, best.runIndex + 1).pop();
+        assert.deepEqual(regenerated, best.getFocuses());
+        assert.equal(partitioner.currentSnapshot.score, best.score);
+    });
+
+    it("does not record a run for imported focuses", () => {
+        const partitioner = createPartitioner(4, {numberOfPlayers: 100});
+        const snapshot = partitioner.importFocuses([[1000, 1000], [5000, 5000], [9000, 9000]]);
+        assert.equal(snapshot.seed, null);
+        assert.equal(snapshot.runIndex, null);
+        assert.throws(() => partitioner.setSeed(-1), /Invalid seed/);
+        assert.throws(() => partitioner.setSeed(1.5), /Invalid seed/);
+    });
+});
+
+describe("Partitioner player weights", () => {
+
+    it("make loads and forwards weighted sums, with unit weights matching plain counts", () => {
+        const unweighted = createPartitioner(11, {numberOfPlayers: 300});
+        const weighted = createPartitioner(11, {numberOfPlayers: 0});
+        unweighted.getPlayerPositions().forEach(position => weighted.addPlayerPosition(position, 2));
+        weighted.processPlayerPositions();
+        assert.equal(unweighted.getTotalPlayerWeight(), 300);
+        assert.equal(weighted.getTotalPlayerWeight(), 600);
+
+        const focuses = [[2000, 2000], [8000, 8000], [2000, 8000]];
+        const unweightedSnapshot = unweighted.inspectFocuses(focuses);
+        const weightedSnapshot = weighted.inspectFocuses(focuses);
+        assert.ok(Number.isInteger(unweightedSnapshot.numberOfForwards));
+        assert.equal(weightedSnapshot.numberOfForwards, 2 * unweightedSnapshot.numberOfForwards);
+        for (let fi = 0; fi < focuses.length; fi++) {
+            assert.equal(weightedSnapshot.getFocusLoad(fi), 2 * unweightedSnapshot.getFocusLoad(fi));
+        }
+    });
+
+    it("apply the cost profile of each player's type", () => {
+        const costModel = new CostModel({procTimeMineInMicros: 10, costProfiles: {vehicle: {procTimeOtherInMicros: 4}}});
+        assert.deepEqual(costModel.getProfile("vehicle"), {procTimeMineInMicros: 10, procTimeOtherInMicros: 4});
+        assert.deepEqual(costModel.getProfile("unknown"), {procTimeMineInMicros: 10, procTimeOtherInMicros: 1});
+        assert.deepEqual(costModel.getProfile(null), {procTimeMineInMicros: 10, procTimeOtherInMicros: 1});
+        assert.ok(costModel.equals(new CostModel(costModel.toJSON())));
+        assert.ok(!costModel.equals(new CostModel({procTimeMineInMicros: 10})));
+        assert.throws(() => new CostModel({costProfiles: "{"}), /Invalid cost profiles/);
+        assert.throws(() => new CostModel({costProfiles: {npc: {procTimeMineInMicros: -1}}}), /Invalid value/);
+        assert.throws(() => new CostModel({neighborCount: 0}), /positive integer/);
+        assert.throws(() => new CostModel({neighborCount: 2.5}), /positive integer/);
+
+        const partitioner = new Partitioner(1, 100);
+        partitioner.resetPlayerPositions();
+        partitioner.setCostModel(costModel);
+        partitioner.addPlayerPosition([0, 0], 3, "vehicle");
+        partitioner.addPlayerPosition([10, 0]);
+        assert.throws(() => partitioner.addPlayerPosition([0, 0], Number.NaN), /Invalid player weight/);
+        partitioner.processPlayerPositions();
+        // 5Hz * (3 * 10µs + 1 * 10µs), nothing forwarded with a single focus
+        assert.equal(partitioner.inspectFocuses([[0, 0]]).getFocusLoad(0), 200);
+    });
+});
+
+describe("Partitioner legacy clients", () => {
+
+    it("only add legacy players as the share grows, whatever the search seed", () => {
+        const partitioner = createPartitioner(11, {numberOfPlayers: 2000});
+        assert.equal(partitioner.getNumberOfLegacyPlayers(), 0);
+        let previousHomes = partitioner.obtainLegacyHomes();
+        for (const share of [0.1, 0.3, 1]) {
+            partitioner.setLegacyClientShare(share);
+            const homes = partitioner.obtainLegacyHomes();
+            assert.ok(previousHomes.every((home, i) => home < 0 || homes[i] === home), "legacy players stay legacy");
+            assert.ok(Math.abs(partitioner.getNumberOfLegacyPlayers() / 2000 - share) < 0.05);
+            previousHomes = homes;
+        }
+        partitioner.setSeed(12);
+        assert.deepEqual(partitioner.obtainLegacyHomes(), previousHomes);
+        assert.throws(() => partitioner.setLegacyClientShare(1.5), /Invalid legacy client share/);
+    });
+
+    it("keep home servers given by the scenario on top of the share", () => {
+        const partitioner = createPartitioner(13, {numberOfPlayers: 0});
+        partitioner.addPlayerPosition([0, 0], 1, null, 7);
+        partitioner.addPlayerPosition([1, 1]);
+        assert.throws(() => partitioner.addPlayerPosition([2, 2], 1, null, -1), /Invalid home server/);
+        partitioner.processPlayerPositions();
+        assert.deepEqual([...partitioner.obtainLegacyHomes()], [7, -1]);
+        partitioner.setLegacyClientShare(1);
+        assert.equal(partitioner.obtainLegacyHomes()[0], 7);
+        assert.ok(partitioner.obtainLegacyHomes()[1] >= 0);
+    });
+
+    it("compare snapshots to the same focuses without legacy clients", () => {
+        const partitioner = createPartitioner(14, {numberOfPlayers: 500});
+        partitioner.setLegacyClientShare(0.5);
+        const focuses = [[2000, 2000], [8000, 5000], [3000, 8000]];
+        const snapshot = partitioner.inspectFocuses(focuses);
+        const legacyHomes = partitioner.obtainLegacyHomes();
+        const snapshotWithoutLegacyClients = partitioner.inspectFocusesWithoutLegacyClients(focuses);
+        assert.equal(partitioner.obtainLegacyHomes(), legacyHomes);
+        assert.ok(snapshotWithoutLegacyClients.numberOfForwards < snapshot.numberOfForwards);
+
+        partitioner.setLegacyClientShare(0);
+        assert.equal(partitioner.inspectFocuses(focuses).numberOfForwards,
+            snapshotWithoutLegacyClients.numberOfForwards);
+    });
+
+    it("pick players with ids by id, whatever order they are listed in", () => {
+        const random = createRandom(16);
+        const players = [...Array(300).keys()].map(i => ({id: `p${i}`, position: [random() * 1000, random() * 1000]}));
+        const obtainHomeById = listedPlayers => {
+            const partitioner = createPartitioner(16, {numberOfPlayers: 0});
+            listedPlayers.forEach(({id, position}) => partitioner.addPlayerPosition(position, 1, null, null, id));
+            partitioner.processPlayerPositions();
+            partitioner.setLegacyClientShare(0.3);
+            const legacyHomes = partitioner.obtainLegacyHomes();
+            return new Map(listedPlayers.map(({id}, i) => [id, legacyHomes[i]]));
+        };
+        const homeById = obtainHomeById(players);
+        // e.g., the next time series frame, where some players left and the others are listed in a different order
+        const otherHomeById = obtainHomeById(players.filter((player, i) => i % 3 !== 0).reverse());
+        assert.ok([...homeById.values()].some(home => home >= 0));
+        for (const [id, home] of otherHomeById) {
+            assert.equal(home, homeById.get(id));
+        }
+    });
+
+    it("carry the share over to workers with the search settings", () => {
+        const partitioner = createPartitioner(15, {numberOfPlayers: 300});
+        partitioner.setLegacyClientShare(0.2);
+        const other = createPartitioner(15, {numberOfPlayers: 300});
+        other.applySearchSettings(partitioner.exportSearchSettings());
+        assert.deepEqual(other.obtainLegacyHomes(), partitioner.obtainLegacyHomes());
+    });
+});
+
+describe("Partitioner invariants", () => {
+
+    /**
+     * Checks everything an evaluated snapshot must hold, whatever the strategy that placed its focuses.
+     *
+     * @param {Partitioner} partitioner
+     * @param {Snapshot} snapshot
+     */
+    function assertInvariants(partitioner, snapshot) {
+        const positions = partitioner.getPlayerPositions();
+        const weights = partitioner.getPlayerWeights();
+        const costModel = partitioner.costModel;
+        const sumProcTimes = (playerIndexes, field) => [...playerIndexes].reduce((sum, playerIndex) =>
+            sum + weights[playerIndex] * costModel.getProfile(partitioner.playerTypes[playerIndex])[field], 0);
+        const owners = new Array(positions.length).fill(-1);
+        let forwards = 0;
+        let isWithinThreshold = true;
+
+        for (let focusIndex = 0; focusIndex < snapshot.numberOfFocuses; focusIndex++) {
+            const ownPlayers = snapshot.getOwnPlayersByFocusIndex(focusIndex);
+            for (const playerIndex of ownPlayers) {
+                assert.equal(owners[playerIndex], -1, `player ${playerIndex} is owned by more than one focus`);
+                owners[playerIndex] = focusIndex;
+            }
+
+            // interest sets hold exactly the neighbors of own players that are owned by other focuses
+            const expectedInterestSet = new Set();
+            for (const playerIndex of ownPlayers) {
+                for (const neighborIndex of partitioner.neighborsByPlayerIndex[playerIndex]) {
+                    if (!ownPlayers.has(neighborIndex)) {
+                        expectedInterestSet.add(neighborIndex);
+                    }
+                }
+            }
+            const interestSet = snapshot.getExternalInterestSetByFocusIndex(focusIndex);
+            assert.ok([...interestSet].every(playerIndex => !ownPlayers.has(playerIndex)),
+                "interest sets never contain own players");
+            assert.deepEqual(new Set(interestSet), expectedInterestSet);
+            forwards += [...interestSet].reduce((sum, playerIndex) => sum + weights[playerIndex], 0);
+
+            const expectedLoad = costModel.playerStateSendFreqInHz * (sumProcTimes(ownPlayers, "procTimeMineInMicros") +
+                sumProcTimes(interestSet, "procTimeOtherInMicros"));
+            const expectedLoadFactor = 100 * expectedLoad / partitioner.getFocusCapacity(focusIndex);
+            assert.ok(Math.abs(snapshot.getFocusLoad(focusIndex) - expectedLoad) < 1e-6);
+            assert.ok(Math.abs(snapshot.getFocusLoadFactor(focusIndex) - expectedLoadFactor) < 1e-9);
+            isWithinThreshold &&= expectedLoadFactor <= partitioner.maxComfortableLoadFactor;
+        }
+
+        assert.ok(owners.every(owner => owner >= 0), "every player is owned by a focus");
+        // players are owned by their nearest focus, except for legacy players, which stay with their home server
+        const focuses = snapshot.getFocuses();
+        const legacyHomes = partitioner.obtainLegacyHomes();
+        positions.forEach(([x, y], playerIndex) => {
+            if (legacyHomes[playerIndex] >= 0) {
+                assert.equal(owners[playerIndex], legacyHomes[playerIndex] % focuses.length);
+                return;
+            }
+            const distances = focuses.map(([fx, fy]) => Math.hypot(fx - x, fy - y));
+            assert.equal(distances[owners[playerIndex]], Math.min(...distances));
+        });
+
+        assert.ok(Math.abs(snapshot.numberOfForwards - forwards) < 1e-9,
+            "forwards are the sum of the weights of interest set players");
+        assert.equal(snapshot.isWithinComfortableLFThreshold, isWithinThreshold);
+        assert.equal(snapshot.score, isWithinThreshold ? forwards : Number.POSITIVE_INFINITY);
+    }
+
+    const strategies = [
+        "setPlacementStrategyBoundingBox",
+        "setPlacementStrategyPlayerPositions",
+        "setPlacementStrategyKMeansPlusPlus",
+        "setPlacementStrategyHillClimbing",
+        "setPlacementStrategySimulatedAnnealing",
+        "setPlacementStrategyLloydRelaxation",
+    ];
+
+    for (const strategy of strategies) {
+        it(`hold for every run with ${strategy.replace("setPlacementStrategy", "")}`, () => {
+            const partitioner = createPartitioner(5, {numberOfPlayers: 400});
+            partitioner[strategy]();
+            partitioner.setFocusCapacities([1_000_000, 2_000_000, 500_000]);
+            partitioner.setSeed(5);
+
+            for (let i = 0; i < 15; i++) {
+                partitioner.randomizeFocuses();
+                assertInvariants(partitioner, partitioner.currentSnapshot);
+            }
+            assert.ok(Number.isFinite(partitioner.bestSnapshot.score), "some run was within the threshold");
+            assertInvariants(partitioner, partitioner.bestSnapshot);
+        });
+    }
+
+    it("hold with radius areas of interest and with the k-d tree", () => {
+        const partitioner = createPartitioner(6, {numberOfPlayers: 400});
+        partitioner.setSeed(6);
+
+        for (const queryMode of [SpatialIndex.QUERY_MODE_CIRCLE, SpatialIndex.QUERY_MODE_SQUARE,
+            SpatialIndex.QUERY_MODE_RAW]) {
+            partitioner.setAreaOfInterestRadius(800, queryMode);
+            for (let i = 0; i < 5; i++) {
+                partitioner.randomizeFocuses();
+                assertInvariants(partitioner, partitioner.currentSnapshot);
+            }
+        }
+
+        partitioner.setAreaOfInterestNearestNeighbors();
+        partitioner.setSpatialIndexKdTree();
+        for (let i = 0; i < 5; i++) {
+            partitioner.randomizeFocuses();
+            assertInvariants(partitioner, partitioner.currentSnapshot);
+        }
+    });
+
+    it("hold for inspected focuses, in any number", () => {
+        const partitioner = createPartitioner(8, {numberOfPlayers: 300});
+        for (const focuses of [[[5000, 5000]], [[0, 0], [10_000, 10_000], [0, 10_000], [10_000, 0], [5000, 5000]]]) {
+            assertInvariants(partitioner, partitioner.inspectFocuses(focuses));
+        }
+    });
+
+    it("hold with weighted players and cost profiles, also in relaxation", () => {
+        const partitioner = createPartitioner(10, {numberOfPlayers: 0});
+        const random = createRandom(10);
+        const types = [null, "vehicle", "npc"];
+        for (let i = 0; i < 400; i++) {
+            partitioner.addPlayerPosition([random() * 10_000, random() * 10_000], Math.floor(random() * 4) / 2,
+                types[i % 3]);
+        }
+        partitioner.processPlayerPositions();
+        partitioner.setCostModel(new CostModel({
+            neighborCount: 10,
+            costProfiles: "{\"vehicle\": {\"procTimeMineInMicros\": 60, \"procTimeOtherInMicros\": 3}, " +
+                "\"npc\": {\"procTimeOtherInMicros\": 0}}",
+        }));
+        partitioner.setSeed(10);
+
+        for (const strategy of ["setPlacementStrategyBoundingBox", "setPlacementStrategyLloydRelaxation"]) {
+            partitioner[strategy]();
+            for (let i = 0; i < 5; i++) {
+                partitioner.randomizeFocuses();
+                assertInvariants(partitioner, partitioner.currentSnapshot);
+            }
+        }
+        partitioner.setRelaxationOptions({isLoadWeighted: true});
+        partitioner.randomizeFocuses();
+        assertInvariants(partitioner, partitioner.currentSnapshot);
+    });
+
+    it("hold with legacy clients, also in relaxation", () => {
+        const partitioner = createPartitioner(16, {numberOfPlayers: 400});
+        partitioner.setLegacyClientShare(0.25);
+        partitioner.setSeed(16);
+        for (const strategy of ["setPlacementStrategyKMeansPlusPlus", "setPlacementStrategyLloydRelaxation"]) {
+            partitioner[strategy]();
+            for (let i = 0; i < 5; i++) {
+                partitioner.randomizeFocuses();
+                assertInvariants(partitioner, partitioner.currentSnapshot);
+            }
+        }
+        // more focuses than some home servers, which wrap around
+        assertInvariants(partitioner, partitioner.inspectFocuses([[5000, 5000], [1000, 1000]]));
+    });
+
+    it("count runs and failures", () => {
+        const partitioner = createPartitioner(9, {numberOfPlayers: 300});
+        // too low for any run to succeed
+        partitioner.setMaxComfortableLoadFactor(0.001);
+        for (let i = 0; i < 10; i++) {
+            assert.equal(partitioner.randomizeFocuses(), false);
+        }
+        assert.equal(partitioner.numberOfRuns, 10);
+        assert.equal(partitioner.numberOfFailures, 10);
+        assert.equal(partitioner.bestSnapshot.score, Number.POSITIVE_INFINITY);
+    });
+});
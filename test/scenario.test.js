@@ -0,0 +1,155 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {
+    describeRejectedLines,
+    formatScenario,
+    isJsonScenario,
+    isTimeSeriesScenario,
+    parseScenario,
+    parseTimeSeriesScenario,
+} from "../scenario.js";
+
+describe("parseScenario()", () => {
+
+    it("reads plain TSV with settings, weights and CRLF line breaks", () => {
+        const scenario = parseScenario("# neighborCount = 10\r\n1\t2\r\n\r\n-3.5\t4e2\t2.5\r\n");
+        assert.deepEqual(scenario.playerPositions, [[1, 2], [-3.5, 400]]);
+        assert.deepEqual(scenario.playerWeights, [1, 2.5]);
+        assert.equal(scenario.playerIds, null);
+        assert.deepEqual(scenario.settings, {neighborCount: "10"});
+        assert.deepEqual(scenario.rejectedLines, []);
+    });
+
+    it("rejects lines that would make invalid players instead of creating NaN positions", () => {
+        const scenario = parseScenario("1\t2\nabc\t3\n4\n5\t6abc\n7\t8\t-1\n9\t10\n");
+        assert.deepEqual(scenario.playerPositions, [[1, 2], [9, 10]]);
+        assert.deepEqual(scenario.rejectedLines.map(({lineNumber}) => lineNumber), [2, 3, 4, 5]);
+        assert.match(scenario.rejectedLines[0].reason, /invalid x/);
+        assert.match(scenario.rejectedLines[3].reason, /invalid weight/);
+        assert.match(describeRejectedLines(scenario), /^4 line\(s\) rejected:\n {2}line 2: invalid x "abc": abc\t3/);
+        assert.equal(describeRejectedLines(parseScenario("1\t2")), "");
+    });
+
+    it("maps CSV columns by header name, filtering by type", () => {
+        const text = [
+            "Name,Type,\"Pos, X\",Y,Id",
+            "a,6,10,20,p1",
+            "\"b, \"\"quoted\"\"\",7,30,40,p2",
+            "c,6,50,60,p1",
+            "d,6,70,80,p3",
+        ].join("\n");
+        const scenario = parseScenario(text, {xColumn: "pos, x", yColumn: "y", idColumn: "ID", typeColumn: "type",
+            types: ["6"]});
+        assert.deepEqual(scenario.playerPositions, [[10, 20], [70, 80]]);
+        assert.deepEqual(scenario.playerIds, ["p1", "p3"]);
+        assert.equal(scenario.numberOfFilteredLines, 1);
+        assert.deepEqual(scenario.rejectedLines.map(({lineNumber, reason}) => [lineNumber, reason]),
+            [[4, "duplicate id \"p1\""]]);
+    });
+
+    it("detects headers and uses the default column names", () => {
+        const scenario = parseScenario("id\ttype\ty\tx\tweight\na\t1\t2\t3\t4\n");
+        assert.deepEqual(scenario.playerPositions, [[3, 2]]);
+        assert.deepEqual(scenario.playerIds, ["a"]);
+        assert.deepEqual(scenario.playerWeights, [4]);
+        assert.throws(() => parseScenario("x\ty\n1\t2\n", {weightColumn: "mass"}), /Column "mass" not found/);
+        assert.throws(() => parseScenario("1\t2\n", {types: ["a"]}), /requires a type column/);
+    });
+
+    it("maps columns by index, swapping axes before flipping them", () => {
+        const text = "header\tline\tis\tskipped\n1\t6\t0\t-2\t0\t5\n";
+        const options = {xColumn: 5, yColumn: "3", typeColumn: 1, types: ["6"]};
+        assert.deepEqual(parseScenario(text, {...options, flipY: true}).playerPositions, [[5, 2]]);
+        assert.deepEqual(parseScenario(text, {...options, swapAxes: true, flipX: true}).playerPositions, [[2, 5]]);
+    });
+
+    it("reads JSON players given as objects or arrays", () => {
+        const json = JSON.stringify({
+            settings: {neighborCount: 20, focusCapacities: [1, 2]},
+            players: [{x: 1, y: 2, weight: 3}, [4, 5], {x: "a", y: 1}, null, {lon: 6, lat: 7}],
+        });
+        const scenario = parseScenario(json);
+        assert.deepEqual(scenario.playerPositions, [[1, 2], [4, 5]]);
+        assert.deepEqual(scenario.playerWeights, [3, 1]);
+        assert.deepEqual(scenario.settings, {neighborCount: "20", focusCapacities: "1, 2"});
+        assert.deepEqual(scenario.rejectedLines.map(({lineNumber}) => lineNumber), [3, 4, 5]);
+
+        const mapped = parseScenario(JSON.stringify([{lon: 6, lat: 7, kind: "bot"}, {lon: 8, lat: 9, kind: "human"}]),
+            {xColumn: "lon", yColumn: "lat", typeColumn: "kind", types: ["human"]});
+        assert.deepEqual(mapped.playerPositions, [[8, 9]]);
+    });
+
+    it("round-trips through formatScenario()", () => {
+        const scenario = parseScenario("# neighborCount = 10\n1\t2\n3\t4\t0.5\n");
+        assert.equal(formatScenario(scenario), "# neighborCount = 10\n1\t2\t1\n3\t4\t0.5\n");
+        assert.deepEqual(parseScenario(formatScenario(scenario)), scenario);
+        assert.equal(formatScenario(parseScenario("x,y\n1,2\n")), "1\t2\n");
+    });
+
+    it("keeps player types, writing them under a header that is not mistaken for a time series", () => {
+        const scenario = parseScenario(JSON.stringify({
+            settings: {costProfiles: {vehicle: {procTimeMineInMicros: 60}}},
+            players: [{x: 1, y: 2, type: "vehicle"}, {x: 3, y: 4, weight: 2}],
+        }));
+        assert.deepEqual(scenario.playerTypes, ["vehicle", null]);
+        assert.deepEqual(JSON.parse(scenario.settings.costProfiles), {vehicle: {procTimeMineInMicros: 60}});
+
+        const text = formatScenario(scenario);
+        assert.match(text, /^# costProfiles = \{.*\}\nx\ty\tweight\ttype\n1\t2\t1\tvehicle\n3\t4\t2\t\n$/);
+        assert.equal(isTimeSeriesScenario(text), false);
+        assert.deepEqual(parseScenario(text), scenario);
+    });
+
+    it("reads home servers of legacy clients, writing them under a header", () => {
+        const scenario = parseScenario("x,y,home\n1,2,3\n4,5,\n6,7,-1\n8,9,a\n");
+        assert.deepEqual(scenario.playerHomes, [3, null]);
+        assert.deepEqual(scenario.rejectedLines.map(({reason}) => reason),
+            ["invalid home server \"-1\"", "invalid home server \"a\""]);
+        assert.equal(formatScenario(scenario), "x\ty\tweight\thome\n1\t2\t1\t3\n4\t5\t1\t\n");
+        assert.deepEqual(parseScenario(formatScenario(scenario)).playerHomes, [3, null]);
+        assert.equal(parseScenario(JSON.stringify([{x: 1, y: 2}])).playerHomes, null);
+    });
+});
+
+describe("scenario detection", () => {
+
+    it("tells JSON scenarios apart from saved partitions", () => {
+        assert.equal(isJsonScenario(JSON.stringify({players: [[1, 2]]})), true);
+        assert.equal(isJsonScenario(JSON.stringify([{x: 1, y: 2}])), true);
+        assert.equal(isJsonScenario(JSON.stringify({focuses: [[1, 2]]})), false);
+        assert.equal(isJsonScenario(JSON.stringify([[1, 2]])), false);
+        // arrays of positions could be either, so it takes the format to read them as players
+        assert.equal(isJsonScenario(JSON.stringify([[1, 2]]), "json"), true);
+        assert.equal(isJsonScenario(JSON.stringify({focuses: [[1, 2]]}), "json"), false);
+        assert.equal(isJsonScenario("1\t2"), false);
+    });
+
+    it("only treats unmapped TSV as time series, rejecting bad lines", () => {
+        const text = "a\t0\t1\t2\nb\t0\t3\t4\nc\tx\t5\t6\nd\t1\t7\n";
+        assert.equal(isTimeSeriesScenario(text), true);
+        assert.equal(isTimeSeriesScenario(text, {xColumn: 2, yColumn: 3}), false);
+        assert.equal(isTimeSeriesScenario("a,0,1,2"), false);
+
+        const {frames, rejectedLines} = parseTimeSeriesScenario(text);
+        assert.equal(frames.length, 1);
+        assert.deepEqual(frames[0].playerPositions, [[1, 2], [3, 4]]);
+        assert.deepEqual(rejectedLines.map(({lineNumber}) => lineNumber), [3, 4]);
+    });
+
+    it("only treats numeric ids as time series after a header", () => {
+        assert.equal(isTimeSeriesScenario("1\t2\t3\t4\n5\t6\t7\t8\n"), false);
+        const text = "id\ttimestamp\tx\ty\n1\t0\t3\t4\n2\t0\t7\t8\n";
+        assert.equal(isTimeSeriesScenario(text), true);
+        const {frames, rejectedLines} = parseTimeSeriesScenario(text);
+        assert.deepEqual(frames.map(frame => frame.playerIds), [["1", "2"]]);
+        assert.equal(rejectedLines.length, 0);
+    });
+
+    it("rejects players appearing twice in the same time series frame", () => {
+        const {frames, rejectedLines} = parseTimeSeriesScenario("a\t0\t1\t2\na\t0\t3\t4\na\t1\t5\t6\n");
+        assert.deepEqual(frames.map(frame => frame.playerIds), [["a"], ["a"]]);
+        assert.deepEqual(frames[0].playerPositions, [[1, 2]]);
+        assert.deepEqual(rejectedLines.map(({lineNumber, reason}) => [lineNumber, reason]),
+            [[2, "duplicate id \"a\" at timestamp 0"]]);
+    });
+});
@@ -0,0 +1,71 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import SearchHistory from "../search-history.js";
+import {createPartitioner} from "./fixtures.js";
+
+describe("SearchHistory", () => {
+
+    it("records every attempt, with the best forwards so far", () => {
+        const partitioner = createPartitioner(1);
+        const history = new SearchHistory(() => "bounding-box");
+        for (let i = 0; i < 20; i++) {
+            partitioner.randomizeFocuses();
+            history.recordAttempt(partitioner);
+        }
+        const trace = history.getCurrentTrace();
+        assert.deepEqual(trace.runs, [...Array(20).keys()]);
+        assert.equal(trace.bestForwards[19], partitioner.bestSnapshot.numberOfForwards);
+        assert.ok(trace.bestForwards.every((best, i) => i === 0 || !(best > trace.bestForwards[i - 1])),
+            "the best forwards never grow");
+        assert.ok(trace.elapsedTimes.every((time, i) => i === 0 || time >= trace.elapsedTimes[i - 1]));
+    });
+
+    it("marks failures and only takes the best forwards from successful attempts", () => {
+        const partitioner = createPartitioner(2);
+        const history = new SearchHistory(() => "workers");
+        partitioner.recordRuns({runs: 3, failures: 2, elapsedTime: 1, relaxationSteps: 0});
+        history.recordAttempts(partitioner, [10, 5, 8], [true, true, false]);
+        const trace = history.getCurrentTrace();
+        assert.deepEqual(trace.failures, [true, true, false]);
+        assert.deepEqual(trace.bestForwards, [Number.NaN, Number.NaN, 8]);
+        const [header, firstLine] = history.toCsv().split("\n");
+        assert.equal(header, "trace,label,run,elapsedTimeInMillis,forwards,bestForwards,isFailure");
+        assert.match(firstLine, /^1,"workers",0,[\d.]+,10,,1$/);
+    });
+
+    it("starts a new trace whenever the search starts over, keeping the latest ones", () => {
+        const partitioner = createPartitioner(3);
+        let label = "a";
+        const history = new SearchHistory(() => label, {maxTraces: 2});
+        const runs = () => {
+            for (let i = 0; i < 3; i++) {
+                partitioner.randomizeFocuses();
+                history.recordAttempt(partitioner);
+            }
+        };
+        runs();
+        partitioner.setSeed(4);
+        runs();
+        label = "b";
+        runs();
+        assert.deepEqual(history.traces.map(trace => [trace.id, trace.label, trace.runs.length]), [[2, "a", 3],
+            [3, "b", 3]]);
+        history.clear();
+        assert.equal(history.getCurrentTrace(), null);
+    });
+
+    it("compacts full traces, keeping the attempts that improved the best", () => {
+        const partitioner = createPartitioner(5);
+        const history = new SearchHistory(() => "long", {maxSamplesPerTrace: 16});
+        for (let i = 0; i < 100; i++) {
+            partitioner.randomizeFocuses();
+            history.recordAttempt(partitioner);
+        }
+        const trace = history.getCurrentTrace();
+        assert.ok(trace.runs.length <= 16 + 8);
+        assert.ok(trace.stride > 1);
+        assert.equal(trace.bestForwards[trace.bestForwards.length - 1], partitioner.bestSnapshot.numberOfForwards);
+        const improvements = trace.bestForwards.filter((best, i) => i > 0 && best !== trace.bestForwards[i - 1]);
+        assert.ok(improvements.length > 0);
+    });
+});
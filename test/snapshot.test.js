@@ -0,0 +1,80 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Snapshot from "../snapshot.js";
+
+describe("Snapshot", () => {
+
+    it("starts with empty sets and no load for each focus", () => {
+        const snapshot = new Snapshot(3);
+        assert.equal(snapshot.numberOfFocuses, 3);
+        for (let focusIndex = 0; focusIndex < 3; focusIndex++) {
+            assert.equal(snapshot.getOwnPlayersByFocusIndex(focusIndex).size, 0);
+            assert.equal(snapshot.getExternalInterestSetByFocusIndex(focusIndex).size, 0);
+            assert.equal(snapshot.getFocusLoad(focusIndex), 0);
+            assert.equal(snapshot.getFocusLoadFactor(focusIndex), 0);
+        }
+        assert.equal(snapshot.numberOfForwards, 0);
+        assert.equal(snapshot.score, Number.POSITIVE_INFINITY);
+        assert.equal(snapshot.seed, null);
+        assert.equal(snapshot.runIndex, null);
+    });
+
+    it("keeps own players and external interest sets apart", () => {
+        const snapshot = new Snapshot(2);
+        snapshot.addPlayerToFocus(0, [0, 0], 0);
+        snapshot.addPlayerToFocus(1, [10, 0], 0);
+        snapshot.addPlayerToFocus(2, [100, 0], 1);
+        snapshot.addExternalPlayerToFocus(2, [100, 0], 0);
+        // players are counted once, however many times they are added
+        snapshot.addExternalPlayerToFocus(2, [100, 0], 0);
+
+        assert.deepEqual([...snapshot.getOwnPlayersByFocusIndex(0)], [0, 1]);
+        assert.deepEqual([...snapshot.getOwnPlayersByFocusIndex(1)], [2]);
+        assert.deepEqual([...snapshot.getExternalInterestSetByFocusIndex(0)], [2]);
+        assert.deepEqual([...snapshot.getExternalInterestSetByFocusIndex(1)], []);
+    });
+
+    it("builds inner hulls from own players and outer hulls from own and external players", () => {
+        const snapshot = new Snapshot(1);
+        for (const [i, position] of [[0, 0], [10, 0], [10, 10], [0, 10], [5, 5]].entries()) {
+            snapshot.addPlayerToFocus(i, position, 0);
+        }
+        snapshot.addExternalPlayerToFocus(5, [20, 5], 0);
+
+        const [innerHull] = snapshot.obtainInnerHulls();
+        const [outerHull] = snapshot.obtainOuterHulls();
+        const sortPoints = points => points.map(([x, y]) => `${x},${y}`).sort();
+        assert.deepEqual(sortPoints(innerHull), sortPoints([[0, 0], [10, 0], [10, 10], [0, 10]]));
+        assert.deepEqual(sortPoints(outerHull), sortPoints([[0, 0], [20, 5], [10, 10], [0, 10], [10, 0]]));
+    });
+
+    it("accumulates forwards and keeps loads per focus", () => {
+        const snapshot = new Snapshot(2);
+        snapshot.incrementNumberOfForwards(3);
+        snapshot.incrementNumberOfForwards(4);
+        snapshot.setFocusLoad(1, 1500);
+        snapshot.setFocusLoadFactor(1, 15);
+
+        assert.equal(snapshot.numberOfForwards, 7);
+        assert.equal(snapshot.getFocusLoad(0), 0);
+        assert.equal(snapshot.getFocusLoad(1), 1500);
+        assert.equal(snapshot.getFocusLoadFactor(1), 15);
+    });
+
+    it("serializes sets as arrays", () => {
+        const snapshot = new Snapshot(2);
+        snapshot.focuses.push([1, 2], [3, 4]);
+        snapshot.addPlayerToFocus(0, [1, 2], 0);
+        snapshot.addExternalPlayerToFocus(0, [1, 2], 1);
+        snapshot.setOrigin(42, 7);
+
+        const json = JSON.parse(JSON.stringify(snapshot));
+        assert.deepEqual(json.focuses, [[1, 2], [3, 4]]);
+        assert.deepEqual(json.ownPlayersByFocusIndex, [[0], []]);
+        assert.deepEqual(json.interestSetByFocusIndex, [[], [0]]);
+        assert.equal(json.seed, 42);
+        assert.equal(json.runIndex, 7);
+        // not finite, so it cannot be represented in JSON
+        assert.equal(json.score, null);
+    });
+});
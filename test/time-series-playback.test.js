@@ -0,0 +1,46 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import TimeSeriesPlayback from "../time-series-playback.js";
+import {parseTimeSeriesScenario} from "../scenario.js";
+import {createRandom} from "../utils.js";
+import {createPartitioner, createRandomPositions} from "./fixtures.js";
+
+/**
+ * @param {Number} numberOfFrames
+ * @return {Frame[]} the same players in every frame, drifting together
+ */
+function createDriftingFrames(numberOfFrames) {
+    const positions = createRandomPositions(createRandom(1), 200, 10_000);
+    const lines = [];
+    for (let t = 0; t < numberOfFrames; t++) {
+        positions.forEach(([x, y], i) => lines.push(`p${i}\t${t}\t${x + 300 * t}\t${y + 200 * t}`));
+    }
+    return parseTimeSeriesScenario(lines.join("\n")).frames;
+}
+
+describe("TimeSeriesPlayback", () => {
+
+    it("searches each frame with its own seed, derived from the playback's", () => {
+        // the frames replace the fixture's players
+        const partitioner = createPartitioner(7, {numberOfPlayers: 0});
+        const playback = new TimeSeriesPlayback(partitioner, createDriftingFrames(3));
+        while (playback.hasNextFrame()) {
+            playback.nextFrame();
+            assert.equal(partitioner.seed, playback.getFrameSeed(playback.frameIndex));
+            for (let i = 0; i < 20; i++) {
+                partitioner.randomizeFocuses();
+            }
+        }
+        playback.finishFrame();
+
+        const seeds = playback.results.map(result => result.seed);
+        assert.equal(seeds[0], 7);
+        assert.equal(new Set(seeds).size, 3);
+        // frames that replayed the same placements would only shift along with the players, with no handoffs
+        assert.ok(playback.results.slice(1).some(result => result.handoffs > 0));
+
+        playback.setSeed(8);
+        assert.equal(partitioner.seed, playback.getFrameSeed(2));
+        assert.notEqual(playback.getFrameSeed(2), seeds[2]);
+    });
+});
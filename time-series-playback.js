@@ -0,0 +1,164 @@
+
+/**
+ * @typedef {Object} FrameResult
+ * @property {Number} timestamp
+ * @property {Number} seed the frame was searched with (see `TimeSeriesPlayback.getFrameSeed()`)
+ * @property {Number} numberOfPlayers
+ * @property {Number} runs
+ * @property {Number} failures
+ * @property {Boolean} isSuccessful whether some attempt was within the comfortable load factor threshold
+ * @property {Number} forwards
+ * @property {Number} handoffs players owned by a different focus than in the previous frame
+ * @property {Number} score
+ * @property {[Number, Number][]} focuses best focuses
+ */
+
+/**
+ * Plays a time series scenario back, one frame at a time. Each frame is partitioned starting from the best focuses of
+ * the previous frame, and handoffs are counted against the players' owners in the previous frame. Players are matched
+ * across frames by their ids.
+ *
+ * Each frame is searched with its own seed, derived from the partitioner's seed at the start of the playback, so frames
+ * do not all replay the same random placements while the playback as a whole stays reproducible.
+ */
+export default class TimeSeriesPlayback {
+
+    /** @type {Number} */
+    frameIndex = -1;
+    /** @type {FrameResult[]} */
+    results = [];
+    /**
+     * Owning focus by player id, according to the best snapshot of the last successful frame.
+     * @type {Map<String, Number>}
+     */
+    ownerByPlayerId = new Map();
+    /**
+     * Best focuses of the last successful frame.
+     * @type {[Number, Number][]}
+     */
+    previousFocuses = null;
+
+    /**
+     * @param {Partitioner} partitioner
+     * @param {Frame[]} frames
+     */
+    constructor (partitioner, frames) {
+        this.partitioner = partitioner;
+        this.frames = frames;
+        this.seed = partitioner.seed;
+    }
+
+    /**
+     * Changes the seed frame seeds are derived from. The current frame, if any, is searched again from scratch.
+     *
+     * @param {Number} seed an unsigned 32-bit integer
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        if (this.frameIndex >= 0) {
+            this.partitioner.setSeed(this.getFrameSeed(this.frameIndex));
+        }
+    }
+
+    /**
+     * @param {Number} frameIndex
+     * @return {Number} the seed the given frame is searched with; the first frame gets the playback's seed itself
+     */
+    getFrameSeed(frameIndex) {
+        return (this.seed + Math.imul(frameIndex, 0x9E3779B9)) >>> 0;
+    }
+
+    getNumberOfFrames() {
+        return this.frames.length;
+    }
+
+    /**
+     * @return {Frame}
+     */
+    getCurrentFrame() {
+        return this.frames[this.frameIndex];
+    }
+
+    hasNextFrame() {
+        return this.frameIndex < this.frames.length - 1;
+    }
+
+    isCurrentFrameFinished() {
+        return this.results.length > this.frameIndex;
+    }
+
+    /**
+     * Finishes the current frame, if not finished yet, and loads the next one into the partitioner.
+     */
+    nextFrame() {
+        if (this.frameIndex >= 0 && !this.isCurrentFrameFinished()) {
+            this.finishFrame();
+        }
+        if (!this.hasNextFrame()) {
+            throw new Error("No more frames to play");
+        }
+
+        this.frameIndex++;
+        const frame = this.getCurrentFrame();
+        const partitioner = this.partitioner;
+
+        partitioner.resetPlayerPositions();
+        frame.playerPositions.forEach((position, i) => {
+            partitioner.addPlayerPosition(position, 1, null, null, frame.playerIds[i]);
+        });
+        partitioner.processPlayerPositions();
+        partitioner.setSeed(this.getFrameSeed(this.frameIndex));
+
+        const previousOwners = new Int32Array(frame.playerIds.length).fill(-1);
+        for (let i = 0; i < frame.playerIds.length; i++) {
+            const owner = this.ownerByPlayerId.get(frame.playerIds[i]);
+            if (owner !== undefined) {
+                previousOwners[i] = owner;
+            }
+        }
+        partitioner.setPreviousOwners(previousOwners);
+
+        if (this.previousFocuses !== null && this.previousFocuses.length === partitioner.numberOfFocuses) {
+            partitioner.evaluateFocuses(this.previousFocuses);
+        }
+    }
+
+    /**
+     * Records the results of the current frame. If the frame was successful, its best snapshot becomes the reference
+     * for the next frame.
+     *
+     * @return {FrameResult}
+     */
+    finishFrame() {
+        const frame = this.getCurrentFrame();
+        const partitioner = this.partitioner;
+        const snapshot = partitioner.bestSnapshot;
+        const isSuccessful = Number.isFinite(snapshot.score);
+
+        const result = {
+            timestamp: frame.timestamp,
+            seed: this.getFrameSeed(this.frameIndex),
+            numberOfPlayers: frame.playerIds.length,
+            runs: partitioner.numberOfRuns,
+            failures: partitioner.numberOfFailures,
+            isSuccessful,
+            forwards: isSuccessful ? snapshot.numberOfForwards : null,
+            handoffs: isSuccessful ? snapshot.numberOfHandoffs : null,
+            score: isSuccessful ? snapshot.score : null,
+            focuses: isSuccessful ? snapshot.focuses.map(([x, y]) => [x, y]) : null,
+        };
+        this.results.push(result);
+
+        if (isSuccessful) {
+            this.previousFocuses = result.focuses;
+            this.ownerByPlayerId = new Map();
+            for (let focusIndex = 0; focusIndex < snapshot.numberOfFocuses; focusIndex++) {
+                for (const playerIndex of snapshot.getOwnPlayersByFocusIndex(focusIndex)) {
+                    this.ownerByPlayerId.set(frame.playerIds[playerIndex], focusIndex);
+                }
+            }
+        }
+
+        return result;
+    }
+}
@@ -7,7 +7,6 @@ const isBigEndian = (() => {
     const view = new Uint32Array(array.buffer);
     return !((view[0] = 1) & array[0]);
 })();
-console.info("Endianness: " + (isBigEndian ? "big" : "little"));
 
 const rgbToVal = isBigEndian ?
     (r, g, b) => ((r << 24) | (g << 16) | (b << 8) | 0xff) >>> 0:
@@ -31,12 +30,79 @@ function cssColorToColor(cssColor) {
     return rgbToVal(cssColor >>> 16 & 0xff, cssColor >>> 8 & 0xff, cssColor & 0xff);
 }
 
+/**
+ * Makes the browser download the given content as a file.
+ *
+ * @param {String} fileName
+ * @param {String} content
+ * @param {String} mimeType
+ */
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], {type: mimeType}));
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.click();
+    URL.revokeObjectURL(url);
+}
+
 function euclideanDistanceSquared(x0, y0, x1, y1) {
     const a = x1 - x0;
     const b = y1 - y0;
     return a * a + b * b;
 }
 
+/**
+ * Works both in the browser and in Node.js, where `performance` may not be available as a global.
+ * @return {Number} a timestamp in milliseconds
+ */
+function now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+/**
+ * Shared memory is only available in Node.js and in cross-origin isolated pages. Elsewhere, a regular buffer is
+ * returned, which gets copied instead of shared when posted to a worker.
+ *
+ * @param {Number} byteLength
+ * @return {SharedArrayBuffer|ArrayBuffer}
+ */
+function createSharedBuffer(byteLength) {
+    const canShare = typeof SharedArrayBuffer !== "undefined" && globalThis.crossOriginIsolated !== false;
+    return canShare ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength);
+}
+
+/**
+ * A small and fast seedable PRNG (mulberry32). The same seed always yields the same sequence.
+ *
+ * @param {Number} seed an unsigned 32-bit integer
+ * @return {function(): Number} like `Math.random()`, returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed | 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @return {Number} a random unsigned 32-bit integer, for when no seed was given
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * @param {Number} seed
+ * @return {Boolean} true if the seed is an unsigned 32-bit integer
+ */
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32;
+}
+
 class Debouncer {
     constructor () { this.timer = null; }
     set(task, delay) {
@@ -57,6 +123,12 @@ export {
     readCssVarAsNumber,
     readCssVarAsHexNumber,
     cssColorToColor,
+    downloadFile,
+    createSharedBuffer,
+    createRandom,
+    generateSeed,
+    isValidSeed,
     euclideanDistanceSquared,
+    now,
     Debouncer,
 };
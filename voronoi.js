@@ -0,0 +1,72 @@
+
+/**
+ * Clips a convex polygon, keeping only the part closer to `focus` than to `other`, i.e., the half-plane on the focus'
+ * side of the perpendicular bisector of the two points (Sutherland-Hodgman, with a single clipping edge).
+ *
+ * @param {[Number, Number][]} polygon
+ * @param {[Number, Number]} focus
+ * @param {[Number, Number]} other
+ * @return {[Number, Number][]}
+ */
+function clipByBisector(polygon, [fx, fy], [ox, oy]) {
+    // a point p is kept if dot(p, normal) <= offset, where the normal points from the focus towards the other point
+    const normalX = ox - fx;
+    const normalY = oy - fy;
+    const offset = (ox * ox + oy * oy - fx * fx - fy * fy) / 2;
+    const signedDistance = ([x, y]) => x * normalX + y * normalY - offset;
+
+    const result = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const currentDistance = signedDistance(current);
+        const nextDistance = signedDistance(next);
+
+        if (currentDistance <= 0) {
+            result.push(current);
+        }
+        if ((currentDistance < 0 && nextDistance > 0) || (currentDistance > 0 && nextDistance < 0)) {
+            const t = currentDistance / (currentDistance - nextDistance);
+            result.push([
+                current[0] + t * (next[0] - current[0]),
+                current[1] + t * (next[1] - current[1]),
+            ]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Computes the Voronoi cell of each focus, clipped to the bounding box. A cell is the region where the focus is the
+ * closest one, so it is exactly the area whose players the focus owns, except for players with legacy clients, which
+ * stay with their home server wherever they are (see `Partitioner.setLegacyClientShare()`). Cells are convex polygons,
+ * with vertices in the same order as the bounding box corners (top-left, top-right, bottom-right, bottom-left). When
+ * two focuses sit at the same position, the one with the higher index gets an empty cell, just like it gets no players.
+ *
+ * @param {[Number, Number][]} focuses
+ * @param {BoundingBox} boundingBox
+ * @return {[Number, Number][][]} one polygon per focus
+ */
+export function computeVoronoiCells(focuses, boundingBox) {
+    const {left, top, right, bottom} = boundingBox;
+
+    return focuses.map((focus, focusIndex) => {
+        let cell = [[left, top], [right, top], [right, bottom], [left, bottom]];
+
+        for (let otherIndex = 0; otherIndex < focuses.length && cell.length > 0; otherIndex++) {
+            const other = focuses[otherIndex];
+            if (otherIndex === focusIndex) {
+                continue;
+            }
+            if (other[0] === focus[0] && other[1] === focus[1]) {
+                if (otherIndex < focusIndex) {
+                    cell = [];
+                }
+                continue;
+            }
+            cell = clipByBisector(cell, focus, other);
+        }
+
+        return cell;
+    });
+}